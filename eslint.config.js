@@ -30,4 +30,11 @@ export default [
       ],
     },
   },
+  {
+    // Test helpers export render functions next to wrapper components
+    files: ['src/test/**/*.{js,jsx}', '**/*.test.{js,jsx}'],
+    rules: {
+      'react-refresh/only-export-components': 'off',
+    },
+  },
 ]
@@ -1,59 +1,124 @@
-import Search from './components/Search.jsx';
-// ✅ What it does: Importing the Search component
-// 🧠 What to know: Components must be imported before use
-// ❓ Why we used it: To render a reusable search bar component
-
-import { useEffect, useState } from 'react';
+import { useEffect, useRef, useState } from 'react';
 // ✅ What it does: Imports React hooks
 // 🧠 What to know: useState stores data; useEffect runs side effects
 // ❓ Why we used it: To manage and react to state changes (like loading, fetching)
 
-import Spinner from './components/Spinner.jsx';
-// ✅ What it does: Imports the Spinner loading component
-// 🧠 What to know: Shows a loading animation when data is being fetched
-// ❓ Why we used it: To improve user experience during API calls
-
-import MovieCard from './components/MovieCard.jsx';
-// ✅ What it does: Imports component to display each movie
-// 🧠 What to know: Receives movie data as props
-// ❓ Why we used it: To show movie title, image etc., in a clean format
+import { Outlet, ScrollRestoration, useLocation, useNavigate } from 'react-router';
+// ✅ What it does: Imports routing helpers
+// 🧠 What to know: Outlet renders the page for the current route
+// ❓ Why we used it: So every page shares the data and layout defined here
 
-import { useDebounce } from 'react-use';
-// ✅ What it does: Imports a debounce hook
+import { useDebounce, useNetworkState } from 'react-use';
+// ✅ What it does: Imports a debounce hook and an online/offline hook
 // 🧠 What to know: Debounce waits before firing an effect (delay typing response)
-// ❓ Why we used it: To reduce API calls while the user is typing
-
-import { getTrendingMovies, updateSearchCount } from './appwrite.js';
-// ✅ What it does: Imports functions to interact with Appwrite backend
-// 🧠 What to know: These are custom API helpers
+// ❓ Why we used it: To reduce API calls while the user is typing, and to notice when we go offline
+
+import { addRecentSearch } from './recentSearches.js';
+import { recordSearchedMovie } from './recommendations/history.js';
+// ✅ What it does: Imports the helpers that save recent searches and the movie each one found
+// 🧠 What to know: Both are stored in localStorage on this device
+// ❓ Why we used it: So the Search dropdown can suggest them again and "For you" can build on them
+
+import SiteNav from './components/SiteNav.jsx';
+// ✅ What it does: Imports the top navigation bar
+// 🧠 What to know: Shows how many movies are on each list
+// ❓ Why we used it: To move between pages without typing URLs
+
+import {
+  createSearchId,
+  getDefaultTrendingWindow,
+  getTrendingMovies,
+  recordFailedSearch,
+  recordSearchConversion,
+  updateSearchCount,
+} from './analytics/index.js';
+// ✅ What it does: Imports functions to read and record search analytics
+// 🧠 What to know: They use Appwrite, localStorage or memory depending on VITE_ANALYTICS_STORAGE
 // ❓ Why we used it: To fetch trending data and update search usage
 
-const API_BASE_URL = 'https://api.themoviedb.org/3';
-// ✅ What it does: Sets the base TMDB API URL
-// 🧠 What to know: Reused in all TMDB requests
-// ❓ Why we used it: To avoid repeating the base URL in every fetch
-
-const API_KEY = import.meta.env.VITE_TMDB_API_KEY;
-// ✅ What it does: Reads API key from env file
-// 🧠 What to know: Vite exposes env variables using import.meta.env
-// ❓ Why we used it: To keep the API key secure and hidden from public code
-
-const API_OPTIONS = {
-  method: 'GET',
-  headers: {
-    accept: 'application/json',
-    Authorization: `Bearer ${API_KEY}`
-    // ✅ What it does: Sets headers for TMDB API request
-    // 🧠 What to know: Authorization is required by TMDB
-    // ❓ Why we used it: TMDB blocks requests without proper headers
-  }
-};
+import { getErrorMessage, tmdbFetch } from './tmdb.js';
+import { features } from './config.js';
+// ✅ What it does: Imports the shared TMDB client
+// 🧠 What to know: tmdbFetch handles caching, retries and cancellation
+// ❓ Why we used it: To keep TMDB requests and their errors in one place
+
+import { buildDiscoverParams, buildSearchParams, matchesFilters, parseFilters, writeFilters } from './filters.js';
+// ✅ What it does: Imports helpers for the discover filters
+// 🧠 What to know: Filters are stored in the URL next to ?q=
+// ❓ Why we used it: To turn the filter panel into TMDB query params
+
+import { useI18n } from './i18n/I18nContext.js';
+// ✅ What it does: Reads the chosen language and region
+// 🧠 What to know: tmdbFetch already sends them; we only need them to know when to reload
+// ❓ Why we used it: Switching language should refetch the grid with localized titles
+
+import ShortcutsHelp from './components/ShortcutsHelp.jsx';
+import { SEARCH_INPUT_ID, useGlobalShortcuts } from './keyboard/shortcuts.js';
+// ✅ What it does: Imports the shortcut help overlay and the global key listener
+// 🧠 What to know: Arrow keys, Enter and "w" are handled by the grid and its cards instead
+// ❓ Why we used it: "/" and "?" work on every page, so they live here
+
+const TRENDING_PAGE_LIMIT = 20;
+// ✅ What it does: How many trending movies we load
+// 🧠 What to know: The home page strip only shows the first 5
+// ❓ Why we used it: The /trending page shows the longer list
+
+const LIST_ROUTES = ['/', '/search'];
+// ✅ What it does: Lists the routes that show the movie grid
+// 🧠 What to know: Only these routes can change the search term or page
+// ❓ Why we used it: So opening a movie doesn't reset the search results
 
 const App = () => {
-  const [searchTerm, setSearchTerm] = useState('');
-  // ✅ What it does: Stores what user types
-  // 🧠 What to know: useState updates trigger re-renders
-  // ❓ Why we used it: To pass input to the API and render results
+  const location = useLocation();
+  const navigate = useNavigate();
+  // ✅ What it does: Reads the current URL and gives us a way to change it
+  // 🧠 What to know: Both update on every navigation, including back/forward
+  // ❓ Why we used it: The URL is the source of truth for the search
+
+  const { t, tmdbLanguage, region } = useI18n();
+  const localeKey = `${tmdbLanguage}_${region}`;
+  // ✅ What it does: One string for the current language and region
+  // 🧠 What to know: Changes when the user picks another language or region
+  // ❓ Why we used it: Used as a useEffect dependency so lists reload localized
+
+  const { online: isOnline } = useNetworkState();
+  // ✅ What it does: Tracks whether the browser has a network connection
+  // 🧠 What to know: Updates on the browser's online/offline events
+  // ❓ Why we used it: Offline, the service worker answers with cached results and we say so
+
+  const [listSearch, setListSearch] = useState(location.search);
+  if (LIST_ROUTES.includes(location.pathname) && listSearch !== location.search) {
+    setListSearch(location.search);
+  }
+  // ✅ What it does: Remembers the query string of the last list page we were on
+  // 🧠 What to know: Updating state during render is fine when it's guarded like this
+  // ❓ Why we used it: On /movie/:id there's no ?q=, but the grid behind it should stay the same
+
+  const listParams = new URLSearchParams(listSearch);
+  const searchTerm = listParams.get('q') || '';
+  const page = Number(listParams.get('page')) || 1;
+  const filters = parseFilters(listParams);
+  const filtersKey = writeFilters(new URLSearchParams(), filters).toString();
+  // ✅ What it does: Reads the search term, page and filters from the URL
+  // 🧠 What to know: page falls back to 1 if missing or invalid; filtersKey is a stable string for useEffect
+  // ❓ Why we used it: So searches can be bookmarked, shared and survive a reload
+
+  const setSearchTerm = (term) => {
+    const params = writeFilters(new URLSearchParams(term ? { q: term } : {}), filters);
+    const path = term ? '/search' : '/';
+    navigate(params.toString() ? `${path}?${params}` : path, { replace: location.pathname === '/search' });
+  };
+  // ✅ What it does: Writes what the user types into the URL
+  // 🧠 What to know: The first keystroke pushes /search, the rest replace it
+  // ❓ Why we used it: So back goes to the page before the search, not one letter back
+
+  const setFilters = (nextFilters) => {
+    const params = writeFilters(new URLSearchParams(searchTerm ? { q: searchTerm } : {}), nextFilters);
+    navigate(params.toString() ? `${location.pathname}?${params}` : location.pathname);
+  };
+  // ✅ What it does: Writes the chosen filters into the URL
+  // 🧠 What to know: Drops ?page= so the filtered list starts from page 1
+  // ❓ Why we used it: So filters survive a reload and can be shared
 
   const [errorMessage, setErrorMessage] = useState('');
   // ✅ What it does: Stores any fetch error message
@@ -67,7 +132,7 @@ const App = () => {
 
   const [trendingMovies, setTrendingMovies] = useState([]);
   // ✅ What it does: Stores trending movies
-  // 🧠 What to know: Filled from Appwrite API
+  // 🧠 What to know: Filled from the analytics storage
   // ❓ Why we used it: To show top trending movies on page
 
   const [isLoading, setIsLoading] = useState(false);
@@ -75,19 +140,54 @@ const App = () => {
   // 🧠 What to know: Tells when to show/hide Spinner
   // ❓ Why we used it: To show feedback during data fetching
 
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
+  // ✅ What it does: Tracks loading for the next page of movies
+  // 🧠 What to know: Separate from isLoading so the grid stays visible
+  // ❓ Why we used it: To show a spinner at the bottom while scrolling
+
+  const [loadMoreError, setLoadMoreError] = useState('');
+  // ✅ What it does: Stores an error from loading the next page
+  // 🧠 What to know: Shown under the grid instead of replacing it
+  // ❓ Why we used it: So one failed page doesn't hide the movies already loaded
+
+  const [totalPages, setTotalPages] = useState(0);
+  // ✅ What it does: Stores how many pages TMDB has for this search
+  // 🧠 What to know: Comes from total_pages in the response
+  // ❓ Why we used it: To know when to stop loading more
+
+  const loadedRef = useRef({ key: null, page: 0 });
+  // ✅ What it does: Remembers which search, filters and how many pages are in moviesList
+  // 🧠 What to know: A ref changes without causing a re-render
+  // ❓ Why we used it: To tell a new search apart from "load the next page"
+
   const [isTrendingLoading, setIsTrendingLoading] = useState(false);
   // ✅ What it does: Tracks loading for trending section
   // 🧠 What to know: Separate state from normal movies loading
   // ❓ Why we used it: To give separate control of spinners
 
+  const [trendingWindow, setTrendingWindow] = useState(getDefaultTrendingWindow);
+  // ✅ What it does: Stores which trending tab is selected
+  // 🧠 What to know: One of the keys in TRENDING_WINDOWS ('24h', '7d', '30d', 'all')
+  // ❓ Why we used it: So users can switch between the last day, the last week and all time
+
+  const trendingRequestRef = useRef(0);
+  // ✅ What it does: Counts trending requests
+  // 🧠 What to know: Only the newest request is allowed to update state
+  // ❓ Why we used it: Switching tabs quickly could let an older response win
+
   const [trendingError, setTrendingError] = useState('');
   // ✅ What it does: Stores error if trending fetch fails
   // 🧠 What to know: Used to conditionally render error message
   // ❓ Why we used it: To show feedback if trending fetch fails
 
-  const [debounceSearchTerm, setDebounceSearchTerm] = useState('');
+  const [peopleList, setPeopleList] = useState([]);
+  // ✅ What it does: Stores actors and directors matching the search
+  // 🧠 What to know: Empty when there's no search term
+  // ❓ Why we used it: So you can search by person and open their page
+
+  const [debounceSearchTerm, setDebounceSearchTerm] = useState(searchTerm);
   // ✅ What it does: Stores delayed search term
-  // 🧠 What to know: Debounced value updates after 500ms
+  // 🧠 What to know: Debounced value updates after 500ms, starts with the term from the URL
   // ❓ Why we used it: To avoid calling API on every keystroke
 
   useDebounce(() => setDebounceSearchTerm(searchTerm), 500, [searchTerm]);
@@ -95,80 +195,170 @@ const App = () => {
   // 🧠 What to know: Runs 500ms after typing stops
   // ❓ Why we used it: Improves performance and reduces API usage
 
-const fetchMovies = async (query = '') => {
-  // ✅ Fetches movies from TMDB based on user input or shows popular movies
-  // 🧠 Async function with optional query parameter
-  // ❓ Used to dynamically load search results or default movie list
+  const unrecordedSearchRef = useRef(null);
+  // ✅ What it does: Holds the search term that still has to be recorded
+  // 🧠 What to know: Set when the debounced term changes, cleared once it's recorded
+  // ❓ Why we used it: Filters and language refetch the same search, which must not count it again
 
-  setIsLoading(true);
+  const recordedSearchRef = useRef(null);
+  // ✅ What it does: Remembers the term and ID of the search that was recorded last
+  // 🧠 What to know: Cleared when the debounced term changes, until the new search is recorded
+  // ❓ Why we used it: Opened results are tied to the search they came from, so conversion can't pass 100%
+
+const fetchMovies = async (listKey, query, filters, region, fromPage, toPage, signal) => {
+  // ✅ Fetches movies from TMDB based on user input or shows popular movies
+  // 🧠 Loads pages fromPage..toPage one after another and stops early on abort; listKey identifies the list being loaded
+  // ❓ Used to load the first page of a search or append the next pages
+
+  const isFirstPage = fromPage === 1;
+  if (isFirstPage) {
+    setIsLoading(true);
+    setMoviesList([]);
+    setTotalPages(0);
+  } else {
+    setIsLoadingMore(true);
+  }
   setErrorMessage('');
-  // ✅ Shows loading spinner and clears previous error
-  // 🧠 React state update triggers re-render
+  setLoadMoreError('');
+  // ✅ Shows the right spinner and clears previous errors
+  // 🧠 A new search starts from an empty list; later pages keep what we have
   // ❓ Improves UX by resetting old messages and showing loading status
 
   try {
-    const endpoint = query
-      ? `${API_BASE_URL}/search/movie?query=${encodeURI(query)}`
-      : `${API_BASE_URL}/discover/movie?sort_by=popularity.desc`;
-    // ✅ Builds the correct API URL for search or popular movies
-    // 🧠 encodeURI prevents issues with spaces/symbols in user input
-    // ❓ Allows flexible fetch based on input or fallback
-
-    const response = await fetch(endpoint, API_OPTIONS);
-    // ✅ Makes the actual API call using fetch
-    // 🧠 Uses custom headers from API_OPTIONS
-    // ❓ Retrieves movie data from TMDB
-
-    if (!response.ok) {
-      throw new Error('Failed to fetch movies');
-    }
-    // ✅ Handles failed API responses
-    // 🧠 response.ok is true for status 200–299
-    // ❓ Prevents silent failure and shows error
-
-    const data = await response.json();
-    // ✅ Parses the JSON body of the response
-    // 🧠 Must convert before accessing data
-    // ❓ Needed to work with results in JavaScript
-
-    if (data.response === 'False') {
-      setErrorMessage(data.Error || 'Failed to fetch movies');
-      setMoviesList([]);
-      return;
-    }
-    // ✅ Handles cases where API sends back an error in the JSON
-    // 🧠 Some APIs include errors in the response body, not status
-    // ❓ Avoids showing bad or empty results on the UI
-
-    setMoviesList(data.results || []);
-    // ✅ Stores movie results into state
-    // 🧠 Fallback to empty array if results are undefined
-    // ❓ Lets MovieCard components render properly
-
-    if (query && data.results.length > 0) {
-      await updateSearchCount(query, data.results[0]);
+    for (let page = fromPage; page <= toPage; page++) {
+      const [path, params] = query
+        ? ['/search/movie', buildSearchParams(filters)]
+        : ['/discover/movie', buildDiscoverParams(filters, region)];
+      if (query) params.set('query', query);
+      params.set('page', page);
+      // ✅ Picks the endpoint and params for search or filtered discover
+      // 🧠 URLSearchParams takes care of encoding spaces/symbols in user input
+      // ❓ Allows flexible fetch based on input or fallback
+
+      const data = await tmdbFetch(path, { params, signal, channel: 'movie-list' });
+      // ✅ Makes the API call through our TMDB client
+      // 🧠 Cached, retried on 429/5xx, and cancelled when a newer search starts
+      // ❓ Retrieves movie data from TMDB as parsed JSON
+
+      if (data.response === 'False') {
+        setErrorMessage('errors.movies');
+        setMoviesList([]);
+        return;
+      }
+      // ✅ Handles cases where API sends back an error in the JSON
+      // 🧠 Some APIs include errors in the response body, not status; we show our own catalog message, not their text
+      // ❓ Avoids showing bad or empty results on the UI
+
+      const results = (data.results || []).filter((movie) => !query || matchesFilters(movie, filters));
+      setMoviesList((previous) => {
+        const seenIds = new Set(previous.map((movie) => movie.id));
+        return [...previous, ...results.filter((movie) => !seenIds.has(movie.id))];
+      });
+      setTotalPages(data.total_pages || 0);
+      loadedRef.current = { key: listKey, page };
+      // ✅ Appends this page to the list, skipping movies we already have
+      // 🧠 Search results are filtered here because /search/movie ignores most filters
+      // ❓ Keeps movie.id keys unique for React
+
+      const isUnrecorded = page === 1 && query === unrecordedSearchRef.current;
+      const topMovie = results[0] ?? data.results?.[0];
+      const searchId = isUnrecorded ? createSearchId() : null;
+      if (isUnrecorded) {
+        unrecordedSearchRef.current = null;
+        recordedSearchRef.current = { term: query, id: searchId };
+      }
+      if (isUnrecorded && topMovie) {
+        addRecentSearch(query);
+        recordSearchedMovie(query, topMovie);
+        await updateSearchCount(query, topMovie, searchId);
+      } else if (isUnrecorded) {
+        await recordFailedSearch(query, searchId);
+      }
+      // ✅ Saves the search to recent searches and history, and sends analytics to backend
+      // 🧠 Only once per debounced term, not on refetches; if our filters hid every hit, TMDB's top result still counts. Searches TMDB found nothing for are logged separately
+      // ❓ Tracks popular user searches, fills the Search dropdown and "For you", and shows failed terms on the dashboard
+
+      if (page >= data.total_pages) break;
+      // ✅ Stops at the last page TMDB has
+      // 🧠 A ?page= in the URL can be larger than total_pages
+      // ❓ Avoids requesting pages that don't exist
     }
-    // ✅ Sends search analytics to backend
-    // 🧠 Only updates if there are results
-    // ❓ Tracks popular user searches
   } catch (error) {
+    if (error.name === 'AbortError') return;
+    // ✅ Ignores requests we cancelled ourselves
+    // 🧠 abort() makes fetch reject with an AbortError
+    // ❓ A newer search is already loading, so this isn't a real error
+
     console.log(`Error fetching movies: ${error}`);
-    setErrorMessage('Error fetching movies. Please try again later.');
+    if (isFirstPage) {
+      setErrorMessage(getErrorMessage(error, 'errors.movies'));
+    } else {
+      setLoadMoreError(getErrorMessage(error, 'errors.loadMore'));
+    }
     // ✅ Logs and sets a user-friendly error message
-    // 🧠 Prevents crash and helps debugging
+    // 🧠 getErrorMessage picks the "rate limited" or "offline" message key when that's what happened
     // ❓ Keeps users informed when something goes wrong
   } finally {
-    setIsLoading(false);
-    // ✅ Always stops the loading spinner
-    // 🧠 finally runs whether error or success
+    if (!signal.aborted) {
+      setIsLoading(false);
+      setIsLoadingMore(false);
+    }
+    // ✅ Stops the loading spinners
+    // 🧠 Skipped when aborted, because the newer request owns the spinners now
     // ❓ Keeps UI state clean and accurate
   }
 };
 
-const loadTrendingMovies = async () => {
-  // ✅ Loads trending movies from Appwrite backend
+const recordSearchOpen = (movie) => {
+  const search = recordedSearchRef.current;
+  if (search && search.term === searchTerm) recordSearchConversion(search.term, movie, search.id);
+};
+// ✅ Logs that a result of the current search was opened
+// 🧠 Skipped while the term is still debouncing or was never recorded, since there's no search to tie it to
+// ❓ Feeds the conversion numbers on the analytics dashboard
+
+const loadMoreMovies = () => {
+  if (isLoading || page > loadedRef.current.page || page >= totalPages) return;
+  // ✅ Does nothing while a page is loading or when there are no more pages
+  // 🧠 page > loaded page means the next page was already requested
+  // ❓ The scroll trigger can fire several times in a row
+
+  const params = new URLSearchParams(listSearch);
+  params.set('page', page + 1);
+  navigate(`${location.pathname}?${params}`, { replace: true });
+  // ✅ Asks for the next page by updating ?page= in the URL
+  // 🧠 replace keeps the history clean while scrolling
+  // ❓ So a reload or back navigation restores every page we loaded
+};
+
+const fetchPeople = async (query, signal) => {
+  try {
+    const data = await tmdbFetch('/search/person', {
+      params: { query },
+      signal,
+      channel: 'person-list',
+    });
+    setPeopleList((data.results || []).filter((person) => ['Acting', 'Directing'].includes(person.known_for_department)));
+    // ✅ Keeps actors and directors from the first page of results
+    // 🧠 Writers, crew etc. also match, but they have no page to show yet
+    // ❓ The people strip is a shortcut, not a full results list
+  } catch (error) {
+    if (error.name === 'AbortError') return;
+    console.error(`Error fetching people: ${error}`);
+    setPeopleList([]);
+    // ✅ Hides the people strip if the request fails
+    // 🧠 The movie grid shows its own error, one message is enough
+    // ❓ People are extra, so we fail quietly
+  }
+};
+
+const loadTrendingMovies = async (timeWindow) => {
+  // ✅ Loads trending movies from the analytics storage
   // 🧠 Async function for trending section only
-  // ❓ Used to show top movies when page loads
+  // ❓ Used to show top movies when page loads or the tab changes
+
+  const requestId = ++trendingRequestRef.current;
+  const isStale = () => requestId !== trendingRequestRef.current;
 
   setIsTrendingLoading(true);
   setTrendingError('');
@@ -177,20 +367,21 @@ const loadTrendingMovies = async () => {
   // ❓ Improves UX while loading trending content
 
   try {
-    const movies = await getTrendingMovies();
+    const movies = await getTrendingMovies({ timeWindow, limit: TRENDING_PAGE_LIMIT });
+    if (isStale()) return;
     setTrendingMovies(movies);
     // ✅ Fetches trending movie list and updates state
-    // 🧠 getTrendingMovies is a custom helper from Appwrite
+    // 🧠 getTrendingMovies is a custom helper from our analytics module
     // ❓ Displays dynamic trending content
   } catch (error) {
     console.error(`Error fetching trending movies: ${error}`);
-    setTrendingError('Failed to load trending movies.');
+    if (!isStale()) setTrendingError('errors.trending');
     // ✅ Handles fetch errors with message and logging
     // 🧠 Keeps error separate from search error
     // ❓ Prevents app crash and informs user
   } finally {
-    setIsTrendingLoading(false);
-    // ✅ Always hides trending spinner
+    if (!isStale()) setIsTrendingLoading(false);
+    // ✅ Hides trending spinner unless a newer request is still loading
     // 🧠 Ensures UI returns to normal
     // ❓ Keeps app clean and responsive
   }
@@ -198,18 +389,77 @@ const loadTrendingMovies = async () => {
 
 
   useEffect(() => {
-    fetchMovies(debounceSearchTerm);
+    unrecordedSearchRef.current = debounceSearchTerm || null;
+    recordedSearchRef.current = null;
   }, [debounceSearchTerm]);
-  // ✅ Runs when debounced search term changes
-  // 🧠 useEffect runs side effects
-  // ❓ Why we used it: To fetch new movies when input changes
+  // ✅ Runs when the debounced search term changes
+  // 🧠 Declared before the fetch effect so the first load of a search URL is recorded too
+  // ❓ Why we used it: To count each search once, however many times its results reload
+
+  useEffect(() => {
+    const loaded = loadedRef.current;
+    const listKey = `${debounceSearchTerm}?${filtersKey}#${localeKey}`;
+    const isNewQuery = loaded.key !== listKey;
+    if (!isNewQuery && page <= loaded.page) return;
+
+    const controller = new AbortController();
+    const filters = parseFilters(new URLSearchParams(filtersKey));
+    fetchMovies(listKey, debounceSearchTerm, filters, region, isNewQuery ? 1 : loaded.page + 1, page, controller.signal);
+    return () => controller.abort();
+  }, [debounceSearchTerm, filtersKey, page, localeKey, region]);
+  // ✅ Runs when debounced search term, filters, page or language changes
+  // 🧠 The cleanup aborts any page loads still running for the old term
+  // ❓ Why we used it: To fetch new movies when input changes or more pages are needed
+
+  useEffect(() => {
+    if (!debounceSearchTerm) {
+      setPeopleList([]);
+      return;
+    }
+
+    const controller = new AbortController();
+    fetchPeople(debounceSearchTerm, controller.signal);
+    return () => controller.abort();
+  }, [debounceSearchTerm, localeKey]);
+  // ✅ Runs when the debounced search term changes
+  // 🧠 Filters and paging don't apply to people, so they aren't dependencies
+  // ❓ Why we used it: To show matching people above the movie grid
+
+  useEffect(() => {
+    if (!features.trendingAnalytics) return;
+    loadTrendingMovies(trendingWindow);
+  }, [trendingWindow]);
+  // ✅ Runs on first render and whenever the trending tab changes
+  // 🧠 Skipped when VITE_ANALYTICS_STORAGE=off, since there is nothing to load
+  // ❓ Why we used it: To load trending when page opens or a tab is picked
+
+  const [isHelpOpen, setIsHelpOpen] = useState(false);
+  const focusSearchRef = useRef(false);
+
+  useGlobalShortcuts({
+    '/': () => {
+      const input = document.getElementById(SEARCH_INPUT_ID);
+      if (input) {
+        input.focus();
+      } else {
+        focusSearchRef.current = true;
+        navigate('/');
+      }
+    },
+    '?': () => setIsHelpOpen((open) => !open),
+  });
+  // ✅ What it does: "/" jumps to the search box and "?" toggles the shortcut help
+  // 🧠 What to know: On pages without a search box, "/" goes home first
+  // ❓ Why we used it: So the site can be used without a mouse
 
   useEffect(() => {
-    loadTrendingMovies();
-  }, []);
-  // ✅ Runs only once on first render
-  // 🧠 useEffect with [] = run once
-  // ❓ Why we used it: To load trending when page opens
+    if (!focusSearchRef.current) return;
+    focusSearchRef.current = false;
+    document.getElementById(SEARCH_INPUT_ID)?.focus();
+  }, [location.pathname]);
+  // ✅ What it does: Focuses the search box once the home page has rendered
+  // 🧠 What to know: Effects run after the new page is in the DOM
+  // ❓ Why we used it: The input doesn't exist yet when "/" is pressed on another page
 
   return (
     <main>
@@ -221,110 +471,62 @@ const loadTrendingMovies = async () => {
         {/* ✅ Page container for all content */}
         {/* ❓ Why we used it: To apply layout styling */}
 
-<header>
-  <img src="./hero.png" alt="Hero Banner" />
-  {/* ✅ Displays a hero/banner image at the top of the page
-      🧠 Should always include an alt tag for accessibility
-      ❓ Used to make the page visually appealing */}
-
-  <h1>
-    Find <span className="text-gradient">Movies</span> You'll Enjoy Without the Hassle
-  </h1>
-  {/* ✅ Main heading of the website
-      🧠 <span> is used to style part of the text (with gradient)
-      ❓ Communicates the main value of the site to users */}
-
-  <Search searchTerm={searchTerm} setSearchTerm={setSearchTerm} />
-  {/* ✅ Renders the Search component
-      🧠 Props are passed down to allow child component to update parent state
-      ❓ Used to let the user type input and trigger movie search */}
-</header>
-
-<section className='trending'>
-  <h2>Trending <span className='text-gradient'>Movies</span></h2>
-  {/* ✅ Subheading for the trending section
-      🧠 Semantic HTML improves accessibility and SEO
-      ❓ Makes it clear this section shows trending content */}
-
-  {isTrendingLoading ? (
-    <Spinner />
-    // ✅ Show loading spinner while trending movies are being fetched
-    // 🧠 Conditional rendering based on loading state
-    // ❓ Gives user feedback that something is loading
-  ) : trendingError ? (
-    <p className="text-red-500">{trendingError}</p>
-    // ✅ Display error message if something goes wrong
-    // 🧠 Helps users understand when something fails
-    // ❓ Better than leaving the section blank on error
-  ) : trendingMovies.length > 0 ? (
-    <ul>
-      {trendingMovies.map((movie, index) => (
-        <li key={movie.$id}>
-          <p>{index + 1}</p>
-          {/* ✅ Display the movie's rank in the list
-              🧠 Index from .map gives current position
-              ❓ Adds context and ordering to movies */}
-
-          <img src={movie.poster_url} alt={movie.title} />
-          {/* ✅ Show the poster image of the movie
-              🧠 Must have an alt tag for accessibility
-              ❓ Visually displays the trending movie */}
-        </li>
-      ))}
-    </ul>
-    // ✅ Render the list of trending movies
-    // 🧠 Always provide a unique key (movie.$id) to help React
-    // ❓ Shows trending data dynamically from Appwrite
-  ) : (
-    <p className="text-gray-400">No trending movies found.</p>
-    // ✅ Fallback if there are no trending movies
-    // 🧠 Ensures there's always something visible in the section
-    // ❓ Prevents confusion when list is empty
-  )}
-</section>
-
-<section className="all-movies">
-  <h2>All <span className='text-gradient'>Movies</span></h2>
-  {/* ✅ Subheading for main movie list
-      🧠 Improves structure and readability
-      ❓ Clarifies this section shows search or popular movies */}
-
-  {isLoading ? (
-    <Spinner />
-    // ✅ Show loading spinner during movie fetch
-    // 🧠 Visual cue that data is being loaded
-    // ❓ Keeps user engaged during wait
-  ) : errorMessage ? (
-    <p className="text-red-500">{errorMessage}</p>
-    // ✅ Show error message if API fails
-    // 🧠 Better than failing silently
-    // ❓ Helps user understand what went wrong
-  ) : (
-    <ul>
-      {moviesList.map((movie) => (
-        <MovieCard key={movie.id} movie={movie} />
-        // ✅ Render each movie using a reusable card component
-        // 🧠 movie.id is used as a unique key for performance
-        // ❓ Keeps UI modular and easy to update
-      ))}
-    </ul>
-    // ✅ Renders all fetched movies as a list
-    // 🧠 Only shown if there’s no error and not loading
-    // ❓ Ensures the UI stays clean and performant
-  )}
-</section>
-
-<h1 className="text-white">{searchTerm}</h1>
-{/* ✅ Display the user's current search input in real-time
-    🧠 Reflecting state improves user feedback
-    ❓ Good for debugging and showing input is working */}
+<SiteNav />
+{/* ✅ Links to home, trending and the personal lists
+    🧠 NavLink highlights the page we're on
+    ❓ So the watchlist and watched pages are one click away */}
+
+{isOnline === false && (
+  <p className="offline-banner" role="status">
+    {t(moviesList.length > 0 ? 'offline.cachedResults' : 'offline.noConnection')}
+  </p>
+)}
+{/* ✅ Banner shown while the browser is offline
+    🧠 The grid keeps working from the service worker's cache of the last results
+    ❓ So users know the list may be out of date */}
+
+<Outlet
+  context={{
+    searchTerm,
+    setSearchTerm,
+    filters,
+    setFilters,
+    moviesList,
+    isLoading,
+    errorMessage,
+    isLoadingMore,
+    loadMoreError,
+    hasMoreMovies: page < totalPages,
+    loadMoreMovies,
+    recordSearchOpen,
+    peopleList,
+    trendingMovies,
+    isTrendingLoading,
+    trendingError,
+    trendingWindow,
+    setTrendingWindow,
+  }}
+/>
+{/* ✅ Renders the page that matches the current URL
+    🧠 Pages read this data with useOutletContext()
+    ❓ Data lives here so going back to the grid doesn't fetch it again */}
+
+{isHelpOpen && <ShortcutsHelp onClose={() => setIsHelpOpen(false)} />}
+{/* ✅ Lists the keyboard shortcuts
+    🧠 Opened with "?", closed with Esc, the button or a click outside
+    ❓ Shortcuts nobody knows about don't help anyone */}
+
+<ScrollRestoration />
+{/* ✅ Restores scroll position on back/forward and scrolls to top on new pages
+    🧠 Works because the grid is already filled when we come back
+    ❓ So closing a movie returns you to the same spot in the list */}
   </div>
     </main>
   );
-    // ✅ Main component that renders the entire app
-   // 🧠 Combines all sections and logic into a single component}
-    // ❓ Used as the root component in main.jsx to start the app
+    // ✅ Layout component that loads data and renders the current page
+   // 🧠 Combines the shared state and the router Outlet
+    // ❓ Used as the root route in main.jsx to start the app
 }
 export default App;
 // ✅ Makes this component available to be used in other files
-// ❓ Why we used it: So main.jsx or other entry files can render it
\ No newline at end of file
+// ❓ Why we used it: So main.jsx or other entry files can render it
\ No newline at end of file
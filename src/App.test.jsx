@@ -0,0 +1,382 @@
+import { act, screen, waitFor, within } from '@testing-library/react'
+import userEvent from '@testing-library/user-event'
+import { http, HttpResponse } from 'msw'
+import { describe, expect, it, vi } from 'vitest'
+import { createAppwriteStorage } from './analytics/appwriteStorage.js'
+import { setAnalyticsStorage } from './analytics/index.js'
+import { movies, page } from './test/fixtures.js'
+import { getDocuments, seedDocuments } from './test/appwriteMock.js'
+import { renderApp } from './test/render.jsx'
+import { server } from './test/server.js'
+import { tmdbError, tmdbUrl } from './test/tmdbMock.js'
+
+const getMovieGrid = () => screen.getByRole('heading', { name: /All Movies/ }).parentElement
+
+const getMovieTitles = () =>
+  within(getMovieGrid()).queryAllByRole('heading', { level: 3 }).map((heading) => heading.textContent)
+
+// Records every /search/movie query so tests can check what was sent and when
+const trackSearches = () => {
+  const queries = []
+  server.events.on('request:start', ({ request }) => {
+    const url = new URL(request.url)
+    if (url.href.startsWith(tmdbUrl('/search/movie'))) queries.push(url.searchParams.get('query'))
+  })
+  return queries
+}
+
+describe('App', () => {
+  it('shows a spinner, then the discover results', async () => {
+    renderApp('/')
+
+    expect(within(getMovieGrid()).getByText('Loading...')).toBeInTheDocument()
+    await waitFor(() => expect(getMovieTitles()).toEqual(['Inception', 'Interstellar', 'Parasite']))
+    expect(within(getMovieGrid()).queryByText('Loading...')).not.toBeInTheDocument()
+    expect(within(getMovieGrid()).getByRole('status')).toHaveTextContent('3 movies in the list')
+  })
+
+  it('debounces typing into a single search request', async () => {
+    const queries = trackSearches()
+    const user = userEvent.setup()
+    const { router } = renderApp('/')
+    await waitFor(() => expect(getMovieTitles()).toHaveLength(3))
+
+    await user.type(screen.getByPlaceholderText('Search through thousands of movies...'), 'inter')
+
+    expect(router.state.location.search).toBe('?q=inter')
+    expect(queries).toEqual([])
+    await waitFor(() => expect(getMovieTitles()).toEqual(['Interstellar']))
+    expect(queries).toEqual(['inter'])
+  })
+
+  it('records a successful search in Appwrite', async () => {
+    renderApp('/search?q=parasite')
+
+    await waitFor(() => expect(getMovieTitles()).toEqual(['Parasite']))
+    await waitFor(() =>
+      expect(getDocuments('movie-counts')).toEqual([
+        expect.objectContaining({ $id: 'movie_103', searchTerm: 'parasite', count: 1 }),
+      ])
+    )
+  })
+
+  it('records a search once when its results reload for new filters', async () => {
+    const { router } = renderApp('/search?q=parasite')
+    await waitFor(() => expect(getDocuments('movie-counts')).toHaveLength(1))
+
+    await act(() => router.navigate('/search?q=parasite&sort=vote_average.desc'))
+    await act(() => router.navigate('/search?q=inception&sort=vote_average.desc'))
+    await waitFor(() => expect(getDocuments('movie-counts')).toHaveLength(2))
+
+    expect(getDocuments('movie-counts')).toEqual([
+      expect.objectContaining({ $id: 'movie_103', searchTerm: 'parasite', count: 1 }),
+      expect.objectContaining({ searchTerm: 'inception', count: 1 }),
+    ])
+    expect(JSON.parse(localStorage.getItem('recent-searches'))).toEqual(['inception', 'parasite'])
+  })
+
+  it('records a search whose results the filters hide against TMDB\'s top result', async () => {
+    renderApp('/search?q=parasite&year_from=2030')
+
+    await waitFor(() =>
+      expect(getDocuments('movie-counts')).toEqual([
+        expect.objectContaining({ $id: 'movie_103', searchTerm: 'parasite', count: 1 }),
+      ])
+    )
+    expect(getMovieTitles()).toEqual([])
+    expect(getDocuments('search-events')).not.toContainEqual(expect.objectContaining({ type: 'no_results' }))
+    expect(JSON.parse(localStorage.getItem('recent-searches'))).toEqual(['parasite'])
+  })
+
+  it('searches for the first movie of a collection picked from the suggestions', async () => {
+    server.use(
+      http.get(tmdbUrl('/search/collection'), () =>
+        HttpResponse.json(page([{ id: 8091, name: 'Alien (Colección)', poster_path: null }]))
+      ),
+      http.get(tmdbUrl('/collection/8091'), () =>
+        HttpResponse.json({
+          id: 8091,
+          name: 'Alien (Colección)',
+          parts: [
+            { id: 679, title: 'Aliens', release_date: '1986-07-18' },
+            { id: 348, title: 'Alien', release_date: '1979-05-25' },
+          ],
+        })
+      )
+    )
+    const user = userEvent.setup()
+    const { router } = renderApp('/')
+    await waitFor(() => expect(getMovieTitles()).toHaveLength(3))
+
+    await user.type(screen.getByPlaceholderText('Search through thousands of movies...'), 'alien')
+    await user.click(await screen.findByRole('option', { name: /Alien \(Colección\)/ }))
+
+    await waitFor(() => expect(router.state.location.search).toBe('?q=Alien'))
+  })
+
+  it('shows the TMDB error message when a request fails', async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {})
+    server.use(http.get(tmdbUrl('/discover/movie'), () => tmdbError(401, 'Invalid API key')))
+
+    renderApp('/')
+
+    expect(await screen.findByText('The TMDB API key is missing or invalid.')).toBeInTheDocument()
+    expect(getMovieTitles()).toEqual([])
+  })
+
+  it('shows the generic error message when the network fails', async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {})
+    server.use(http.get(tmdbUrl('/discover/movie'), () => HttpResponse.error()))
+
+    renderApp('/')
+
+    expect(await screen.findByText('Error fetching movies. Please try again later.')).toBeInTheDocument()
+  })
+
+  it('shows the catalog error, not the payload text, for a response: "False" payload', async () => {
+    server.use(
+      http.get(tmdbUrl('/search/movie'), () => HttpResponse.json({ response: 'False', Error: 'Movie not found!' }))
+    )
+
+    renderApp('/search?q=nothing')
+
+    expect(await screen.findByText('Error fetching movies. Please try again later.')).toBeInTheDocument()
+    expect(screen.queryByText('Movie not found!')).not.toBeInTheDocument()
+    expect(getMovieTitles()).toEqual([])
+  })
+
+  it('renders an empty grid and no error when nothing matches', async () => {
+    server.use(http.get(tmdbUrl('/search/movie'), () => HttpResponse.json(page([]))))
+
+    renderApp('/search?q=zzzz')
+
+    await waitFor(() => expect(within(getMovieGrid()).getByRole('status')).toHaveTextContent('0 movies in the list'))
+    expect(getMovieTitles()).toEqual([])
+    expect(within(getMovieGrid()).queryByText(/Error/)).not.toBeInTheDocument()
+    expect(getDocuments('movie-counts')).toEqual([])
+    await waitFor(() =>
+      expect(getDocuments('search-events')).toEqual([
+        expect.objectContaining({ searchTerm: 'zzzz', movie_id: null, type: 'no_results' }),
+      ])
+    )
+  })
+
+  it('records which movie was opened from a search', async () => {
+    const user = userEvent.setup()
+    const { router } = renderApp('/search?q=inter')
+    await waitFor(() => expect(getMovieTitles()).toEqual(['Interstellar']))
+
+    await user.click(within(getMovieGrid()).getByRole('heading', { name: 'Interstellar' }))
+
+    expect(router.state.location.pathname).toBe('/movie/102')
+    await waitFor(() =>
+      expect(getDocuments('search-events')).toContainEqual(
+        expect.objectContaining({ searchTerm: 'inter', movie_id: 102, type: 'open' })
+      )
+    )
+    const [search, open] = getDocuments('search-events')
+    expect(search).toMatchObject({ type: 'search', search_id: expect.any(String) })
+    expect(open.search_id).toBe(search.search_id)
+  })
+
+  it('does not record an open for a search that was never recorded', async () => {
+    const user = userEvent.setup()
+    renderApp('/search?q=inter')
+    await waitFor(() => expect(getMovieTitles()).toEqual(['Interstellar']))
+    await waitFor(() => expect(getDocuments('search-events')).toHaveLength(1))
+
+    await user.type(screen.getByPlaceholderText('Search through thousands of movies...'), 'st')
+    await user.click(within(getMovieGrid()).getByRole('heading', { name: 'Interstellar' }))
+
+    expect(getDocuments('search-events')).toEqual([expect.objectContaining({ searchTerm: 'inter', type: 'search' })])
+  })
+
+  it('shows trending searches from Appwrite', async () => {
+    const today = new Date().toISOString().slice(0, 10)
+    seedDocuments('daily-counts', [
+      { searchTerm: 'interstellar', movie_id: 102, poster_path: '/interstellar.jpg', day: today, count: 2 },
+      { searchTerm: 'inception', movie_id: 101, poster_path: '/inception.jpg', day: today, count: 1 },
+    ])
+
+    renderApp('/')
+
+    const trending = screen.getByRole('heading', { name: /Trending/ }).parentElement
+    await waitFor(() =>
+      expect(within(trending).getAllByRole('link').map((link) => link.getAttribute('href'))).toEqual([
+        '/trending',
+        '/movie/102',
+        '/movie/101',
+      ])
+    )
+  })
+
+  it('shows the empty trending message when nobody has searched yet', async () => {
+    renderApp('/')
+
+    expect(await screen.findByText('No trending movies found.')).toBeInTheDocument()
+  })
+
+  it('only offers all-time trending when there are no search events', async () => {
+    setAnalyticsStorage({ ...createAppwriteStorage(), supportsTimeWindows: false })
+    seedDocuments('movie-counts', [{ $id: 'movie_102', searchTerm: 'interstellar', movie_id: 102, poster_path: '/interstellar.jpg', count: 2 }])
+
+    try {
+      renderApp('/')
+
+      expect(screen.getAllByRole('tab').map((tab) => tab.textContent)).toEqual(['All time'])
+      expect(screen.getByRole('tab', { name: 'All time' })).toHaveAttribute('aria-selected', 'true')
+      await waitFor(() => expect(screen.getByRole('link', { name: /^1/ })).toHaveAttribute('href', '/movie/102'))
+    } finally {
+      setAnalyticsStorage(createAppwriteStorage())
+    }
+  })
+
+  it('keeps the first page when navigating away and back', async () => {
+    const { router } = renderApp('/')
+    await waitFor(() => expect(getMovieTitles()).toHaveLength(3))
+
+    await act(() => router.navigate('/trending'))
+    await act(() => router.navigate(-1))
+
+    expect(getMovieTitles()).toEqual(movies.map((movie) => movie.title))
+  })
+
+  it('limits discover results to the services in the providers filter', async () => {
+    const requests = []
+    server.events.on('request:start', ({ request }) => {
+      if (request.url.startsWith(tmdbUrl('/discover/movie'))) requests.push(new URL(request.url).searchParams)
+    })
+
+    renderApp('/?providers=8,337')
+
+    await waitFor(() => expect(getMovieTitles()).toHaveLength(3))
+    expect(requests).toHaveLength(1)
+    expect(requests[0].get('with_watch_providers')).toBe('8|337')
+    expect(requests[0].get('with_watch_monetization_types')).toBe('flatrate')
+    expect(requests[0].get('watch_region')).toBe('US')
+  })
+
+  it('moves focus across the grid with the arrow keys and opens a movie with Enter', async () => {
+    const user = userEvent.setup()
+    const { router } = renderApp('/')
+    await waitFor(() => expect(getMovieTitles()).toHaveLength(3))
+    const cards = within(getMovieGrid()).getAllByRole('group')
+
+    act(() => cards[0].focus())
+    await user.keyboard('{ArrowRight}')
+    expect(cards[1]).toHaveFocus()
+    await user.keyboard('{End}')
+    expect(cards[2]).toHaveFocus()
+    await user.keyboard('{ArrowLeft}{Enter}')
+
+    expect(router.state.location.pathname).toBe('/movie/102')
+  })
+
+  it('focuses the search box with "/" from any page', async () => {
+    const user = userEvent.setup()
+    const { router } = renderApp('/trending')
+    await screen.findByText('No trending movies found.')
+
+    await user.keyboard('/')
+
+    expect(router.state.location.pathname).toBe('/')
+    expect(screen.getByRole('combobox', { name: 'Search movies' })).toHaveFocus()
+
+    await user.keyboard('w')
+    expect(router.state.location.search).toBe('?q=w')
+  })
+
+  it('opens and closes the shortcut help with "?" and Escape', async () => {
+    const user = userEvent.setup()
+    renderApp('/')
+    await waitFor(() => expect(getMovieTitles()).toHaveLength(3))
+
+    await user.keyboard('?')
+
+    const dialog = screen.getByRole('dialog', { name: 'Keyboard shortcuts' })
+    expect(within(dialog).getByText('Focus the search box')).toBeInTheDocument()
+    expect(within(dialog).getByRole('button', { name: 'Got it' })).toHaveFocus()
+
+    await user.keyboard('{Escape}')
+    expect(screen.queryByRole('dialog')).not.toBeInTheDocument()
+  })
+
+  it('shows "For you" picks from the local history, without movies already on a list', async () => {
+    const arrival = { ...movies[1], id: 201, title: 'Arrival', genre_ids: [878] }
+    const tenet = { ...movies[0], id: 202, title: 'Tenet', genre_ids: [28] }
+    const dune = { ...movies[1], id: 203, title: 'Dune', genre_ids: [878] }
+    localStorage.setItem('viewing-history', JSON.stringify({
+      searches: [{ term: 'inception', movie: { id: 101, title: 'Inception', genre_ids: [28, 878] }, at: '2026-10-01T10:00:00.000Z' }],
+      opened: [{ id: 102, title: 'Interstellar', genre_ids: [12, 878], at: '2026-10-02T10:00:00.000Z' }],
+    }))
+    localStorage.setItem('movie-lists', JSON.stringify({ watchlist: { 202: { list: 'watchlist', movie: tenet } } }))
+    server.use(
+      http.get(tmdbUrl('/movie/:id/recommendations'), ({ params }) =>
+        HttpResponse.json(page(params.id === '101' ? [arrival, movies[1]] : [arrival, tenet]))
+      ),
+      http.get(tmdbUrl('/discover/movie'), ({ request }) =>
+        HttpResponse.json(page(new URL(request.url).searchParams.get('with_genres') === '878' ? [dune] : movies))
+      )
+    )
+
+    renderApp('/')
+
+    const forYou = (await screen.findByRole('heading', { name: 'Picked For You' })).parentElement
+    await waitFor(() =>
+      expect(within(forYou).getAllByRole('heading', { level: 3 }).map((heading) => heading.textContent)).toEqual(['Arrival', 'Dune'])
+    )
+    expect(within(forYou).getByText('Because you viewed Interstellar')).toBeInTheDocument()
+    expect(within(forYou).getByText('Because you like Science Fiction')).toBeInTheDocument()
+    expect(getMovieTitles()).toEqual(['Inception', 'Interstellar', 'Parasite'])
+  })
+
+  it('hides "For you" when there is no history yet', async () => {
+    renderApp('/')
+    await waitFor(() => expect(getMovieTitles()).toHaveLength(3))
+
+    expect(screen.queryByRole('heading', { name: 'Picked For You' })).not.toBeInTheDocument()
+  })
+
+  it('opens people from the cast and crew with the keyboard', async () => {
+    server.use(
+      http.get(tmdbUrl('/movie/101'), () =>
+        HttpResponse.json({
+          ...movies[0],
+          genres: [],
+          credits: {
+            cast: [{ id: 6193, credit_id: 'cast-1', name: 'Leonardo DiCaprio', character: 'Cobb' }],
+            crew: [{ id: 525, credit_id: 'crew-1', name: 'Christopher Nolan', job: 'Director' }],
+          },
+        })
+      ),
+      http.get(tmdbUrl('/person/:id'), ({ params }) =>
+        HttpResponse.json({ id: Number(params.id), name: 'Someone', movie_credits: { cast: [], crew: [] } })
+      )
+    )
+    const user = userEvent.setup()
+    const { router } = renderApp('/movie/101')
+
+    const actor = await screen.findByRole('link', { name: /Leonardo DiCaprio/ })
+    expect(actor).toHaveAttribute('href', '/person/6193')
+
+    screen.getByRole('link', { name: /Christopher Nolan/ }).focus()
+    await user.keyboard('{Enter}')
+
+    expect(router.state.location.pathname).toBe('/person/525')
+  })
+
+  it('remembers opened movies and clears the history from settings', async () => {
+    server.use(http.get(tmdbUrl('/watch/providers/movie'), () => HttpResponse.json({ results: [] })))
+    const user = userEvent.setup()
+    const { router } = renderApp('/movie/101')
+    await screen.findByRole('heading', { name: 'Inception' })
+
+    await act(() => router.navigate('/settings'))
+
+    expect(screen.getByText('1 movie opened')).toBeInTheDocument()
+    await user.click(screen.getByRole('button', { name: 'Clear history' }))
+    expect(screen.getByText('0 movies opened')).toBeInTheDocument()
+    expect(screen.getByText('History cleared.')).toBeInTheDocument()
+    expect(localStorage.getItem('viewing-history')).toBeNull()
+  })
+})
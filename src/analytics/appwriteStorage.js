@@ -0,0 +1,146 @@
+import { ID, Query } from "appwrite";
+import { COLLECTION_ID, DAILY_COUNTS_COLLECTION_ID, DATABASE_ID, EVENTS_COLLECTION_ID, database } from '../appwrite.js';
+import { EVENT_TYPES, MAX_DAILY_COUNTS, MAX_EVENTS, getDailyDocumentId, getMovieDocumentId, toDay } from './shared.js';
+
+const EVENTS_PAGE_SIZE = 1000;
+// ✅ What it does: How many events we read per request
+// 🧠 What to know: Events are read page by page until MAX_EVENTS
+// ❓ Why we used it: Appwrite returns at most one page per request
+
+const COUNTS_PAGE_SIZE = 100;
+// ✅ What it does: How many daily count documents we read per request
+// 🧠 What to know: Read page by page until MAX_DAILY_COUNTS
+// ❓ Why we used it: A 30 day window rarely needs more than a page or two
+
+const incrementCount = async (collectionId, documentId, record) => {
+  try {
+    await database.incrementDocumentAttribute(DATABASE_ID, collectionId, documentId, 'count', 1);
+    return;
+  } catch (error) {
+    if (error.code !== 404) throw error;
+  }
+  // ✅ What it does: Increments count on the server if the movie was already searched
+  // 🧠 What to know: The server does +1 itself, so two users searching at once both count
+  // ❓ Why we used it: Reading count and writing count + 1 loses increments under load
+
+  try {
+    await database.createDocument(DATABASE_ID, collectionId, documentId, { ...record, count: 1 });
+  } catch (error) {
+    if (error.code !== 409) throw error;
+    await database.incrementDocumentAttribute(DATABASE_ID, collectionId, documentId, 'count', 1);
+  }
+  // ✅ What it does: Creates the counter document on its first search
+  // 🧠 What to know: 409 means someone else created it a moment ago, so we increment instead
+  // ❓ Why we used it: To start tracking a new movie without racing other users
+};
+
+const incrementMovieCount = (record) =>
+  incrementCount(COLLECTION_ID, getMovieDocumentId(record.movie_id), record);
+
+const incrementDailyCount = async (record) => {
+  if (!DAILY_COUNTS_COLLECTION_ID) return;
+  const day = toDay(Date.now());
+  await incrementCount(DAILY_COUNTS_COLLECTION_ID, getDailyDocumentId(record.movie_id, day), { ...record, day });
+};
+// ✅ What it does: Adds one to the movie's all-time count and to today's count
+// 🧠 What to know: The daily counter is skipped when no daily counts collection is configured
+// ❓ Why we used it: Time-windowed trending sums a few daily counters instead of reading every search
+
+const recordSearchEvent = async (record) => {
+  if (!EVENTS_COLLECTION_ID) return;
+  await database.createDocument(DATABASE_ID, EVENTS_COLLECTION_ID, ID.unique(), record);
+};
+// ✅ What it does: Stores one timestamped event per search
+// 🧠 What to know: Skipped when no events collection is configured
+// ❓ Why we used it: The admin dashboard is built from these events
+
+export const createAppwriteStorage = () => ({
+  name: 'appwrite',
+  supportsTimeWindows: Boolean(DAILY_COUNTS_COLLECTION_ID),
+  supportsReports: Boolean(EVENTS_COLLECTION_ID),
+
+  async recordSearch(record, eventFields = {}) {
+    const results = await Promise.allSettled([
+      incrementMovieCount(record),
+      incrementDailyCount(record),
+      recordSearchEvent({ ...record, ...eventFields, type: EVENT_TYPES.search }),
+    ]);
+    const failed = results.find((result) => result.status === 'rejected');
+    if (failed) throw failed.reason;
+  },
+  // ✅ What it does: Updates the all-time count, today's count and the timestamped events together
+  // 🧠 What to know: allSettled means one failing doesn't stop the other; eventFields (the search_id) only go on the event
+  // ❓ Why we used it: Both feed different trending tabs
+
+  async recordEvent(record) {
+    await recordSearchEvent(record);
+  },
+  // ✅ What it does: Stores an event without touching movie counts
+  // 🧠 What to know: movie_id is null for searches that found nothing
+  // ❓ Why we used it: Failed searches and opened results are only needed by the dashboard
+
+  async listMovieCounts(limit) {
+    const result = await database.listDocuments(DATABASE_ID, COLLECTION_ID, [
+      Query.limit(limit * 4),
+      Query.orderDesc('count')
+    ]);
+    return result.documents;
+  },
+  // ✅ What it does: Returns the most searched documents of all time
+  // 🧠 What to know: Asks for extra rows in case old per-term rows repeat a movie
+  // ❓ Why we used it: Feeds the "All time" tab
+
+  async listDailyCounts(sinceDay) {
+    if (!DAILY_COUNTS_COLLECTION_ID) {
+      throw new Error('VITE_APPWRITE_DAILY_COUNTS_COLLECTION_ID is not set');
+    }
+
+    const counts = [];
+    let cursor = null;
+
+    while (counts.length < MAX_DAILY_COUNTS) {
+      const queries = [
+        Query.greaterThanEqual('day', sinceDay),
+        Query.orderDesc('count'),
+        Query.limit(COUNTS_PAGE_SIZE),
+      ];
+      if (cursor) queries.push(Query.cursorAfter(cursor));
+
+      const result = await database.listDocuments(DATABASE_ID, DAILY_COUNTS_COLLECTION_ID, queries);
+      counts.push(...result.documents);
+      if (result.documents.length < COUNTS_PAGE_SIZE) break;
+      cursor = result.documents[result.documents.length - 1].$id;
+    }
+    return counts;
+  },
+  // ✅ What it does: Reads the per-movie daily counts from a day onwards
+  // 🧠 What to know: One document per movie per day, so this stays small however many people search
+  // ❓ Why we used it: Feeds the time-windowed tabs without sending anyone's searches to the browser
+
+  async listSearchEvents(since) {
+    if (!EVENTS_COLLECTION_ID) {
+      throw new Error('VITE_APPWRITE_EVENTS_COLLECTION_ID is not set');
+    }
+
+    const events = [];
+    let cursor = null;
+
+    while (events.length < MAX_EVENTS) {
+      const queries = [
+        Query.greaterThanEqual('$createdAt', since.toISOString()),
+        Query.orderDesc('$createdAt'),
+        Query.limit(EVENTS_PAGE_SIZE),
+      ];
+      if (cursor) queries.push(Query.cursorAfter(cursor));
+
+      const result = await database.listDocuments(DATABASE_ID, EVENTS_COLLECTION_ID, queries);
+      events.push(...result.documents);
+      if (result.documents.length < EVENTS_PAGE_SIZE) break;
+      cursor = result.documents[result.documents.length - 1].$id;
+    }
+    return events;
+  },
+  // ✅ What it does: Reads every search event newer than a date
+  // 🧠 What to know: cursorAfter pages through results without skipping any
+  // ❓ Why we used it: Feeds the admin dashboard
+});
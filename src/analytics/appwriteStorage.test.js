@@ -0,0 +1,189 @@
+import { http, HttpResponse } from 'msw';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { getTrendingMovies, recordFailedSearch, recordSearchConversion, updateSearchCount } from './index.js';
+import { APPWRITE_ENDPOINT, getDocuments, seedDocuments } from '../test/appwriteMock.js';
+import { server } from '../test/server.js';
+
+const COUNTS = 'movie-counts';
+const DAILY = 'daily-counts';
+const EVENTS = 'search-events';
+const DAY = 24 * 60 * 60 * 1000;
+
+const daysAgo = (days) => new Date(Date.now() - days * DAY).toISOString().slice(0, 10);
+
+const dailyCount = (movieId, searchTerm, day, count) => ({
+  $id: `movie_${movieId}_${day}`,
+  movie_id: movieId,
+  searchTerm,
+  day,
+  count,
+});
+
+describe('updateSearchCount', () => {
+  it('creates a count document the first time a movie is found', async () => {
+    await updateSearchCount('  Inception ', { id: 101, poster_path: '/inception.jpg' });
+
+    expect(getDocuments(COUNTS)).toEqual([
+      expect.objectContaining({
+        $id: 'movie_101',
+        searchTerm: 'inception',
+        movie_id: 101,
+        poster_path: '/inception.jpg',
+        count: 1,
+      }),
+    ]);
+    expect(getDocuments(DAILY)).toEqual([
+      expect.objectContaining({ $id: `movie_101_${daysAgo(0)}`, movie_id: 101, day: daysAgo(0), count: 1 }),
+    ]);
+    expect(getDocuments(EVENTS)).toEqual([
+      expect.objectContaining({ searchTerm: 'inception', movie_id: 101 }),
+    ]);
+  });
+
+  it('increments the existing document instead of creating another', async () => {
+    seedDocuments(COUNTS, [{ $id: 'movie_101', searchTerm: 'inception', movie_id: 101, count: 4 }]);
+
+    await updateSearchCount('inception', { id: 101, poster_path: '/inception.jpg' });
+
+    expect(getDocuments(COUNTS)).toEqual([expect.objectContaining({ $id: 'movie_101', count: 5 })]);
+    expect(getDocuments(DAILY)).toEqual([expect.objectContaining({ day: daysAgo(0), count: 1 })]);
+  });
+
+  it('increments when another client creates the document first', async () => {
+    seedDocuments(COUNTS, [{ $id: 'movie_101', searchTerm: 'inception', movie_id: 101, count: 1 }]);
+    // The first increment misses, then the create conflicts with the other client's document
+    server.use(
+      http.patch(
+        `${APPWRITE_ENDPOINT}/databases/:databaseId/collections/:collectionId/documents/:documentId/count/increment`,
+        () => HttpResponse.json({ message: 'Not found', code: 404 }, { status: 404 }),
+        { once: true }
+      )
+    );
+
+    await updateSearchCount('inception', { id: 101, poster_path: '/inception.jpg' });
+
+    expect(getDocuments(COUNTS)).toEqual([expect.objectContaining({ $id: 'movie_101', count: 2 })]);
+  });
+
+  it('logs instead of throwing when Appwrite fails', async () => {
+    const log = vi.spyOn(console, 'log').mockImplementation(() => {});
+    server.use(
+      http.post(`${APPWRITE_ENDPOINT}/databases/:databaseId/collections/:collectionId/documents`, () =>
+        HttpResponse.json({ message: 'Server error', code: 500 }, { status: 500 })
+      )
+    );
+
+    await expect(updateSearchCount('inception', { id: 101 })).resolves.toBeUndefined();
+    expect(log).toHaveBeenCalledWith(expect.objectContaining({ code: 500 }));
+  });
+});
+
+describe('recordFailedSearch', () => {
+  it('stores a no_results event without touching movie counts', async () => {
+    await recordFailedSearch(' Batmn ');
+
+    expect(getDocuments(COUNTS)).toEqual([]);
+    expect(getDocuments(EVENTS)).toEqual([
+      expect.objectContaining({ searchTerm: 'batmn', movie_id: null, type: 'no_results' }),
+    ]);
+  });
+});
+
+describe('recordSearchConversion', () => {
+  it('stores an open event for the movie', async () => {
+    await recordSearchConversion('Batman', { id: 268, poster_path: '/batman.jpg' });
+
+    expect(getDocuments(COUNTS)).toEqual([]);
+    expect(getDocuments(EVENTS)).toEqual([
+      expect.objectContaining({ searchTerm: 'batman', movie_id: 268, poster_path: '/batman.jpg', type: 'open' }),
+    ]);
+  });
+});
+
+describe('getTrendingMovies', () => {
+  beforeEach(() => vi.useFakeTimers({ toFake: ['Date'] }));
+  afterEach(() => vi.useRealTimers());
+
+  it('ranks all-time counts from highest to lowest', async () => {
+    seedDocuments(COUNTS, [
+      { $id: 'movie_101', searchTerm: 'inception', movie_id: 101, poster_path: '/inception.jpg', count: 2 },
+      { $id: 'movie_102', searchTerm: 'interstellar', movie_id: 102, poster_path: '/interstellar.jpg', count: 7 },
+    ]);
+
+    const trending = await getTrendingMovies({ timeWindow: 'all' });
+
+    expect(trending).toEqual([
+      expect.objectContaining({ movie_id: 102, searchTerm: 'interstellar', count: 7, rank: 1, rankChange: null }),
+      expect.objectContaining({ movie_id: 101, searchTerm: 'inception', count: 2, rank: 2, rankChange: null }),
+    ]);
+  });
+
+  it('limits the number of movies returned', async () => {
+    seedDocuments(COUNTS, [
+      { $id: 'movie_101', movie_id: 101, count: 2 },
+      { $id: 'movie_102', movie_id: 102, count: 7 },
+      { $id: 'movie_103', movie_id: 103, count: 5 },
+    ]);
+
+    const trending = await getTrendingMovies({ timeWindow: 'all', limit: 2 });
+
+    expect(trending.map((movie) => movie.movie_id)).toEqual([102, 103]);
+  });
+
+  it('sums daily counts inside the window and compares them with the previous one', async () => {
+    vi.setSystemTime(new Date('2026-10-19T12:00:00.000Z'));
+    seedDocuments(DAILY, [
+      // Last 7 days
+      dailyCount(103, 'parasite', '2026-10-18', 1),
+      dailyCount(103, 'parasite', '2026-10-17', 2),
+      dailyCount(101, 'inception', '2026-10-16', 2),
+      dailyCount(102, 'interstellar', '2026-10-13', 1),
+      // Half in each period
+      dailyCount(104, 'alien', '2026-10-12', 3),
+      // The 7 days before
+      dailyCount(101, 'inception', '2026-10-11', 2),
+      dailyCount(101, 'inception', '2026-10-09', 3),
+      dailyCount(103, 'parasite', '2026-10-06', 1),
+      // Too old for either
+      dailyCount(102, 'interstellar', '2026-10-04', 9),
+    ]);
+    const requests = [];
+    server.events.on('request:start', ({ request }) => requests.push(new URL(request.url).pathname));
+
+    const trending = await getTrendingMovies({ timeWindow: '7d' });
+
+    expect(trending).toEqual([
+      expect.objectContaining({ movie_id: 103, count: 3, rank: 1, rankChange: 2 }),
+      expect.objectContaining({ movie_id: 101, count: 2, rank: 2, rankChange: -1 }),
+      expect.objectContaining({ movie_id: 104, count: 2, rank: 3, rankChange: -1 }),
+      expect.objectContaining({ movie_id: 102, count: 1, rank: 4, rankChange: 'new' }),
+    ]);
+    expect(requests.every((path) => path.includes(`/collections/${DAILY}/`))).toBe(true);
+  });
+
+  it('keeps the last 24 hours rolling just after midnight', async () => {
+    vi.setSystemTime(new Date('2026-10-19T00:06:00.000Z'));
+    seedDocuments(DAILY, [
+      dailyCount(102, 'interstellar', '2026-10-19', 1),
+      dailyCount(101, 'inception', '2026-10-18', 10),
+      dailyCount(103, 'parasite', '2026-10-17', 5),
+    ]);
+
+    const trending = await getTrendingMovies({ timeWindow: '24h' });
+
+    expect(trending).toEqual([
+      expect.objectContaining({ movie_id: 101, count: 10, rank: 1, rankChange: 1 }),
+      expect.objectContaining({ movie_id: 102, count: 1, rank: 2, rankChange: 'new' }),
+    ]);
+  });
+
+  it('rejects when Appwrite fails', async () => {
+    server.use(
+      http.get(`${APPWRITE_ENDPOINT}/databases/:databaseId/collections/:collectionId/documents`, () =>
+        HttpResponse.json({ message: 'Server error', code: 500 }, { status: 500 })
+      )
+    );
+
+    await expect(getTrendingMovies({ timeWindow: 'all' })).rejects.toMatchObject({ code: 500 });
+  });
+});
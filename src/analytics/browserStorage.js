@@ -0,0 +1,31 @@
+import { createMemoryStorage } from './memoryStorage.js';
+
+const STORAGE_KEY = 'search-analytics';
+
+export const createBrowserStorage = (key = STORAGE_KEY) => {
+  let initialState;
+  try {
+    initialState = JSON.parse(localStorage.getItem(key));
+  } catch {
+    initialState = null;
+  }
+  // ✅ What it does: Loads saved counts and events from localStorage
+  // 🧠 What to know: Broken or missing data just starts empty
+  // ❓ Why we used it: So trending survives a reload without a backend
+
+  const storage = createMemoryStorage({
+    initialState,
+    onChange: (state) => {
+      try {
+        localStorage.setItem(key, JSON.stringify(state));
+      } catch (error) {
+        console.log(error);
+      }
+    },
+  });
+  // ✅ What it does: Reuses the memory adapter and saves after every change
+  // 🧠 What to know: A full or blocked localStorage is logged, not fatal
+  // ❓ Why we used it: Same logic as the memory adapter, plus persistence
+
+  return { ...storage, name: 'local' };
+};
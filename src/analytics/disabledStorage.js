@@ -0,0 +1,24 @@
+export const createDisabledStorage = () => ({
+  name: 'off',
+  supportsTimeWindows: false,
+  supportsReports: false,
+
+  async recordSearch() {},
+  async recordEvent() {},
+  // ✅ What it does: Ignores every search and event
+  // 🧠 What to know: Nothing is stored, not even in this browser
+  // ❓ Why we used it: VITE_ANALYTICS_STORAGE=off means no tracking at all
+
+  async listMovieCounts() {
+    return [];
+  },
+  async listDailyCounts() {
+    return [];
+  },
+  async listSearchEvents() {
+    return [];
+  },
+  // ✅ What it does: Always reports an empty history
+  // 🧠 What to know: The UI hides trending anyway when features.trendingAnalytics is false
+  // ❓ Why we used it: Callers can keep using the adapter without null checks
+});
@@ -0,0 +1,181 @@
+import { ID } from "appwrite";
+import { config } from '../config.js';
+import { createAppwriteStorage } from './appwriteStorage.js';
+import { createBrowserStorage } from './browserStorage.js';
+import { createDisabledStorage } from './disabledStorage.js';
+import { createMemoryStorage } from './memoryStorage.js';
+import { EVENT_TYPES, MAX_EVENTS, TRENDING_LIMIT, TRENDING_WINDOWS, normalizeSearchTerm, rankMovies, toDay } from './shared.js';
+import { buildSearchReport } from './report.js';
+
+export { TRENDING_WINDOWS, normalizeSearchTerm };
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const ADAPTERS = {
+  appwrite: createAppwriteStorage,
+  local: createBrowserStorage,
+  memory: createMemoryStorage,
+  off: createDisabledStorage,
+};
+// ✅ What it does: Lists the storage backends search analytics can use
+// 🧠 What to know: Each one has recordSearch, recordEvent, listMovieCounts, listDailyCounts and listSearchEvents
+// ❓ Why we used it: So the app works with Appwrite, offline, in tests, or not at all
+
+const createStorage = () => ADAPTERS[config.analyticsStorage]();
+// ✅ What it does: Picks the adapter named in VITE_ANALYTICS_STORAGE
+// 🧠 What to know: config.js has already checked the name and filled in the default
+// ❓ Why we used it: Trending keeps working in local development without the cloud
+
+let storage = createStorage();
+
+export const setAnalyticsStorage = (adapter) => {
+  storage = adapter;
+};
+// ✅ What it does: Swaps the storage adapter at runtime
+// 🧠 What to know: Mostly for tests, e.g. setAnalyticsStorage(createMemoryStorage())
+// ❓ Why we used it: Lets tests start from a clean, known state
+
+export const getDefaultTrendingWindow = () => (storage.supportsTimeWindows ? '7d' : 'all');
+// ✅ What it does: Picks the tab trending opens on
+// 🧠 What to know: Falls back to all time when the adapter can't do time windows
+// ❓ Why we used it: Time windows need search events to work
+
+export const getTrendingWindows = () =>
+  Object.keys(TRENDING_WINDOWS).filter((key) => storage.supportsTimeWindows || !TRENDING_WINDOWS[key].days);
+// ✅ What it does: Lists the trending tabs the current adapter can answer
+// 🧠 What to know: Without time windows only "all" is left
+// ❓ Why we used it: So we never offer a tab that can only fail
+
+export const createSearchId = () => ID.unique();
+// ✅ What it does: Makes a new ID for one recorded search
+// 🧠 What to know: The search event and any opens from its results share it
+// ❓ Why we used it: So conversion can count searches that led to an open, not raw opens
+
+export const updateSearchCount = async (searchTerm, movie, searchId = null) => {
+  // ✅ What it does: Adds one to a movie's search count and logs the search event
+  // 🧠 What to know: Counts are stored per movie, not per search term; searchId is only stored on the event
+  // ❓ Why we used it: To track which movies are being searched the most
+
+  try {
+    await storage.recordSearch(
+      {
+        searchTerm: normalizeSearchTerm(searchTerm),
+        movie_id: movie.id,
+        poster_path: movie.poster_path ?? null,
+      },
+      { search_id: searchId }
+    );
+  } catch (error) {
+    console.log(error);
+    // ✅ What it does: Catches and logs any errors
+    // 🧠 What to know: Important for debugging
+    // ❓ Why we used it: Prevents app from crashing silently
+  }
+};
+
+export const recordFailedSearch = async (searchTerm, searchId = null) => {
+  try {
+    await storage.recordEvent({
+      searchTerm: normalizeSearchTerm(searchTerm),
+      movie_id: null,
+      poster_path: null,
+      type: EVENT_TYPES.noResults,
+      search_id: searchId,
+    });
+  } catch (error) {
+    console.log(error);
+  }
+};
+// ✅ What it does: Logs a search that returned no movies
+// 🧠 What to know: Only an event is stored; no movie count changes
+// ❓ Why we used it: So the dashboard can list terms people can't find
+
+export const recordSearchConversion = async (searchTerm, movie, searchId) => {
+  try {
+    await storage.recordEvent({
+      searchTerm: normalizeSearchTerm(searchTerm),
+      movie_id: movie.id,
+      poster_path: movie.poster_path ?? null,
+      type: EVENT_TYPES.open,
+      search_id: searchId,
+    });
+  } catch (error) {
+    console.log(error);
+  }
+};
+// ✅ What it does: Logs that a movie was opened from a search
+// 🧠 What to know: searchId is the recorded search the results came from (see createSearchId)
+// ❓ Why we used it: Searches with an open divided by searches gives each term's conversion rate
+
+const countWithin = (counts, from, to, now) =>
+  counts
+    .map((doc) => {
+      const dayStart = Date.parse(doc.day);
+      const dayEnd = Math.min(dayStart + DAY, now);
+      const overlap = Math.min(dayEnd, to) - Math.max(dayStart, from);
+      return { ...doc, count: ((doc.count ?? 1) * Math.max(overlap, 0)) / (dayEnd - dayStart) };
+    })
+    .filter((doc) => doc.count > 0);
+// ✅ What it does: Counts each daily bucket by how much of it falls between from and to
+// 🧠 What to know: A day half inside the window counts half, assuming its searches were spread evenly; today only runs until now
+// ❓ Why we used it: Counters are per UTC day, but "last 24 hours" shouldn't shrink to a few minutes just after midnight
+
+export const getTrendingMovies = async ({ timeWindow = 'all', limit = TRENDING_LIMIT } = {}) => {
+  // ✅ What it does: Gets the most searched movies for a time window
+  // 🧠 What to know: timeWindow is a key of TRENDING_WINDOWS; errors are left to the caller (App.jsx)
+  // ❓ Why we used it: To display trending content to the user
+
+  const { days } = TRENDING_WINDOWS[timeWindow] ?? TRENDING_WINDOWS.all;
+
+  if (!days) {
+    const documents = await storage.listMovieCounts(limit);
+    return rankMovies(documents)
+      .slice(0, limit)
+      .map((movie) => ({ ...movie, rankChange: null }));
+    // ✅ What it does: Sends the distinct all-time movies back to caller (App.jsx)
+    // 🧠 What to know: All time has no previous period, so rankChange is null
+    // ❓ Why we used it: Needed to dynamically load top searches
+  }
+
+  const now = Date.now();
+  const periodStart = now - days * DAY;
+  const previousStart = periodStart - days * DAY;
+  const counts = await storage.listDailyCounts(toDay(previousStart));
+  // ✅ What it does: Loads daily counts for this period and the one before it
+  // 🧠 What to know: Two periods in one request, split below; that's days * 2 + 1 buckets because the edges cut through a day
+  // ❓ Why we used it: We need last period's ranks to show rank changes
+
+  const current = rankMovies(countWithin(counts, periodStart, now, now)).filter((movie) => Math.round(movie.count) > 0);
+  const previous = rankMovies(countWithin(counts, previousStart, periodStart, now));
+  const previousRanks = new Map(previous.map((movie) => [movie.movie_id, movie.rank]));
+
+  return current.slice(0, limit).map((movie) => {
+    const previousRank = previousRanks.get(movie.movie_id);
+    return { ...movie, count: Math.round(movie.count), rankChange: previousRank ? previousRank - movie.rank : 'new' };
+  });
+  // ✅ What it does: Ranks this period and compares with the previous one
+  // 🧠 What to know: rankChange > 0 = moved up, < 0 = moved down, 'new' = not ranked before; counts are rounded for display
+  // ❓ Why we used it: Shows which movies are rising or falling
+};
+
+export const canReportSearches = () => Boolean(storage.supportsReports);
+// ✅ What it does: Tells if the dashboard has search events to work with
+// 🧠 What to know: Appwrite needs VITE_APPWRITE_EVENTS_COLLECTION_ID for this
+// ❓ Why we used it: So the dashboard can explain what's missing instead of showing zeros
+
+export const getSearchReport = async ({ days }) => {
+  const until = new Date();
+  const since = new Date(until.getTime() - days * DAY);
+  const events = await storage.listSearchEvents(since);
+  const truncated = events.length >= MAX_EVENTS;
+  const oldestEvent = events.reduce((oldest, event) => (event.$createdAt < oldest ? event.$createdAt : oldest), until.toISOString());
+  return {
+    ...buildSearchReport(events, { since, until }),
+    truncated,
+    eventCount: events.length,
+    coveredSince: truncated ? oldestEvent : null,
+  };
+};
+// ✅ What it does: Loads the last `days` of events and summarizes them
+// 🧠 What to know: Adapters stop at MAX_EVENTS, newest first; truncated says so and coveredSince is the oldest event read. Errors are left to the caller
+// ❓ Why we used it: One call gives the dashboard everything it shows
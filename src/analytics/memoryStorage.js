@@ -0,0 +1,59 @@
+import { EVENT_TYPES, MAX_EVENTS, countByDay } from './shared.js';
+
+export const createMemoryStorage = ({ initialState, onChange } = {}) => {
+  const state = {
+    counts: { ...initialState?.counts },
+    events: [...(initialState?.events ?? [])],
+  };
+  // ✅ What it does: Holds per-movie counts and search events in plain objects
+  // 🧠 What to know: counts is keyed by movie_id; events are oldest first
+  // ❓ Why we used it: Easy to inspect in tests and easy to save as JSON
+
+  const addEvent = (event) => {
+    state.events.push({ ...event, $createdAt: new Date().toISOString() });
+    if (state.events.length > MAX_EVENTS) {
+      state.events.splice(0, state.events.length - MAX_EVENTS);
+    }
+  };
+
+  return {
+    name: 'memory',
+    supportsTimeWindows: true,
+    supportsReports: true,
+
+    async recordSearch(record, eventFields = {}) {
+      const existing = state.counts[record.movie_id];
+      state.counts[record.movie_id] = existing
+        ? { ...existing, count: existing.count + 1 }
+        : { ...record, count: 1 };
+
+      addEvent({ ...record, ...eventFields, type: EVENT_TYPES.search });
+      onChange?.(state);
+    },
+    // ✅ What it does: Adds one to the movie's count and stores a timestamped event
+    // 🧠 What to know: Oldest events are dropped past MAX_EVENTS
+    // ❓ Why we used it: Same data the Appwrite adapter keeps, without a server
+
+    async recordEvent(record) {
+      addEvent(record);
+      onChange?.(state);
+    },
+    // ✅ What it does: Stores an event without touching movie counts
+    // 🧠 What to know: Used for searches with no results and opened results
+    // ❓ Why we used it: Those shouldn't count towards trending
+
+    async listMovieCounts(limit) {
+      return Object.values(state.counts)
+        .sort((a, b) => b.count - a.count)
+        .slice(0, limit);
+    },
+
+    async listDailyCounts(sinceDay) {
+      return countByDay(state.events, sinceDay);
+    },
+
+    async listSearchEvents(since) {
+      return state.events.filter((event) => Date.parse(event.$createdAt) >= since.getTime());
+    },
+  };
+};
@@ -0,0 +1,122 @@
+import { EVENT_TYPES, getEventType } from './shared.js';
+import { buildCsv } from '../files.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+export const REPORT_RANGES = [7, 30, 90];
+// ✅ What it does: How many days back the dashboard can look
+// 🧠 What to know: Longer ranges read more events, up to MAX_EVENTS; the dashboard warns when a range hits that cap
+// ❓ Why we used it: Keeps the range picker and the loader in sync
+
+export const TOP_TERMS_LIMIT = 10;
+// ✅ What it does: How many terms the top and zero-result lists show
+// 🧠 What to know: The full table still has every term
+// ❓ Why we used it: Keeps the summary lists short
+
+const toDay = (time) => new Date(time).toISOString().slice(0, 10);
+
+const emptyDays = (since, until) => {
+  const days = new Map();
+  const first = Date.parse(toDay(since.getTime()));
+  for (let time = first; time <= until.getTime(); time += DAY) {
+    days.set(toDay(time), { date: toDay(time), searches: 0, noResults: 0, opens: 0 });
+  }
+  return days;
+};
+// ✅ What it does: Makes one zeroed entry per UTC day in the range
+// 🧠 What to know: Keyed by "YYYY-MM-DD"
+// ❓ Why we used it: Days without searches still show up in the chart
+
+const emptyTerm = (term) => ({ term, searches: 0, noResults: 0, opens: 0, movies: new Map(), searchIds: new Set(), openedIds: new Set() });
+
+const countMovie = (row, event, weight) => {
+  const movie = row.movies.get(event.movie_id) ?? { movie_id: event.movie_id, poster_path: event.poster_path, score: 0 };
+  movie.score += weight;
+  row.movies.set(event.movie_id, movie);
+};
+
+const OPEN_WEIGHT = 1000;
+// ✅ What it does: Makes an opened movie beat any number of top results
+// 🧠 What to know: A term's top result is only a fallback for terms nobody clicked
+// ❓ Why we used it: The movie people actually opened is the real answer to the search
+
+export const buildSearchReport = (events, { since, until }) => {
+  const days = emptyDays(since, until);
+  const terms = new Map();
+
+  events.forEach((event) => {
+    const type = getEventType(event);
+    const day = days.get(toDay(Date.parse(event.$createdAt)));
+    if (!terms.has(event.searchTerm)) terms.set(event.searchTerm, emptyTerm(event.searchTerm));
+    const row = terms.get(event.searchTerm);
+
+    if (type === EVENT_TYPES.open) {
+      row.opens += 1;
+      if (day) day.opens += 1;
+      if (event.search_id) row.openedIds.add(event.search_id);
+      countMovie(row, event, OPEN_WEIGHT);
+      return;
+    }
+
+    row.searches += 1;
+    if (event.search_id) row.searchIds.add(event.search_id);
+    if (day) day.searches += 1;
+    if (type === EVENT_TYPES.noResults) {
+      row.noResults += 1;
+      if (day) day.noResults += 1;
+    } else {
+      countMovie(row, event, 1);
+    }
+  });
+
+  const rows = [...terms.values()]
+    .map(({ movies, searchIds, openedIds, ...row }) => {
+      const [topMovie = null] = [...movies.values()].sort((a, b) => b.score - a.score);
+      const converted = [...searchIds].filter((id) => openedIds.has(id)).length;
+      return {
+        ...row,
+        converted,
+        conversion: row.searches ? converted / row.searches : 0,
+        topMovie: topMovie && { movie_id: topMovie.movie_id, poster_path: topMovie.poster_path },
+      };
+    })
+    .sort((a, b) => b.searches - a.searches || a.term.localeCompare(b.term));
+
+  const totals = rows.reduce(
+    (sum, row) => ({
+      searches: sum.searches + row.searches,
+      noResults: sum.noResults + row.noResults,
+      opens: sum.opens + row.opens,
+      converted: sum.converted + row.converted,
+    }),
+    { searches: 0, noResults: 0, opens: 0, converted: 0 }
+  );
+
+  return {
+    totals: { ...totals, conversion: totals.searches ? totals.converted / totals.searches : 0 },
+    days: [...days.values()],
+    terms: rows,
+    topTerms: rows.filter((row) => row.searches > 0).slice(0, TOP_TERMS_LIMIT),
+    zeroResultTerms: rows
+      .filter((row) => row.noResults > 0)
+      .sort((a, b) => b.noResults - a.noResults)
+      .slice(0, TOP_TERMS_LIMIT),
+  };
+};
+// ✅ What it does: Turns raw events into per-day totals and per-term rows
+// 🧠 What to know: searches counts both found and not-found searches; conversion = searches with at least one open / searches, matched by search_id
+// ❓ Why we used it: Everything on the dashboard comes from this one pass over the events
+
+const CSV_COLUMNS = [
+  ['term', (row) => row.term],
+  ['searches', (row) => row.searches],
+  ['no_results', (row) => row.noResults],
+  ['opens', (row) => row.opens],
+  ['conversion', (row) => row.conversion.toFixed(3)],
+  ['top_movie_id', (row) => row.topMovie?.movie_id ?? ''],
+];
+
+export const toCsv = (rows) => buildCsv(CSV_COLUMNS, rows);
+// ✅ What it does: Turns term rows into CSV text
+// 🧠 What to know: One row per term, with the columns above
+// ❓ Why we used it: So the table can be opened in a spreadsheet
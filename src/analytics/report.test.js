@@ -0,0 +1,112 @@
+import { describe, expect, it } from 'vitest';
+import { buildSearchReport, toCsv } from './report.js';
+
+const since = new Date('2026-10-01T12:00:00Z');
+const until = new Date('2026-10-03T12:00:00Z');
+
+const event = (searchTerm, type, day, movieId = null, searchId = null) => ({
+  searchTerm,
+  type,
+  movie_id: movieId,
+  poster_path: movieId ? `/${movieId}.jpg` : null,
+  search_id: searchId,
+  $createdAt: `2026-10-0${day}T10:00:00.000Z`,
+});
+
+describe('buildSearchReport', () => {
+  const events = [
+    event('batman', 'search', 1, 268, 's1'),
+    event('batman', 'search', 2, 268, 's2'),
+    event('batman', 'open', 2, 414906, 's2'),
+    event('batmn', 'no_results', 2),
+    event('batmn', 'no_results', 3),
+    // Stored before events had a type
+    { searchTerm: 'dune', movie_id: 438631, poster_path: '/dune.jpg', $createdAt: '2026-10-03T09:00:00.000Z' },
+  ];
+
+  it('adds up searches, failures and opens per day, including empty days', () => {
+    const report = buildSearchReport(events, { since, until });
+
+    expect(report.days).toEqual([
+      { date: '2026-10-01', searches: 1, noResults: 0, opens: 0 },
+      { date: '2026-10-02', searches: 2, noResults: 1, opens: 1 },
+      { date: '2026-10-03', searches: 2, noResults: 1, opens: 0 },
+    ]);
+    expect(report.totals).toEqual({ searches: 5, noResults: 2, opens: 1, converted: 1, conversion: 0.2 });
+  });
+
+  it('builds one row per term with conversion and the movie people opened', () => {
+    const { terms } = buildSearchReport(events, { since, until });
+
+    expect(terms).toEqual([
+      { term: 'batman', searches: 2, noResults: 0, opens: 1, converted: 1, conversion: 0.5, topMovie: { movie_id: 414906, poster_path: '/414906.jpg' } },
+      { term: 'batmn', searches: 2, noResults: 2, opens: 0, converted: 0, conversion: 0, topMovie: null },
+      { term: 'dune', searches: 1, noResults: 0, opens: 0, converted: 0, conversion: 0, topMovie: { movie_id: 438631, poster_path: '/dune.jpg' } },
+    ]);
+  });
+
+  it('counts a search with several opens once, and opens without a recorded search not at all', () => {
+    const { terms, totals } = buildSearchReport(
+      [
+        event('alien', 'search', 1, 348, 's1'),
+        event('alien', 'open', 1, 348, 's1'),
+        event('alien', 'open', 1, 679, 's1'),
+        event('alien', 'open', 1, 8077, 's1'),
+        event('alien', 'open', 2, 348, 'never-recorded'),
+        event('alien', 'open', 2, 348),
+      ],
+      { since, until }
+    );
+
+    expect(terms).toEqual([expect.objectContaining({ term: 'alien', searches: 1, opens: 5, converted: 1, conversion: 1 })]);
+    expect(totals.conversion).toBe(1);
+  });
+
+  it('lists the top terms and the terms that found nothing', () => {
+    const report = buildSearchReport(events, { since, until });
+
+    expect(report.topTerms.map((row) => row.term)).toEqual(['batman', 'batmn', 'dune']);
+    expect(report.zeroResultTerms.map((row) => row.term)).toEqual(['batmn']);
+  });
+
+  it('returns zeros for a period without events', () => {
+    const report = buildSearchReport([], { since, until });
+
+    expect(report.totals).toEqual({ searches: 0, noResults: 0, opens: 0, converted: 0, conversion: 0 });
+    expect(report.days).toHaveLength(3);
+    expect(report.terms).toEqual([]);
+  });
+});
+
+describe('toCsv', () => {
+  it('writes a header and quotes values that need it', () => {
+    const csv = toCsv([
+      { term: 'batman', searches: 2, noResults: 0, opens: 1, conversion: 0.5, topMovie: { movie_id: 268 } },
+      { term: 'say "hi", bye', searches: 1, noResults: 1, opens: 0, conversion: 0, topMovie: null },
+    ]);
+
+    expect(csv.split('\r\n')).toEqual([
+      'term,searches,no_results,opens,conversion,top_movie_id',
+      'batman,2,0,1,0.500,268',
+      '"say ""hi"", bye",1,1,0,0.000,',
+    ]);
+  });
+
+  it('keeps terms that look like formulas as plain text', () => {
+    const csv = toCsv([
+      { term: '=1+1', searches: 1, noResults: 0, opens: 0, conversion: 0, topMovie: null },
+      { term: '=HYPERLINK("http://evil.test","x")', searches: 1, noResults: 0, opens: 0, conversion: 0, topMovie: null },
+      { term: '+cmd|calc', searches: 1, noResults: 0, opens: 0, conversion: 0, topMovie: null },
+      { term: '-2', searches: 1, noResults: 0, opens: 0, conversion: 0, topMovie: null },
+      { term: '@sum', searches: 1, noResults: 0, opens: 0, conversion: 0, topMovie: null },
+    ]);
+
+    expect(csv.split('\r\n').slice(1).map((line) => line.split(',')[0])).toEqual([
+      "'=1+1",
+      '"\'=HYPERLINK(""http://evil.test""',
+      "'+cmd|calc",
+      "'-2",
+      "'@sum",
+    ]);
+  });
+});
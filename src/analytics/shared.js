@@ -0,0 +1,114 @@
+export const TRENDING_LIMIT = 5;
+// ✅ What it does: Default number of trending movies
+// 🧠 What to know: Callers can ask for more with the limit option
+// ❓ Why we used it: Avoids a magic number in the query
+
+export const TRENDING_WINDOWS = {
+  '24h': { days: 1 },
+  '7d': { days: 7 },
+  '30d': { days: 30 },
+  all: { days: null },
+};
+// ✅ What it does: Lists the time windows trending can be calculated for
+// 🧠 What to know: days is a rolling window ending now; null = all time. Tab names are trending.windows.* in the catalogs
+// ❓ Why we used it: So a movie popular months ago doesn't stay on top forever
+
+export const toDay = (date) => new Date(date).toISOString().slice(0, 10);
+// ✅ What it does: Turns a date or timestamp into its UTC day, e.g. "2026-10-19"
+// 🧠 What to know: Days sort correctly as plain strings
+// ❓ Why we used it: Trending is counted per day, so every adapter needs the same buckets
+
+export const MAX_EVENTS = 10000;
+// ✅ What it does: Limits how many search events an adapter reads or keeps
+// 🧠 What to know: Older events are dropped first
+// ❓ Why we used it: Keeps a busy month from becoming an unbounded list
+
+export const MAX_DAILY_COUNTS = 1000;
+// ✅ What it does: Limits how many per-day count documents trending reads
+// 🧠 What to know: They're read highest count first, so only the long tail is cut
+// ❓ Why we used it: One document per movie per day stays small, but we still cap it
+
+export const normalizeSearchTerm = (searchTerm) =>
+  searchTerm.trim().replace(/\s+/g, ' ').toLowerCase();
+// ✅ What it does: Cleans up a search term before we store it
+// 🧠 What to know: "Batman", "batman " and "  BATMAN" all become "batman"
+// ❓ Why we used it: So the same search isn't stored as several different rows
+
+export const EVENT_TYPES = {
+  search: 'search',
+  noResults: 'no_results',
+  open: 'open',
+};
+// ✅ What it does: Names the kinds of search events we store
+// 🧠 What to know: search = found movies, no_results = found nothing, open = a result was opened
+// ❓ Why we used it: The dashboard needs failures and clicks, not just successful searches
+
+export const getEventType = (event) => event.type ?? EVENT_TYPES.search;
+// ✅ What it does: Reads an event's type
+// 🧠 What to know: Events stored before types existed were all successful searches
+// ❓ Why we used it: So old data still counts
+
+export const isMovieSearch = (event) => getEventType(event) === EVENT_TYPES.search && event.movie_id != null;
+// ✅ What it does: Tells if an event is a search that found a movie
+// 🧠 What to know: Only these feed trending
+// ❓ Why we used it: Failed searches and opens shouldn't move trending ranks
+
+export const getMovieDocumentId = (movieId) => `movie_${movieId}`;
+// ✅ What it does: Builds the document ID for a movie
+// 🧠 What to know: Same movie = same ID, every time
+// ❓ Why we used it: So there can only ever be one row per movie_id
+
+export const getDailyDocumentId = (movieId, day) => `${getMovieDocumentId(movieId)}_${day}`;
+// ✅ What it does: Builds the document ID for a movie's count on one day
+// 🧠 What to know: e.g. movie_101_2026-10-19, well under Appwrite's 36 character limit
+// ❓ Why we used it: So each day has exactly one counter per movie, like the all-time counts
+
+export const countByDay = (events, sinceDay) => {
+  const counts = new Map();
+  events
+    .filter((event) => isMovieSearch(event) && toDay(event.$createdAt) >= sinceDay)
+    .forEach((event) => {
+      const day = toDay(event.$createdAt);
+      const key = `${event.movie_id}:${day}`;
+      const existing = counts.get(key);
+      if (existing) {
+        existing.count += 1;
+      } else {
+        counts.set(key, { movie_id: event.movie_id, searchTerm: event.searchTerm, poster_path: event.poster_path, day, count: 1 });
+      }
+    });
+  return [...counts.values()];
+};
+// ✅ What it does: Turns raw search events into per-day counts
+// 🧠 What to know: Same shape as the Appwrite daily count documents
+// ❓ Why we used it: The local adapters keep events, but trending works on daily counts
+
+const getPosterPath = (posterUrl) => posterUrl?.match(/\/[^/]+\.\w+$/)?.[0] ?? null;
+// ✅ What it does: Pulls "/abc.jpg" out of an old baked poster_url
+// 🧠 What to know: Older rows stored the full w500 URL instead of the path
+// ❓ Why we used it: So movies searched before the switch still show a poster
+
+export const rankMovies = (documents) => {
+  const movies = new Map();
+  documents.forEach((doc) => {
+    const existing = movies.get(doc.movie_id);
+    if (existing) {
+      existing.count += doc.count ?? 1;
+    } else {
+      movies.set(doc.movie_id, {
+        $id: getMovieDocumentId(doc.movie_id),
+        movie_id: doc.movie_id,
+        searchTerm: doc.searchTerm,
+        poster_path: doc.poster_path ?? getPosterPath(doc.poster_url),
+        count: doc.count ?? 1,
+      });
+    }
+  });
+
+  return [...movies.values()]
+    .sort((a, b) => b.count - a.count)
+    .map((movie, index) => ({ ...movie, rank: index + 1 }));
+};
+// ✅ What it does: Merges documents into one entry per movie_id, sorted by count
+// 🧠 What to know: Events have no count field, so each one counts as 1
+// ❓ Why we used it: Same ranking logic for every adapter and time window
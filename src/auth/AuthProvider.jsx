@@ -0,0 +1,85 @@
+import React, { useEffect, useState } from 'react'
+import { AuthContext } from './AuthContext.js'
+import {
+  canViewAnalytics,
+  getCurrentUser,
+  isAnonymous,
+  isAuthEnabled,
+  logIn,
+  logOut,
+  signUp,
+  startAnonymousSession,
+  upgradeAnonymous,
+} from './session.js'
+
+const AuthProvider = ({ children }) => {
+  const [user, setUser] = useState(null);
+  const [isLoading, setIsLoading] = useState(isAuthEnabled);
+  const [errorMessage, setErrorMessage] = useState('');
+
+  useEffect(() => {
+    if (!isAuthEnabled) return;
+    let ignore = false;
+
+    // Every visitor gets at least an anonymous session so their data can be owner-only
+    const loadSession = async () => {
+      try {
+        const currentUser = (await getCurrentUser()) ?? (await startAnonymousSession());
+        if (!ignore) setUser(currentUser);
+      } catch (error) {
+        console.log(`Error loading session: ${error}`);
+        if (!ignore) setErrorMessage('errors.session');
+      } finally {
+        if (!ignore) setIsLoading(false);
+      }
+    };
+
+    loadSession();
+
+    return () => {
+      ignore = true;
+    };
+  }, []);
+
+  // Wraps an account call so every form shows the same loading and error handling
+  const run = (action) => async (details) => {
+    setErrorMessage('');
+    try {
+      setUser(await action(details));
+      return true;
+    } catch (error) {
+      console.log(error);
+      setErrorMessage(error.message || 'errors.generic');
+      return false;
+    }
+  };
+
+  const value = {
+    user,
+    isLoading,
+    errorMessage,
+    isAuthEnabled,
+    isAnonymous: isAnonymous(user),
+    canViewAnalytics: canViewAnalytics(user),
+    signUp: run((details) => (isAnonymous(user) ? upgradeAnonymous(details) : signUp(details))),
+    // Appwrite won't open a second session, so the anonymous one goes first and comes back if the login fails
+    logIn: run(async (details) => {
+      if (!isAnonymous(user)) return logIn(details);
+      await logOut();
+      try {
+        return await logIn(details);
+      } catch (error) {
+        setUser(await startAnonymousSession());
+        throw error;
+      }
+    }),
+    logOut: run(async () => {
+      await logOut();
+      return startAnonymousSession();
+    }),
+  };
+
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>
+}
+
+export default AuthProvider
@@ -0,0 +1,73 @@
+import { ID, Permission, Role } from "appwrite";
+import { account } from '../appwrite.js';
+import { features } from '../config.js';
+
+export const isAuthEnabled = features.appwrite;
+// ✅ What it does: Tells us if accounts can be used
+// 🧠 What to know: Accounts live in the same Appwrite project as the database
+// ❓ Why we used it: Without a project every visitor stays local and anonymous
+
+export const isAnonymous = (user) => Boolean(user) && !user.email;
+// ✅ What it does: Checks if a user came from an anonymous session
+// 🧠 What to know: Anonymous users have no email until they upgrade
+// ❓ Why we used it: To offer "create account" instead of "log in"
+
+const ADMIN_LABEL = 'admin';
+
+export const isAdmin = (user) => Boolean(user?.labels?.includes(ADMIN_LABEL));
+// ✅ What it does: Checks if a user may see the analytics dashboard
+// 🧠 What to know: Add the "admin" label to a user in the Appwrite console
+// ❓ Why we used it: Labels need no extra collection or team setup
+
+export const canViewAnalytics = (user) => !isAuthEnabled || isAdmin(user);
+// ✅ What it does: Decides who sees the analytics link and page
+// 🧠 What to know: This only hides the UI; the events collection's admin-only Read permission is what protects the data
+// ❓ Why we used it: Without Appwrite, analytics are this browser's own searches, so anyone may look
+
+export const ownerPermissions = (userId) => [
+  Permission.read(Role.user(userId)),
+  Permission.update(Role.user(userId)),
+  Permission.delete(Role.user(userId)),
+];
+// ✅ What it does: Builds document permissions for one user only
+// 🧠 What to know: The collection needs "document security" turned on in Appwrite
+// ❓ Why we used it: So lists, ratings and history can only be read by their owner
+
+export const getCurrentUser = async () => {
+  try {
+    return await account.get();
+  } catch (error) {
+    if (error.code === 401) return null;
+    throw error;
+  }
+};
+// ✅ What it does: Returns the signed-in user, or null
+// 🧠 What to know: 401 just means there is no session yet
+// ❓ Why we used it: Other errors (offline, bad project) should still be reported
+
+export const startAnonymousSession = async () => {
+  await account.createAnonymousSession();
+  return account.get();
+};
+
+export const signUp = async ({ name, email, password }) => {
+  await account.create(ID.unique(), email, password, name);
+  await account.createEmailPasswordSession(email, password);
+  return account.get();
+};
+
+export const logIn = async ({ email, password }) => {
+  await account.createEmailPasswordSession(email, password);
+  return account.get();
+};
+
+export const upgradeAnonymous = async ({ name, email, password }) => {
+  await account.updateEmail(email, password);
+  if (name) await account.updateName(name);
+  return account.get();
+};
+// ✅ What it does: Turns the current anonymous user into a normal account
+// 🧠 What to know: The user ID stays the same, so everything they saved is kept
+// ❓ Why we used it: Visitors can try the app first and register later
+
+export const logOut = () => account.deleteSession('current');
@@ -0,0 +1,55 @@
+import React, { useId, useState } from 'react'
+import { useCustomLists } from '../customLists/CustomListsContext.js'
+import { useI18n } from '../i18n/I18nContext.js'
+
+const AddToList = ({ movie }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [name, setName] = useState('');
+  const { lists, hasMovie, toggleMovie, createList } = useCustomLists();
+  const { t } = useI18n();
+  const menuId = useId();
+
+  const handleCreate = (event) => {
+    event.preventDefault();
+    if (!name.trim()) return;
+    createList({ name, movies: [movie] });
+    setName('');
+  };
+
+  return (
+    // Cards are clickable, so keep clicks and keys in here from also opening the movie
+    <div
+      className="add-to-list"
+      onClick={(event) => event.stopPropagation()}
+      onKeyDown={(event) => event.key === 'Escape' && setIsOpen(false)}
+    >
+      <button type="button" aria-expanded={isOpen} aria-controls={menuId} onClick={() => setIsOpen((open) => !open)}>
+        {t('customLists.addTo')}
+      </button>
+
+      {isOpen && (
+        <div id={menuId} className="menu" role="group" aria-label={t('customLists.addToLabel', { title: movie.title })}>
+          {lists.map((list) => (
+            <label key={list.id}>
+              <input type="checkbox" checked={hasMovie(list.id, movie.id)} onChange={() => toggleMovie(list.id, movie)} />
+              {list.name}
+            </label>
+          ))}
+
+          <form onSubmit={handleCreate}>
+            <input
+              type="text"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              placeholder={t('customLists.newListName')}
+              aria-label={t('customLists.newListName')}
+            />
+            <button type="submit" disabled={!name.trim()}>{t('customLists.create')}</button>
+          </form>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default AddToList
@@ -0,0 +1,202 @@
+import React, { useEffect, useState } from 'react'
+import { Link } from 'react-router'
+import { getErrorMessage, tmdbFetch } from '../tmdb.js'
+import { DEFAULT_FILTERS, SORT_OPTIONS, countActiveFilters } from '../filters.js'
+import { useStreaming } from '../streaming/StreamingContext.js'
+import { useI18n } from '../i18n/I18nContext.js'
+
+const CURRENT_YEAR = new Date().getFullYear();
+// Genre and language lists rarely change, so keep them for a day
+const OPTIONS_TTL = 24 * 60 * 60 * 1000;
+
+const Filters = ({ filters, onChange, isSearch }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [draft, setDraft] = useState(filters);
+  const [appliedKey, setAppliedKey] = useState(JSON.stringify(filters));
+  const [genres, setGenres] = useState([]);
+  const [languages, setLanguages] = useState([]);
+  const [errorMessage, setErrorMessage] = useState('');
+  const [optionsLocale, setOptionsLocale] = useState(null);
+  const { services } = useStreaming();
+  const { t, locale, languageName } = useI18n();
+
+  useEffect(() => {
+    if (!isOpen || optionsLocale === locale) return;
+
+    const fetchOptions = async () => {
+      setErrorMessage('');
+
+      try {
+        const [genreData, languageData] = await Promise.all([
+          tmdbFetch('/genre/movie/list', { ttl: OPTIONS_TTL }),
+          tmdbFetch('/configuration/languages', { ttl: OPTIONS_TTL }),
+        ]);
+
+        setGenres(genreData.genres || []);
+        setLanguages(
+          (languageData || [])
+            .map((language) => ({ code: language.iso_639_1, name: languageName(language.iso_639_1, language.english_name) }))
+            .sort((a, b) => a.name.localeCompare(b.name, locale))
+        );
+        setOptionsLocale(locale);
+      } catch (error) {
+        console.log(`Error fetching filter options: ${error}`);
+        setErrorMessage(getErrorMessage(error, 'errors.filterOptions'));
+      }
+    };
+
+    fetchOptions();
+  }, [isOpen, optionsLocale, locale, languageName]);
+
+  // Filters can also change from the URL (back/forward, shared link), so keep the form in sync
+  const filtersKey = JSON.stringify(filters);
+  if (filtersKey !== appliedKey) {
+    setAppliedKey(filtersKey);
+    setDraft(filters);
+  }
+
+  const updateDraft = (key, value) => setDraft((previous) => ({ ...previous, [key]: value }));
+
+  const toggleGenre = (id) =>
+    updateDraft(
+      'genres',
+      draft.genres.includes(id) ? draft.genres.filter((genreId) => genreId !== id) : [...draft.genres, id]
+    );
+
+  // The filter stores the service IDs themselves, so a shared link shows the same results
+  const toggleMyServices = (checked) =>
+    updateDraft('providers', checked ? services.map((service) => service.provider_id) : []);
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    onChange(draft);
+  };
+
+  const handleReset = () => {
+    setDraft(DEFAULT_FILTERS);
+    onChange(DEFAULT_FILTERS);
+  };
+
+  const activeCount = countActiveFilters(filters);
+
+  return (
+    <div className="filters">
+      <button type="button" className="toggle" onClick={() => setIsOpen(!isOpen)} aria-expanded={isOpen}>
+        {t('filters.toggle')}{activeCount > 0 && <span className="badge">{activeCount}</span>}
+      </button>
+
+      {isOpen && (
+        <form onSubmit={handleSubmit}>
+          {errorMessage && <p className="text-red-500" role="alert">{t(errorMessage)}</p>}
+
+          <fieldset>
+            <legend>{t('filters.genres')}</legend>
+            <div className="genres">
+              {genres.map((genre) => (
+                <label key={genre.id} className={draft.genres.includes(genre.id) ? 'selected' : ''}>
+                  <input
+                    type="checkbox"
+                    checked={draft.genres.includes(genre.id)}
+                    onChange={() => toggleGenre(genre.id)}
+                  />
+                  {genre.name}
+                </label>
+              ))}
+            </div>
+          </fieldset>
+
+          <fieldset>
+            <legend>{t('filters.streaming')}</legend>
+            <label className="my-services">
+              <input
+                type="checkbox"
+                checked={draft.providers.length > 0}
+                disabled={isSearch || (services.length === 0 && draft.providers.length === 0)}
+                onChange={(e) => toggleMyServices(e.target.checked)}
+              />
+              {t('filters.myServices')}
+            </label>
+            {services.length === 0 && (
+              <p className="hint">
+                {t('filters.noServices', { link: <Link to="/settings">{t('filters.chooseServices')}</Link> })}
+              </p>
+            )}
+          </fieldset>
+
+          <div className="fields">
+            <label>
+              {t('filters.yearFrom')}
+              <input
+                type="number" min="1874" max={CURRENT_YEAR + 5} placeholder={t('common.any')}
+                value={draft.yearFrom} onChange={(e) => updateDraft('yearFrom', e.target.value)}
+              />
+            </label>
+            <label>
+              {t('filters.yearTo')}
+              <input
+                type="number" min="1874" max={CURRENT_YEAR + 5} placeholder={t('common.any')}
+                value={draft.yearTo} onChange={(e) => updateDraft('yearTo', e.target.value)}
+              />
+            </label>
+            <label>
+              {t('filters.minRating')}
+              <input
+                type="number" min="0" max="10" step="0.5" placeholder={t('common.any')}
+                value={draft.minRating} onChange={(e) => updateDraft('minRating', e.target.value)}
+              />
+            </label>
+            <label>
+              {t('filters.minVotes')}
+              <input
+                type="number" min="0" step="10" placeholder={t('common.any')}
+                value={draft.minVotes} onChange={(e) => updateDraft('minVotes', e.target.value)}
+              />
+            </label>
+            <label>
+              {t('filters.language')}
+              <select value={draft.language} onChange={(e) => updateDraft('language', e.target.value)}>
+                <option value="">{t('common.any')}</option>
+                {languages.map((language) => (
+                  <option key={language.code} value={language.code}>{language.name}</option>
+                ))}
+              </select>
+            </label>
+            <label>
+              {t('filters.runtimeMin')}
+              <input
+                type="number" min="0" placeholder={t('common.any')} disabled={isSearch}
+                value={draft.runtimeMin} onChange={(e) => updateDraft('runtimeMin', e.target.value)}
+              />
+            </label>
+            <label>
+              {t('filters.runtimeMax')}
+              <input
+                type="number" min="0" placeholder={t('common.any')} disabled={isSearch}
+                value={draft.runtimeMax} onChange={(e) => updateDraft('runtimeMax', e.target.value)}
+              />
+            </label>
+            <label>
+              {t('common.sortBy')}
+              <select value={draft.sortBy} disabled={isSearch} onChange={(e) => updateDraft('sortBy', e.target.value)}>
+                {SORT_OPTIONS.map((option) => (
+                  <option key={option.value} value={option.value}>{t(option.labelKey)}</option>
+                ))}
+              </select>
+            </label>
+          </div>
+
+          {isSearch && (
+            <p className="hint">{t('filters.searchHint')}</p>
+          )}
+
+          <div className="actions">
+            <button type="button" onClick={handleReset}>{t('filters.reset')}</button>
+            <button type="submit" className="apply">{t('filters.apply')}</button>
+          </div>
+        </form>
+      )}
+    </div>
+  )
+}
+
+export default Filters
@@ -0,0 +1,42 @@
+import React from 'react'
+import { Link } from 'react-router'
+import Spinner from './Spinner.jsx'
+import MovieCard from './MovieCard.jsx'
+import { useRecommendations } from '../recommendations/useRecommendations.js'
+import { handleGridKeyDown } from '../keyboard/shortcuts.js'
+import { useI18n } from '../i18n/I18nContext.js'
+
+const ForYou = ({ onSelectMovie }) => {
+  const { picks, isLoading, errorMessage, hasHistory } = useRecommendations();
+  const { t } = useI18n();
+
+  // Nothing to base picks on yet - the popular list below is all we have
+  if (!hasHistory) return null;
+
+  return (
+    <section className="for-you">
+      <h2>{t('forYou.title', { highlight: <span className="text-gradient">{t('forYou.highlight')}</span> })}</h2>
+
+      {isLoading ? (
+        <Spinner />
+      ) : errorMessage ? (
+        <p className="text-red-500" role="alert">{t(errorMessage)}</p>
+      ) : picks.length > 0 ? (
+        <ul onKeyDown={handleGridKeyDown}>
+          {picks.map(({ movie, reason }) => (
+            <li key={movie.id}>
+              <MovieCard movie={movie} onClick={() => onSelectMovie(movie)} />
+              <p className="reason">{t(reason.key, reason.values)}</p>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="text-gray-400">{t('forYou.empty')}</p>
+      )}
+
+      <Link to="/settings" className="manage">{t('forYou.manage')}</Link>
+    </section>
+  )
+}
+
+export default ForYou
@@ -0,0 +1,34 @@
+import React, { useState } from 'react'
+import { clearHistory, loadHistory } from '../recommendations/history.js'
+import { useI18n } from '../i18n/I18nContext.js'
+
+const HistorySettings = () => {
+  const [history, setHistory] = useState(loadHistory);
+  const [isCleared, setIsCleared] = useState(false);
+  const { t } = useI18n();
+
+  const isEmpty = history.searches.length === 0 && history.opened.length === 0;
+
+  const handleClear = () => {
+    clearHistory();
+    setHistory(loadHistory());
+    setIsCleared(true);
+  };
+
+  return (
+    <fieldset className="history-settings">
+      <legend>{t('history.title')}</legend>
+      <p className="hint">{t('history.intro')}</p>
+
+      <ul>
+        <li>{t('history.searches', { count: history.searches.length })}</li>
+        <li>{t('history.opened', { count: history.opened.length })}</li>
+      </ul>
+
+      <button type="button" onClick={handleClear} disabled={isEmpty}>{t('history.clear')}</button>
+      <p role="status">{isCleared && t('history.cleared')}</p>
+    </fieldset>
+  )
+}
+
+export default HistorySettings
@@ -0,0 +1,103 @@
+import React, { useEffect, useRef, useState } from 'react'
+import { Link } from 'react-router'
+import Spinner from './Spinner.jsx'
+import { matchRows, parseImport } from '../customLists/transfer.js'
+import { useCustomLists } from '../customLists/CustomListsContext.js'
+import { readFileText } from '../files.js'
+import { getErrorMessage } from '../tmdb.js'
+import { useI18n } from '../i18n/I18nContext.js'
+
+const ImportList = () => {
+  const [isImporting, setIsImporting] = useState(false);
+  const [errorMessage, setErrorMessage] = useState('');
+  const [report, setReport] = useState(null);
+  const controllerRef = useRef(null);
+  const { createList } = useCustomLists();
+  const { t } = useI18n();
+
+  // Stop matching if the page is left halfway through
+  useEffect(() => () => controllerRef.current?.abort(), []);
+
+  const handleFile = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    setErrorMessage('');
+    setReport(null);
+
+    let parsed;
+    try {
+      parsed = parseImport(await readFileText(file), file.name);
+    } catch (error) {
+      console.log(`Error reading import file: ${error}`);
+      setErrorMessage('customLists.import.unreadable');
+      return;
+    }
+    if (!parsed) {
+      setErrorMessage('customLists.import.invalid');
+      return;
+    }
+
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    setIsImporting(true);
+
+    try {
+      const { movies, unmatched } = await matchRows(parsed.rows, { signal: controller.signal });
+      const name = parsed.name || t('customLists.import.defaultName');
+      const id = createList({ name, description: parsed.description, movies });
+      setReport({ id, name, total: parsed.rows.length, matched: movies.length, unmatched });
+    } catch (error) {
+      if (error.name === 'AbortError') return;
+      console.log(`Error importing list: ${error}`);
+      setErrorMessage(getErrorMessage(error, 'customLists.import.failed'));
+    } finally {
+      if (!controller.signal.aborted) setIsImporting(false);
+    }
+  };
+
+  return (
+    <div className="import-list">
+      <h3>{t('customLists.import.title')}</h3>
+      <p className="hint">{t('customLists.import.hint')}</p>
+
+      <label className="file">
+        {t('customLists.import.choose')}
+        <input type="file" accept=".json,.csv,application/json,text/csv" onChange={handleFile} disabled={isImporting} />
+      </label>
+
+      {isImporting && <Spinner />}
+      {errorMessage && <p className="text-red-500" role="alert">{t(errorMessage)}</p>}
+
+      {report && (
+        <div className="report" role="status">
+          <p>
+            {t('customLists.import.summary', { matched: report.matched, total: report.total, name: report.name })}{' '}
+            <Link to={`/lists/${report.id}`}>{t('customLists.import.open')}</Link>
+          </p>
+
+          {report.unmatched.length > 0 && (
+            <>
+              <p>{t('customLists.import.unmatched', { count: report.unmatched.length })}</p>
+              <ul>
+                {report.unmatched.map((row) => (
+                  <li key={row.line}>
+                    {t('customLists.import.row', {
+                      line: String(row.line),
+                      movie: [row.title || (row.tmdbId && `#${row.tmdbId}`), row.year && `(${row.year})`].filter(Boolean).join(' ') || '—',
+                    })}
+                    {' – '}
+                    {t(`customLists.import.reasons.${row.reason}`)}
+                  </li>
+                ))}
+              </ul>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default ImportList
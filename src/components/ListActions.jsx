@@ -0,0 +1,40 @@
+import React from 'react'
+import AddToList from './AddToList.jsx'
+import { useLists } from '../lists/ListsContext.js'
+import { useI18n } from '../i18n/I18nContext.js'
+
+const ListActions = ({ movie }) => {
+  const { getStatus, toggleWatchlist, markWatched, removeEntry } = useLists();
+  const { watchlist, watched } = getStatus(movie.id);
+  const { t } = useI18n();
+
+  // Cards are clickable, so keep these clicks from also opening the movie
+  const handle = (action) => (event) => {
+    event.stopPropagation();
+    action();
+  };
+
+  return (
+    <div className="list-actions">
+      <button
+        type="button"
+        className={watchlist ? 'active' : ''}
+        aria-pressed={Boolean(watchlist)}
+        onClick={handle(() => toggleWatchlist(movie))}
+      >
+        {watchlist ? t('lists.onWatchlist') : t('lists.addToWatchlist')}
+      </button>
+      <button
+        type="button"
+        className={watched ? 'active' : ''}
+        aria-pressed={Boolean(watched)}
+        onClick={handle(() => (watched ? removeEntry('watched', movie.id) : markWatched(movie)))}
+      >
+        {watched ? t('lists.seen') : t('lists.markSeen')}
+      </button>
+      <AddToList movie={movie} />
+    </div>
+  )
+}
+
+export default ListActions
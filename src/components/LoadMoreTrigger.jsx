@@ -0,0 +1,40 @@
+import React, { useEffect, useRef } from 'react'
+import Spinner from './Spinner.jsx'
+import { useI18n } from '../i18n/I18nContext.js'
+
+const LoadMoreTrigger = ({ onLoadMore, isLoading }) => {
+  const triggerRef = useRef(null);
+  const onLoadMoreRef = useRef(onLoadMore);
+  const { t } = useI18n();
+
+  // App passes a new callback on every render; reading it through a ref keeps the observer alive
+  useEffect(() => {
+    onLoadMoreRef.current = onLoadMore;
+  });
+
+  useEffect(() => {
+    const trigger = triggerRef.current;
+    if (!trigger || isLoading) return;
+
+    // Re-created after every load, so a trigger that is still on screen fires again
+    const observer = new IntersectionObserver(
+      ([entry]) => entry.isIntersecting && onLoadMoreRef.current(),
+      { rootMargin: '400px' }
+    );
+    observer.observe(trigger);
+
+    return () => observer.disconnect();
+  }, [isLoading]);
+
+  return (
+    <div ref={triggerRef} className="load-more">
+      {isLoading && <Spinner />}
+      {/* Stays in the page while loading so keyboard focus isn't lost */}
+      <button type="button" aria-disabled={isLoading} onClick={() => !isLoading && onLoadMore()}>
+        {t('home.loadMore')}
+      </button>
+    </div>
+  )
+}
+
+export default LoadMoreTrigger
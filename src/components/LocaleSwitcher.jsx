@@ -0,0 +1,29 @@
+import React from 'react'
+import { useI18n } from '../i18n/I18nContext.js'
+
+const LocaleSwitcher = () => {
+  const { t, locale, region, locales, regions, setLocale, setRegion, regionName } = useI18n();
+
+  return (
+    <div className="locale-switcher">
+      <label>
+        <span className="sr-only">{t('locale.language')}</span>
+        <select value={locale} onChange={(e) => setLocale(e.target.value)}>
+          {Object.entries(locales).map(([code, { label }]) => (
+            <option key={code} value={code} lang={code}>{label}</option>
+          ))}
+        </select>
+      </label>
+      <label>
+        <span className="sr-only">{t('locale.region')}</span>
+        <select value={region} onChange={(e) => setRegion(e.target.value)}>
+          {regions.map((code) => (
+            <option key={code} value={code}>{regionName(code)}</option>
+          ))}
+        </select>
+      </label>
+    </div>
+  )
+}
+
+export default LocaleSwitcher
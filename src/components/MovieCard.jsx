@@ -1,31 +1,76 @@
-import React from 'react'
+import React, { useId, useRef } from 'react'
+import ListActions from './ListActions.jsx'
+import PosterImage from './PosterImage.jsx'
+import WatchProviders from './WatchProviders.jsx'
+import { useLists } from '../lists/ListsContext.js'
+import { useWatchProviders } from '../streaming/useWatchProviders.js'
+import { useI18n } from '../i18n/I18nContext.js'
+
+const MovieCard = ({ movie, onClick }) => {
+  const { title, vote_average, poster_path, release_date, original_language } = movie;
+  const { getStatus, toggleWatchlist } = useLists();
+  const { watchlist, watched } = getStatus(movie.id);
+  const { t, formatRating, formatYear } = useI18n();
+  const cardRef = useRef(null);
+  const providers = useWatchProviders(movie.id, cardRef);
+  const titleId = useId();
+
+  // Only keys pressed on the card itself - its buttons handle their own
+  const handleKeyDown = (event) => {
+    if (event.target !== event.currentTarget || event.ctrlKey || event.metaKey || event.altKey) return;
+
+    if (event.key === 'Enter') {
+      event.preventDefault();
+      onClick();
+    } else if (event.key === 'w' || event.key === 'W') {
+      event.preventDefault();
+      toggleWatchlist(movie);
+    }
+  };
 
-const MovieCard = ({ movie:
-  { title, vote_average, poster_path, release_date, original_language  } }) => {
   return (
-    <div className='movie-card'>
-      <img
-       src={poster_path ?
-         `https://image.tmdb.org/t/p/w500/${poster_path}` : 
-      '/no-movie.png'} 
-      alt={title}
-      />
+    <div
+      ref={cardRef}
+      className={`movie-card ${onClick ? 'cursor-pointer' : ''}`}
+      onClick={onClick}
+      {...(onClick && {
+        role: 'group',
+        tabIndex: 0,
+        'aria-labelledby': titleId,
+        'aria-keyshortcuts': 'Enter W',
+        'data-grid-item': true,
+        onKeyDown: handleKeyDown,
+      })}
+    >
+      {(watched || watchlist) && (
+        <span className={`list-badge ${watched ? 'watched' : 'watchlist'}`}>
+          {watched
+            ? watched.rating ? t('lists.badgeSeenRated', { rating: watched.rating }) : t('lists.badgeSeen')
+            : t('lists.badgeWatchlist')}
+        </span>
+      )}
+
+      <PosterImage path={poster_path} alt={title} />
 
       <div className='mt-4'>
-        <h3>{title}</h3>
+        <h3 id={titleId}>{title}</h3>
 
         <div className='content'>
           <div className='rating'>
-            <img src='star.svg' alt='Star Icon'/>
-            <p>{vote_average ? vote_average.toFixed(1) : 'N/A'}</p>
+            <img src='/star.svg' alt={t('common.rating')}/>
+            <p>{formatRating(vote_average)}</p>
           </div>
 
         <span>●</span>
         <p className='lang'>{original_language}</p>
 
         <span>●</span>
-        <p className='year'>{release_date ? release_date.split('-')[0] : 'N/A'}</p>
+        <p className='year'>{formatYear(release_date)}</p>
         </div>
+
+        <WatchProviders providers={providers} compact />
+
+        <ListActions movie={movie} />
       </div>
     </div>
   )
@@ -0,0 +1,143 @@
+import { act, screen, waitFor, within } from '@testing-library/react'
+import { http, HttpResponse } from 'msw'
+import userEvent from '@testing-library/user-event'
+import { afterEach, describe, expect, it, vi } from 'vitest'
+import MovieCard from './MovieCard.jsx'
+import { movies } from '../test/fixtures.js'
+import { renderWithProviders } from '../test/render.jsx'
+import { server } from '../test/server.js'
+import { tmdbUrl } from '../test/tmdbMock.js'
+
+const netflix = { provider_id: 8, provider_name: 'Netflix', logo_path: '/netflix.jpg', display_priority: 1 }
+const prime = { provider_id: 9, provider_name: 'Prime Video', logo_path: '/prime.jpg', display_priority: 2 }
+const appleTv = { provider_id: 2, provider_name: 'Apple TV', logo_path: '/apple.jpg', display_priority: 3 }
+
+const mockProviders = (results) =>
+  server.use(http.get(tmdbUrl('/movie/:id/watch/providers'), () => HttpResponse.json({ id: 101, results })))
+
+// Cards only load providers once they're near the screen; scrollIntoView() makes every observed card visible
+const observers = []
+const stubIntersectionObserver = () => {
+  vi.stubGlobal('IntersectionObserver', class {
+    constructor(callback) {
+      this.callback = callback
+      observers.push(this)
+    }
+    observe() {}
+    disconnect() {}
+  })
+  return () => act(() => observers.forEach((observer) => observer.callback([{ isIntersecting: true }])))
+}
+
+describe('MovieCard', () => {
+  afterEach(() => {
+    observers.length = 0
+    vi.unstubAllGlobals()
+  })
+
+  it('shows the title, rating, language and year', () => {
+    renderWithProviders(<MovieCard movie={movies[0]} />)
+
+    expect(screen.getByRole('heading', { name: 'Inception' })).toBeInTheDocument()
+    expect(screen.getByText('8.4')).toBeInTheDocument()
+    expect(screen.getByText('en')).toBeInTheDocument()
+    expect(screen.getByText('2010')).toBeInTheDocument()
+    expect(screen.getByRole('img', { name: 'Inception' })).toHaveAttribute('src', expect.stringContaining('/inception.jpg'))
+  })
+
+  it('falls back to the placeholder poster when there is no poster_path', () => {
+    renderWithProviders(<MovieCard movie={{ ...movies[0], poster_path: null }} />)
+
+    expect(screen.getByRole('img', { name: 'Inception' })).toHaveAttribute('src', '/no-movie.png')
+  })
+
+  it('shows N/A when the rating and release date are missing', () => {
+    renderWithProviders(<MovieCard movie={{ ...movies[0], vote_average: 0, release_date: '' }} />)
+
+    expect(screen.getAllByText('N/A')).toHaveLength(2)
+  })
+
+  it('shows streaming providers for the selected region, with my services first', async () => {
+    localStorage.setItem('locale-settings', JSON.stringify({ locale: 'en', region: 'GB' }))
+    localStorage.setItem('streaming-services', JSON.stringify([prime]))
+    mockProviders({
+      US: { flatrate: [appleTv] },
+      GB: { flatrate: [netflix, prime], rent: [appleTv] },
+    })
+    const scrollIntoView = stubIntersectionObserver()
+
+    renderWithProviders(<MovieCard movie={movies[0]} />)
+    scrollIntoView()
+
+    const stream = (await screen.findByText('Stream')).parentElement
+    expect(within(stream).getAllByRole('img').map((img) => img.alt)).toEqual(['Prime Video', 'Netflix'])
+    expect(within(stream).getByAltText('Prime Video')).toHaveAttribute('title', 'Prime Video (one of your services)')
+    expect(screen.queryByText('Rent')).not.toBeInTheDocument()
+  })
+
+  it('falls back to rent or buy when the movie is not streaming', async () => {
+    mockProviders({ US: { buy: [appleTv, prime, netflix, { ...netflix, provider_id: 10 }] } })
+    const scrollIntoView = stubIntersectionObserver()
+
+    renderWithProviders(<MovieCard movie={movies[0]} />)
+    scrollIntoView()
+
+    const buy = (await screen.findByText('Buy')).parentElement
+    expect(within(buy).getAllByRole('img')).toHaveLength(3)
+    expect(within(buy).getByText('+1')).toBeInTheDocument()
+  })
+
+  it('only asks TMDB for providers once the card scrolls into view, a few at a time', async () => {
+    let inFlight = 0
+    let maxInFlight = 0
+    const requested = []
+    server.use(
+      http.get(tmdbUrl('/movie/:id/watch/providers'), async ({ params }) => {
+        requested.push(Number(params.id))
+        inFlight += 1
+        maxInFlight = Math.max(maxInFlight, inFlight)
+        await new Promise((resolve) => setTimeout(resolve, 10))
+        inFlight -= 1
+        return HttpResponse.json({ id: Number(params.id), results: { US: { flatrate: [netflix] } } })
+      })
+    )
+    const scrollIntoView = stubIntersectionObserver()
+    const cards = Array.from({ length: 10 }, (_, index) => ({ ...movies[0], id: 1000 + index, title: `Movie ${index}` }))
+
+    renderWithProviders(cards.map((movie) => <MovieCard key={movie.id} movie={movie} />))
+    await new Promise((resolve) => setTimeout(resolve, 20))
+    expect(requested).toEqual([])
+
+    scrollIntoView()
+
+    await waitFor(() => expect(screen.getAllByText('Stream')).toHaveLength(10))
+    expect(requested).toHaveLength(10)
+    expect(maxInFlight).toBe(4)
+  })
+
+  it('opens with Enter and toggles the watchlist with "w" when focused', async () => {
+    const user = userEvent.setup()
+    const onClick = vi.fn()
+    renderWithProviders(<MovieCard movie={movies[0]} onClick={onClick} />)
+    const card = screen.getByRole('group', { name: 'Inception' })
+
+    act(() => card.focus())
+    await user.keyboard('w')
+    expect(screen.getByRole('button', { name: '✓ Watchlist' })).toHaveAttribute('aria-pressed', 'true')
+
+    await user.keyboard('{Enter}')
+    expect(onClick).toHaveBeenCalledTimes(1)
+  })
+
+  it('ignores shortcut keys pressed on its buttons', async () => {
+    const user = userEvent.setup()
+    const onClick = vi.fn()
+    renderWithProviders(<MovieCard movie={movies[0]} onClick={onClick} />)
+
+    act(() => screen.getByRole('button', { name: '+ Watchlist' }).focus())
+    await user.keyboard('w')
+
+    expect(screen.getByRole('button', { name: '+ Watchlist' })).toHaveAttribute('aria-pressed', 'false')
+    expect(onClick).not.toHaveBeenCalled()
+  })
+})
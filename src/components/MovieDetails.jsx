@@ -0,0 +1,199 @@
+import React, { useEffect, useState } from 'react'
+import { Link } from 'react-router'
+import Spinner from './Spinner.jsx'
+import MovieCard from './MovieCard.jsx'
+import PersonCard from './PersonCard.jsx'
+import PosterImage from './PosterImage.jsx'
+import ListActions from './ListActions.jsx'
+import WatchedEditor from './WatchedEditor.jsx'
+import WatchProviders from './WatchProviders.jsx'
+import { useLists } from '../lists/ListsContext.js'
+import { useI18n } from '../i18n/I18nContext.js'
+import { handleGridKeyDown } from '../keyboard/shortcuts.js'
+import { getErrorMessage, tmdbFetch } from '../tmdb.js'
+import { recordOpenedMovie } from '../recommendations/history.js'
+
+const CAST_LIMIT = 10;
+const CREW_JOBS = ['Director', 'Screenplay', 'Writer', 'Producer', 'Original Music Composer'];
+
+const findTrailer = (videos = []) =>
+  videos.find((video) => video.site === 'YouTube' && video.type === 'Trailer' && video.official) ||
+  videos.find((video) => video.site === 'YouTube' && video.type === 'Trailer');
+
+const MovieDetails = ({ movieId, onSelectMovie, onClose }) => {
+  const [movie, setMovie] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [errorMessage, setErrorMessage] = useState('');
+  const { watched } = useLists().getStatus(Number(movieId));
+  const { t, locale, region, formatDate, formatMoney, formatRating, formatYear, languageName } = useI18n();
+
+  useEffect(() => {
+    const controller = new AbortController();
+
+    const fetchMovieDetails = async () => {
+      setIsLoading(true);
+      setErrorMessage('');
+
+      try {
+        const data = await tmdbFetch(`/movie/${movieId}`, {
+          params: { append_to_response: 'credits,videos,watch/providers,similar' },
+          signal: controller.signal,
+        });
+        setMovie(data);
+        recordOpenedMovie(data);
+      } catch (error) {
+        if (error.name === 'AbortError') return;
+        console.log(`Error fetching movie details: ${error}`);
+        setErrorMessage(getErrorMessage(error, 'errors.movieDetails'));
+      } finally {
+        if (!controller.signal.aborted) setIsLoading(false);
+      }
+    };
+
+    fetchMovieDetails();
+
+    return () => controller.abort();
+  }, [movieId, locale, region]);
+
+  if (isLoading) {
+    return (
+      <section className="movie-details">
+        <Spinner />
+      </section>
+    );
+  }
+
+  if (errorMessage || !movie) {
+    return (
+      <section className="movie-details">
+        <button type="button" className="back" onClick={onClose}>{t('common.backToMovies')}</button>
+        {errorMessage && <p className="text-red-500" role="alert">{t(errorMessage)}</p>}
+      </section>
+    );
+  }
+
+  const trailer = findTrailer(movie.videos?.results);
+  const cast = (movie.credits?.cast || []).slice(0, CAST_LIMIT);
+  const crew = (movie.credits?.crew || []).filter((member) => CREW_JOBS.includes(member.job));
+  const providers = movie['watch/providers']?.results?.[region];
+  const similar = movie.similar?.results || [];
+
+  return (
+    <section className="movie-details">
+      <button type="button" className="back" onClick={onClose}>{t('common.backToMovies')}</button>
+
+      <div className="overview">
+        <PosterImage path={movie.poster_path} alt={movie.title} sizes="(min-width: 768px) 300px, 100vw" eager />
+
+        <div>
+          <h2>{movie.title}</h2>
+          {movie.tagline && <p className="tagline">{movie.tagline}</p>}
+
+          <div className="content">
+            <div className="rating">
+              <img src="/star.svg" alt={t('common.rating')} />
+              <p>{formatRating(movie.vote_average)}</p>
+            </div>
+            <span>●</span>
+            <p>{formatYear(movie.release_date)}</p>
+            <span>●</span>
+            <p>
+              {movie.runtime
+                ? t('movie.runtime', { hours: Math.floor(movie.runtime / 60), minutes: movie.runtime % 60 })
+                : t('common.notAvailable')}
+            </p>
+          </div>
+
+          <ul className="genres">
+            {movie.genres?.map((genre) => (
+              <li key={genre.id}>{genre.name}</li>
+            ))}
+          </ul>
+
+          <p className="text-light-200">{movie.overview || t('movie.noOverview')}</p>
+
+          <ListActions movie={movie} />
+          {watched && <WatchedEditor entry={watched} />}
+
+          <dl className="facts">
+            <dt>{t('movie.status')}</dt>
+            <dd>{movie.status || t('common.notAvailable')}</dd>
+            <dt>{t('movie.releaseDate')}</dt>
+            <dd>{formatDate(movie.release_date)}</dd>
+            <dt>{t('movie.language')}</dt>
+            <dd className="capitalize">{languageName(movie.original_language)}</dd>
+            <dt>{t('movie.budget')}</dt>
+            <dd>{formatMoney(movie.budget)}</dd>
+            <dt>{t('movie.revenue')}</dt>
+            <dd>{formatMoney(movie.revenue)}</dd>
+          </dl>
+        </div>
+      </div>
+
+      {trailer && (
+        <div>
+          <h3>{t('movie.trailer')}</h3>
+          <iframe
+            className="trailer"
+            src={`https://www.youtube.com/embed/${trailer.key}`}
+            title={trailer.name}
+            allow="accelerometer; autoplay; clipboard-write; encrypted-media; gyroscope; picture-in-picture"
+            allowFullScreen
+          />
+          <a href={`https://www.youtube.com/watch?v=${trailer.key}`} target="_blank" rel="noreferrer">
+            {t('movie.watchOnYouTube')}
+          </a>
+        </div>
+      )}
+
+      {cast.length > 0 && (
+        <div>
+          <h3>{t('movie.cast')}</h3>
+          <ul className="cast">
+            {cast.map((person) => (
+              <li key={person.credit_id}>
+                <PersonCard person={person} />
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {crew.length > 0 && (
+        <div>
+          <h3>{t('movie.crew')}</h3>
+          <ul className="crew">
+            {crew.map((person) => (
+              <li key={person.credit_id}>
+                <Link to={`/person/${person.id}`}>
+                  <p className="name">{person.name}</p>
+                  <p className="role">{person.job}</p>
+                </Link>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <div>
+        <h3>{t('movie.whereToWatch')}</h3>
+        <WatchProviders providers={providers} />
+      </div>
+
+      {similar.length > 0 && (
+        <div className="similar">
+          <h3>{t('movie.similar', { highlight: <span className="text-gradient">{t('common.movies')}</span> })}</h3>
+          <ul onKeyDown={handleGridKeyDown}>
+            {similar.map((item) => (
+              <li key={item.id}>
+                <MovieCard movie={item} onClick={() => onSelectMovie(item.id)} />
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </section>
+  )
+}
+
+export default MovieDetails
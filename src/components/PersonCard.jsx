@@ -0,0 +1,23 @@
+import React from 'react'
+import { Link } from 'react-router'
+import { IMAGE_BASE_URL } from '../tmdb.js'
+import { useI18n } from '../i18n/I18nContext.js'
+
+// A real link, so the person page opens with Enter and screen readers announce it as one
+const PersonCard = ({ person: { id, name, profile_path, known_for_department, character, job } }) => {
+  const { departmentName } = useI18n();
+
+  return (
+    <Link to={`/person/${id}`} className="person-card">
+      <img
+        src={profile_path ? `${IMAGE_BASE_URL}/w185${profile_path}` : '/no-movie.png'}
+        crossOrigin="anonymous"
+        alt=""
+      />
+      <p className="name">{name}</p>
+      <p className="role">{character || job || (known_for_department && departmentName(known_for_department))}</p>
+    </Link>
+  )
+}
+
+export default PersonCard
@@ -0,0 +1,141 @@
+import React, { useEffect, useState } from 'react'
+import Spinner from './Spinner.jsx'
+import MovieCard from './MovieCard.jsx'
+import { IMAGE_BASE_URL, getErrorMessage, tmdbFetch } from '../tmdb.js'
+import { useI18n } from '../i18n/I18nContext.js'
+import { handleGridKeyDown } from '../keyboard/shortcuts.js'
+
+const SORTS = {
+  popularity: (a, b) => b.popularity - a.popularity,
+  newest: (a, b) => (b.release_date || '').localeCompare(a.release_date || ''),
+  oldest: (a, b) => (a.release_date || '9999').localeCompare(b.release_date || '9999'),
+  rating: (a, b) => b.vote_average - a.vote_average,
+  title: (a, b) => a.title.localeCompare(b.title),
+};
+
+// A person can appear in the same movie more than once (two roles, or director and writer)
+const uniqueMovies = (credits) => [...new Map(credits.map((credit) => [credit.id, credit])).values()];
+
+const PersonDetails = ({ personId, onSelectMovie, onClose }) => {
+  const [person, setPerson] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [errorMessage, setErrorMessage] = useState('');
+  const [sortBy, setSortBy] = useState('popularity');
+  const { t, locale, formatDate, departmentName } = useI18n();
+
+  useEffect(() => {
+    const controller = new AbortController();
+
+    const fetchPersonDetails = async () => {
+      setIsLoading(true);
+      setErrorMessage('');
+
+      try {
+        const data = await tmdbFetch(`/person/${personId}`, {
+          params: { append_to_response: 'movie_credits' },
+          signal: controller.signal,
+        });
+        setPerson(data);
+      } catch (error) {
+        if (error.name === 'AbortError') return;
+        console.log(`Error fetching person details: ${error}`);
+        setErrorMessage(getErrorMessage(error, 'errors.personDetails'));
+      } finally {
+        if (!controller.signal.aborted) setIsLoading(false);
+      }
+    };
+
+    fetchPersonDetails();
+
+    return () => controller.abort();
+  }, [personId, locale]);
+
+  if (isLoading) {
+    return (
+      <section className="person-details">
+        <Spinner />
+      </section>
+    );
+  }
+
+  if (errorMessage || !person) {
+    return (
+      <section className="person-details">
+        <button type="button" className="back" onClick={onClose}>{t('common.back')}</button>
+        {errorMessage && <p className="text-red-500" role="alert">{t(errorMessage)}</p>}
+      </section>
+    );
+  }
+
+  const compare = SORTS[sortBy];
+  const acting = uniqueMovies(person.movie_credits?.cast || []).sort(compare);
+  const directing = uniqueMovies((person.movie_credits?.crew || []).filter((credit) => credit.job === 'Director')).sort(compare);
+  const groups = [
+    { key: 'acting', movies: acting },
+    { key: 'directing', movies: directing },
+  ];
+  // Lead with what the person is known for
+  if (person.known_for_department === 'Directing') groups.reverse();
+  const filmography = groups.filter((group) => group.movies.length > 0);
+
+  return (
+    <section className="person-details">
+      <button type="button" className="back" onClick={onClose}>{t('common.back')}</button>
+
+      <div className="overview">
+        <img
+          src={person.profile_path ? `${IMAGE_BASE_URL}/h632${person.profile_path}` : '/no-movie.png'}
+          crossOrigin="anonymous"
+          alt={person.name}
+        />
+
+        <div>
+          <h2>{person.name}</h2>
+
+          <dl className="facts">
+            <dt>{t('person.knownFor')}</dt>
+            <dd>{departmentName(person.known_for_department)}</dd>
+            <dt>{t('person.born')}</dt>
+            <dd>{formatDate(person.birthday)}{person.place_of_birth ? `, ${person.place_of_birth}` : ''}</dd>
+            {person.deathday && (
+              <>
+                <dt>{t('person.died')}</dt>
+                <dd>{formatDate(person.deathday)}</dd>
+              </>
+            )}
+          </dl>
+
+          <p className="biography">{person.biography || t('person.noBiography')}</p>
+        </div>
+      </div>
+
+      <label className="sort">
+        {t('common.sortBy')}
+        <select value={sortBy} onChange={(e) => setSortBy(e.target.value)}>
+          {Object.keys(SORTS).map((key) => (
+            <option key={key} value={key}>{t(`person.sort.${key}`)}</option>
+          ))}
+        </select>
+      </label>
+
+      {filmography.length > 0 ? (
+        filmography.map((group) => (
+          <div key={group.key} className="filmography">
+            <h3>{t(`person.${group.key}`)} <span className="count">{group.movies.length}</span></h3>
+            <ul onKeyDown={handleGridKeyDown}>
+              {group.movies.map((movie) => (
+                <li key={movie.id}>
+                  <MovieCard movie={movie} onClick={() => onSelectMovie(movie.id)} />
+                </li>
+              ))}
+            </ul>
+          </div>
+        ))
+      ) : (
+        <p className="text-gray-400">{t('person.noMovies')}</p>
+      )}
+    </section>
+  )
+}
+
+export default PersonDetails
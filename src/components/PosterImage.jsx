@@ -0,0 +1,49 @@
+import React, { useState } from 'react'
+import { IMAGE_BASE_URL } from '../tmdb.js'
+
+// TMDB's poster size buckets; originals are usually 2000px wide
+const POSTER_WIDTHS = [92, 154, 185, 342, 500, 780];
+const ORIGINAL_WIDTH = 2000;
+const DEFAULT_SIZES = '(min-width: 1024px) 220px, (min-width: 768px) 30vw, (min-width: 480px) 45vw, 90vw';
+
+const buildSrcSet = (path) =>
+  [
+    ...POSTER_WIDTHS.map((width) => `${IMAGE_BASE_URL}/w${width}${path} ${width}w`),
+    `${IMAGE_BASE_URL}/original${path} ${ORIGINAL_WIDTH}w`,
+  ].join(', ');
+
+const PosterImage = ({ path, alt, sizes = DEFAULT_SIZES, className = '', eager = false }) => {
+  const [status, setStatus] = useState({ path, loaded: false, failed: false });
+
+  // A different movie in the same slot starts over with its own placeholder
+  if (status.path !== path) {
+    setStatus({ path, loaded: false, failed: false });
+  }
+
+  if (!path || status.failed) {
+    return (
+      <div className={`poster ${className}`}>
+        <img src="/no-movie.png" alt={alt} />
+      </div>
+    );
+  }
+
+  return (
+    <div className={`poster ${status.loaded ? 'loaded' : ''} ${className}`}>
+      <img className="placeholder" src={`${IMAGE_BASE_URL}/w92${path}`} crossOrigin="anonymous" alt="" aria-hidden="true" />
+      <img
+        src={`${IMAGE_BASE_URL}/w500${path}`}
+        srcSet={buildSrcSet(path)}
+        sizes={sizes}
+        crossOrigin="anonymous"
+        alt={alt}
+        loading={eager ? 'eager' : 'lazy'}
+        decoding="async"
+        onLoad={() => setStatus((current) => ({ ...current, loaded: true }))}
+        onError={() => setStatus((current) => ({ ...current, failed: true }))}
+      />
+    </div>
+  )
+}
+
+export default PosterImage
@@ -0,0 +1,24 @@
+import React from 'react'
+import { useI18n } from '../i18n/I18nContext.js'
+
+const RankChange = ({ change }) => {
+  const { t, formatNumber } = useI18n();
+
+  if (change === null || change === undefined) return null;
+
+  if (change === 'new') {
+    return <span className="rank-change new">{t('trending.rank.new')}</span>;
+  }
+
+  if (change === 0) {
+    return <span className="rank-change same" aria-label={t('trending.rank.same')}>–</span>;
+  }
+
+  return change > 0 ? (
+    <span className="rank-change up" aria-label={t('trending.rank.up', { count: change })}>▲{formatNumber(change)}</span>
+  ) : (
+    <span className="rank-change down" aria-label={t('trending.rank.down', { count: -change })}>▼{formatNumber(-change)}</span>
+  );
+}
+
+export default RankChange
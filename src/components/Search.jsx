@@ -1,27 +1,209 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useId } from 'react';
+import { useDebounce } from 'react-use';
+import { IMAGE_BASE_URL, tmdbFetch } from '../tmdb.js';
+import { getRecentSearches } from '../recentSearches.js';
+import { useI18n } from '../i18n/I18nContext.js';
+import { SEARCH_INPUT_ID } from '../keyboard/shortcuts.js';
 
-const Search = ({ searchTerm, setSearchTerm }) => {
+const MAX_MOVIES = 5;
+const MAX_PEOPLE = 3;
+const MAX_COLLECTIONS = 2;
+const MAX_TERMS = 5;
+
+const toSuggestions = (multiResults, collectionResults) => [
+  ...multiResults
+    .filter((result) => result.media_type === 'movie')
+    .slice(0, MAX_MOVIES)
+    .map((movie) => ({
+      type: 'movie',
+      id: movie.id,
+      label: movie.title,
+      releaseDate: movie.release_date,
+      image: movie.poster_path ?? null,
+    })),
+  ...multiResults
+    .filter((result) => result.media_type === 'person')
+    .slice(0, MAX_PEOPLE)
+    .map((person) => ({
+      type: 'person',
+      id: person.id,
+      label: person.name,
+      detail: person.known_for_department,
+      image: person.profile_path ?? null,
+    })),
+  ...collectionResults.slice(0, MAX_COLLECTIONS).map((collection) => ({
+    type: 'collection',
+    id: collection.id,
+    label: collection.name,
+    image: collection.poster_path ?? null,
+  })),
+];
+
+const Search = ({ searchTerm, setSearchTerm, trendingTerms = [], onSelectSuggestion }) => {
   const [glow, setGlow] = useState(true); // start glowing
+  const [isOpen, setIsOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const [tmdbSuggestions, setTmdbSuggestions] = useState([]);
+  const [suggestionTerm, setSuggestionTerm] = useState(searchTerm);
+  const listId = useId();
+  const { t, locale, formatYear, departmentName } = useI18n();
 
   useEffect(() => {
     const timer = setTimeout(() => setGlow(false), 4000);
     return () => clearTimeout(timer);
   }, []);
 
+  useDebounce(() => setSuggestionTerm(searchTerm.trim()), 250, [searchTerm]);
+
+  useEffect(() => {
+    if (!suggestionTerm) {
+      setTmdbSuggestions([]);
+      return;
+    }
+
+    const controller = new AbortController();
+
+    const fetchSuggestions = async () => {
+      try {
+        const params = { query: suggestionTerm };
+        const [multi, collections] = await Promise.all([
+          tmdbFetch('/search/multi', { params, signal: controller.signal, channel: 'suggestions-multi' }),
+          tmdbFetch('/search/collection', { params, signal: controller.signal, channel: 'suggestions-collection' }),
+        ]);
+        setTmdbSuggestions(toSuggestions(multi.results || [], collections.results || []));
+      } catch (error) {
+        if (error.name !== 'AbortError') console.log(`Error fetching suggestions: ${error}`);
+      }
+    };
+
+    fetchSuggestions();
+    return () => controller.abort();
+  }, [suggestionTerm, locale]);
+
+  // Recent and trending terms are filtered by what's typed; with nothing typed they are all shown
+  const query = searchTerm.trim().toLowerCase();
+  const matchesQuery = (term) => term.toLowerCase().includes(query) && term.toLowerCase() !== query;
+  const recentTerms = getRecentSearches().filter(matchesQuery).slice(0, query ? 3 : MAX_TERMS);
+  const trending = [...new Set(trendingTerms)]
+    .filter((term) => matchesQuery(term) && !recentTerms.some((recent) => recent.toLowerCase() === term))
+    .slice(0, query ? 2 : MAX_TERMS);
+
+  const suggestions = [
+    ...recentTerms.map((term) => ({ type: 'recent', id: term, label: term })),
+    ...trending.map((term) => ({ type: 'trending', id: term, label: term })),
+    ...(query ? tmdbSuggestions : []),
+  ];
+  const showSuggestions = isOpen && suggestions.length > 0;
+
+  const optionId = (index) => `${listId}-option-${index}`;
+
+  const close = () => {
+    setIsOpen(false);
+    setActiveIndex(-1);
+  };
+
+  const select = (suggestion) => {
+    close();
+    if (suggestion.type === 'recent' || suggestion.type === 'trending') {
+      setSearchTerm(suggestion.label);
+    } else {
+      onSelectSuggestion?.(suggestion);
+    }
+  };
+
+  const handleKeyDown = (event) => {
+    if (suggestions.length === 0) return;
+
+    switch (event.key) {
+      case 'ArrowDown':
+        event.preventDefault();
+        setIsOpen(true);
+        setActiveIndex((index) => (index + 1) % suggestions.length);
+        break;
+      case 'ArrowUp':
+        event.preventDefault();
+        setIsOpen(true);
+        setActiveIndex((index) => (index <= 0 ? suggestions.length - 1 : index - 1));
+        break;
+      case 'Enter':
+        if (showSuggestions && activeIndex >= 0) {
+          event.preventDefault();
+          select(suggestions[activeIndex]);
+        } else {
+          close();
+        }
+        break;
+      case 'Escape':
+        if (showSuggestions) {
+          event.preventDefault();
+          close();
+        }
+        break;
+      default:
+        break;
+    }
+  };
+
   return (
     <div className="search">
       <div className={`flex items-center gap-2 bg-white/5 hover:bg-white/10 border border-white/10 rounded-full px-4 py-2 shadow-sm backdrop-blur focus-within:ring-2 focus-within:ring-indigo-500/50 transition-all duration-200 ${glow ? 'glow-pulse' : ''}`}>
 
-        <img src="search.svg" alt="search" className="w-5 h-5 opacity-60" />
+        <img src="/search.svg" alt="" className="w-5 h-5 opacity-60" />
         <input
+          id={SEARCH_INPUT_ID}
           type="text"
-          placeholder="Search through thousands of movies..."
+          role="combobox"
+          aria-label={t('search.label')}
+          aria-keyshortcuts="/"
+          aria-autocomplete="list"
+          aria-expanded={showSuggestions}
+          aria-controls={listId}
+          aria-activedescendant={showSuggestions && activeIndex >= 0 ? optionId(activeIndex) : undefined}
+          placeholder={t('search.placeholder')}
           value={searchTerm}
-          onChange={(e) => setSearchTerm(e.target.value)}
+          onChange={(e) => {
+            setSearchTerm(e.target.value);
+            setIsOpen(true);
+            setActiveIndex(-1);
+          }}
+          onFocus={() => setIsOpen(true)}
+          onBlur={close}
+          onKeyDown={handleKeyDown}
           className="text-white text-lg bg-transparent outline-none w-full placeholder:text-white/50"
         />
 
       </div>
+
+      <ul id={listId} role="listbox" aria-label={t('search.suggestions')} className="suggestions" hidden={!showSuggestions}>
+        {suggestions.map((suggestion, index) => (
+          <React.Fragment key={`${suggestion.type}-${suggestion.id}`}>
+            {suggestion.type !== suggestions[index - 1]?.type && (
+              <li role="presentation" className="group-label">{t(`search.groups.${suggestion.type}`)}</li>
+            )}
+            <li
+              id={optionId(index)}
+              role="option"
+              aria-selected={index === activeIndex}
+              className={index === activeIndex ? 'active' : ''}
+              // mousedown fires before the input's blur, so the list is still there to click
+              onMouseDown={(event) => event.preventDefault()}
+              onClick={() => select(suggestion)}
+              onMouseEnter={() => setActiveIndex(index)}
+            >
+              {suggestion.image !== undefined && (
+                <img
+                  src={suggestion.image ? `${IMAGE_BASE_URL}/w92${suggestion.image}` : '/no-movie.png'}
+                  crossOrigin="anonymous"
+                  alt=""
+                />
+              )}
+              <span className="label">{suggestion.label}</span>
+              {suggestion.releaseDate && <span className="detail">{formatYear(suggestion.releaseDate)}</span>}
+              {suggestion.detail && <span className="detail">{departmentName(suggestion.detail)}</span>}
+            </li>
+          </React.Fragment>
+        ))}
+      </ul>
     </div>
   );
 };
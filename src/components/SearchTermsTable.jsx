@@ -0,0 +1,85 @@
+import React, { useState } from 'react'
+import { Link } from 'react-router'
+import PosterImage from './PosterImage.jsx'
+import { toCsv } from '../analytics/report.js'
+import { downloadFile } from '../files.js'
+import { useI18n } from '../i18n/I18nContext.js'
+
+const SHOW_OPTIONS = {
+  all: () => true,
+  noResults: (row) => row.noResults > 0,
+  opened: (row) => row.opens > 0,
+};
+
+const SearchTermsTable = ({ terms, filename }) => {
+  const [query, setQuery] = useState('');
+  const [show, setShow] = useState('all');
+  const { t, formatNumber, formatPercent } = useI18n();
+
+  const needle = query.trim().toLowerCase();
+  const rows = terms.filter((row) => row.term.includes(needle) && SHOW_OPTIONS[show](row));
+
+  return (
+    <div className="search-terms">
+      <div className="controls">
+        <label>
+          {t('analytics.filter')}
+          <input
+            type="search"
+            value={query}
+            placeholder={t('analytics.filterPlaceholder')}
+            onChange={(e) => setQuery(e.target.value)}
+          />
+        </label>
+        <label>
+          {t('analytics.show')}
+          <select value={show} onChange={(e) => setShow(e.target.value)}>
+            {Object.keys(SHOW_OPTIONS).map((option) => (
+              <option key={option} value={option}>{t(`analytics.showOptions.${option}`)}</option>
+            ))}
+          </select>
+        </label>
+        <button type="button" onClick={() => downloadFile(toCsv(rows), filename, 'text/csv;charset=utf-8')} disabled={rows.length === 0}>
+          {t('analytics.exportCsv')}
+        </button>
+      </div>
+
+      {rows.length === 0 ? (
+        <p className="text-gray-400">{t('analytics.noMatchingTerms')}</p>
+      ) : (
+        <table>
+          <thead>
+            <tr>
+              <th scope="col">{t('analytics.columns.term')}</th>
+              <th scope="col">{t('analytics.columns.searches')}</th>
+              <th scope="col">{t('analytics.columns.noResults')}</th>
+              <th scope="col">{t('analytics.columns.opens')}</th>
+              <th scope="col">{t('analytics.columns.conversion')}</th>
+              <th scope="col">{t('analytics.columns.topMovie')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row) => (
+              <tr key={row.term}>
+                <th scope="row">{row.term}</th>
+                <td>{formatNumber(row.searches)}</td>
+                <td>{formatNumber(row.noResults)}</td>
+                <td>{formatNumber(row.opens)}</td>
+                <td>{formatPercent(row.conversion)}</td>
+                <td>
+                  {row.topMovie && (
+                    <Link to={`/movie/${row.topMovie.movie_id}`}>
+                      <PosterImage path={row.topMovie.poster_path} alt={t('analytics.movieId', { id: String(row.topMovie.movie_id) })} sizes="40px" />
+                    </Link>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  )
+}
+
+export default SearchTermsTable
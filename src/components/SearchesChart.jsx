@@ -0,0 +1,38 @@
+import React from 'react'
+import { useI18n } from '../i18n/I18nContext.js'
+
+// One bar per day; the part of each bar that found nothing is drawn in a second colour
+const SearchesChart = ({ days }) => {
+  const { t, formatDate } = useI18n();
+  const max = Math.max(1, ...days.map((day) => day.searches));
+
+  return (
+    <div className="searches-chart">
+      <ol>
+        {days.map((day) => {
+          const label = t('analytics.chartLabel', {
+            date: formatDate(day.date),
+            searches: day.searches,
+            noResults: day.noResults,
+          });
+
+          return (
+            <li key={day.date} title={label} aria-label={label}>
+              <span className="bar" style={{ height: `${(day.searches / max) * 100}%` }}>
+                <span className="no-results" style={{ height: day.searches ? `${(day.noResults / day.searches) * 100}%` : 0 }} />
+              </span>
+            </li>
+          );
+        })}
+      </ol>
+      {days.length > 0 && (
+        <div className="axis" aria-hidden="true">
+          <span>{formatDate(days[0].date)}</span>
+          <span>{formatDate(days[days.length - 1].date)}</span>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default SearchesChart
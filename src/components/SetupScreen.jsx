@@ -0,0 +1,32 @@
+import React, { useId } from 'react'
+import { useI18n } from '../i18n/I18nContext.js'
+
+// Shown instead of the app when config.js finds a problem, so nothing half-works
+const SetupScreen = ({ errors }) => {
+  const titleId = useId();
+  const { t } = useI18n();
+
+  return (
+    <main>
+      <div className="pattern" />
+
+      <div className="wrapper">
+        <section className="setup-screen" aria-labelledby={titleId}>
+          <h1 id={titleId}>{t('setup.title')}</h1>
+          <p>{t('setup.intro')}</p>
+          <ul>
+            {errors.map(({ variable, problem, values }) => (
+              <li key={variable}>
+                <code dir="ltr">{variable}</code>
+                <p>{t(`setup.problems.${problem}`, values)}</p>
+              </li>
+            ))}
+          </ul>
+          <p className="hint">{t('setup.fix')}</p>
+        </section>
+      </div>
+    </main>
+  )
+}
+
+export default SetupScreen
@@ -0,0 +1,22 @@
+import { screen, within } from '@testing-library/react'
+import { describe, expect, it } from 'vitest'
+import { readConfig } from '../config.js'
+import { renderWithProviders } from '../test/render.jsx'
+import SetupScreen from './SetupScreen.jsx'
+
+describe('SetupScreen', () => {
+  it('lists each misconfigured variable with what is wrong', () => {
+    const { errors } = readConfig({ VITE_APPWRITE_PROJECT_ID: 'project', VITE_APPWRITE_DATABASE_ID: 'db' })
+
+    renderWithProviders(<SetupScreen errors={errors} />)
+
+    expect(screen.getByRole('heading', { name: 'Finish setting up the app' })).toBeInTheDocument()
+    const items = screen.getAllByRole('listitem')
+    expect(items).toHaveLength(2)
+    expect(within(items[0]).getByText('VITE_TMDB_API_KEY')).toBeInTheDocument()
+    expect(items[0]).toHaveTextContent('Required, but not set.')
+    expect(items[1]).toHaveTextContent(
+      'VITE_APPWRITE_COLLECTION_IDMust be set because VITE_APPWRITE_PROJECT_ID is set.'
+    )
+  })
+})
@@ -0,0 +1,55 @@
+import React, { useEffect, useId, useRef } from 'react'
+import { SHORTCUTS } from '../keyboard/shortcuts.js'
+import { useI18n } from '../i18n/I18nContext.js'
+
+const ShortcutsHelp = ({ onClose }) => {
+  const closeRef = useRef(null);
+  const titleId = useId();
+  const { t } = useI18n();
+
+  // Focus the close button while open, then go back to whatever had focus before
+  useEffect(() => {
+    const previous = document.activeElement;
+    closeRef.current?.focus();
+    return () => previous?.focus?.();
+  }, []);
+
+  const handleKeyDown = (event) => {
+    if (event.key === 'Escape') {
+      event.preventDefault();
+      onClose();
+    } else if (event.key === 'Tab') {
+      // The close button is the only thing to focus, so keep Tab inside the dialog
+      event.preventDefault();
+      closeRef.current?.focus();
+    }
+  };
+
+  return (
+    <div className="shortcuts-backdrop" onClick={onClose}>
+      <div
+        className="shortcuts-help"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby={titleId}
+        onClick={(event) => event.stopPropagation()}
+        onKeyDown={handleKeyDown}
+      >
+        <h2 id={titleId}>{t('shortcuts.title')}</h2>
+
+        <dl>
+          {SHORTCUTS.map(({ keys, label }) => (
+            <div key={label}>
+              <dt>{keys.map((key) => <kbd key={key}>{key}</kbd>)}</dt>
+              <dd>{t(label)}</dd>
+            </div>
+          ))}
+        </dl>
+
+        <button ref={closeRef} type="button" onClick={onClose}>{t('shortcuts.dismiss')}</button>
+      </div>
+    </div>
+  )
+}
+
+export default ShortcutsHelp
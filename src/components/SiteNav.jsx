@@ -0,0 +1,39 @@
+import React from 'react'
+import { NavLink } from 'react-router'
+import { useLists } from '../lists/ListsContext.js'
+import { useCustomLists } from '../customLists/CustomListsContext.js'
+import { useAuth } from '../auth/AuthContext.js'
+import { useI18n } from '../i18n/I18nContext.js'
+import { features } from '../config.js'
+import LocaleSwitcher from './LocaleSwitcher.jsx'
+
+const SiteNav = () => {
+  const { lists } = useLists();
+  const { lists: customLists } = useCustomLists();
+  const { user, isAuthEnabled, isAnonymous, canViewAnalytics } = useAuth();
+  const { t } = useI18n();
+
+  return (
+    <nav className="site-nav">
+      <NavLink to="/" end>{t('nav.home')}</NavLink>
+      {features.trendingAnalytics && <NavLink to="/trending">{t('nav.trending')}</NavLink>}
+      <NavLink to="/watchlist">
+        {t('nav.watchlist')} <span className="count">{Object.keys(lists.watchlist).length}</span>
+      </NavLink>
+      <NavLink to="/watched">
+        {t('nav.watched')} <span className="count">{Object.keys(lists.watched).length}</span>
+      </NavLink>
+      <NavLink to="/lists">
+        {t('nav.lists')} <span className="count">{customLists.length}</span>
+      </NavLink>
+      {canViewAnalytics && features.trendingAnalytics && <NavLink to="/analytics">{t('nav.analytics')}</NavLink>}
+      <NavLink to="/settings">{t('nav.settings')}</NavLink>
+      {isAuthEnabled && (
+        <NavLink to="/account">{user && !isAnonymous ? user.name || user.email : t('nav.logIn')}</NavLink>
+      )}
+      <LocaleSwitcher />
+    </nav>
+  )
+}
+
+export default SiteNav
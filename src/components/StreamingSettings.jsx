@@ -0,0 +1,80 @@
+import React, { useEffect, useState } from 'react'
+import Spinner from './Spinner.jsx'
+import { IMAGE_BASE_URL, getErrorMessage, tmdbFetch } from '../tmdb.js'
+import { useStreaming } from '../streaming/StreamingContext.js'
+import { useI18n } from '../i18n/I18nContext.js'
+
+// The provider list for a region rarely changes, so keep it for a day
+const OPTIONS_TTL = 24 * 60 * 60 * 1000;
+
+const StreamingSettings = () => {
+  const [available, setAvailable] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [errorMessage, setErrorMessage] = useState('');
+  const { services, isMyService, toggleService } = useStreaming();
+  const { t, region, regionName } = useI18n();
+
+  useEffect(() => {
+    const controller = new AbortController();
+
+    const fetchProviders = async () => {
+      setIsLoading(true);
+      setErrorMessage('');
+
+      try {
+        const data = await tmdbFetch('/watch/providers/movie', {
+          params: { watch_region: region },
+          signal: controller.signal,
+          ttl: OPTIONS_TTL,
+        });
+        setAvailable(
+          [...(data.results || [])].sort(
+            (a, b) => (a.display_priorities?.[region] ?? a.display_priority) - (b.display_priorities?.[region] ?? b.display_priority)
+          )
+        );
+      } catch (error) {
+        if (error.name === 'AbortError') return;
+        console.log(`Error fetching streaming services: ${error}`);
+        setErrorMessage(getErrorMessage(error, 'errors.streamingServices'));
+      } finally {
+        if (!controller.signal.aborted) setIsLoading(false);
+      }
+    };
+
+    fetchProviders();
+
+    return () => controller.abort();
+  }, [region]);
+
+  // Services ticked in another region stay saved even if they aren't offered here
+  const elsewhere = services.filter((service) => !available.some((provider) => provider.provider_id === service.provider_id));
+
+  return (
+    <fieldset className="streaming-settings">
+      <legend>{t('streaming.title')}</legend>
+      <p className="hint">{t('streaming.intro', { region: regionName(region) })}</p>
+
+      {isLoading ? (
+        <Spinner />
+      ) : errorMessage ? (
+        <p className="text-red-500" role="alert">{t(errorMessage)}</p>
+      ) : (
+        <div className="services">
+          {[...available, ...elsewhere].map((provider) => (
+            <label key={provider.provider_id} className={isMyService(provider.provider_id) ? 'selected' : ''}>
+              <input
+                type="checkbox"
+                checked={isMyService(provider.provider_id)}
+                onChange={() => toggleService(provider)}
+              />
+              {provider.logo_path && <img src={`${IMAGE_BASE_URL}/w92${provider.logo_path}`} crossOrigin="anonymous" alt="" />}
+              {provider.provider_name}
+            </label>
+          ))}
+        </div>
+      )}
+    </fieldset>
+  )
+}
+
+export default StreamingSettings
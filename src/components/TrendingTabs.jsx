@@ -0,0 +1,26 @@
+import React from 'react'
+import { getTrendingWindows } from '../analytics/index.js'
+import { useI18n } from '../i18n/I18nContext.js'
+
+const TrendingTabs = ({ value, onChange }) => {
+  const { t } = useI18n();
+
+  return (
+    <div className="trending-tabs" role="tablist" aria-label={t('trending.tabs')}>
+      {getTrendingWindows().map((key) => (
+        <button
+          key={key}
+          type="button"
+          role="tab"
+          aria-selected={value === key}
+          className={value === key ? 'active' : ''}
+          onClick={() => onChange(key)}
+        >
+          {t(`trending.windows.${key}`)}
+        </button>
+      ))}
+    </div>
+  )
+}
+
+export default TrendingTabs
@@ -0,0 +1,66 @@
+import React from 'react'
+import { IMAGE_BASE_URL } from '../tmdb.js'
+import { PROVIDER_TYPES } from '../streaming/storage.js'
+import { useStreaming } from '../streaming/StreamingContext.js'
+import { useI18n } from '../i18n/I18nContext.js'
+
+const COMPACT_LIMIT = 3;
+
+// Shows where a movie is available in one region. The compact version on cards only shows
+// the best option: streaming if there is any, otherwise renting, otherwise buying.
+const WatchProviders = ({ providers, compact = false }) => {
+  const { isMyService } = useStreaming();
+  const { t } = useI18n();
+
+  const types = PROVIDER_TYPES.filter((type) => providers?.[type]?.length);
+  if (types.length === 0) {
+    return compact ? null : <p className="text-gray-400">{t('movie.noProviders')}</p>;
+  }
+
+  // The user's own services go first so they survive the compact limit
+  const sortProviders = (list) =>
+    [...list].sort((a, b) => isMyService(b.provider_id) - isMyService(a.provider_id) || (a.display_priority ?? 0) - (b.display_priority ?? 0));
+
+  return (
+    <div className={`watch-providers ${compact ? 'compact' : ''}`}>
+      {(compact ? types.slice(0, 1) : types).map((type) => {
+        const list = sortProviders(providers[type]);
+        const shown = compact ? list.slice(0, COMPACT_LIMIT) : list;
+
+        return (
+          <div key={type} className="providers">
+            <p className="role">{t(`movie.providers.${type}`)}</p>
+            <ul>
+              {shown.map((provider) => (
+                <li key={provider.provider_id} className={isMyService(provider.provider_id) ? 'mine' : ''}>
+                  <img
+                    src={`${IMAGE_BASE_URL}/w92${provider.logo_path}`}
+                    crossOrigin="anonymous"
+                    alt={provider.provider_name}
+                    title={isMyService(provider.provider_id)
+                      ? t('streaming.onYourService', { name: provider.provider_name })
+                      : provider.provider_name}
+                    loading="lazy"
+                  />
+                </li>
+              ))}
+              {list.length > shown.length && (
+                <li className="more">{t('streaming.more', { count: list.length - shown.length })}</li>
+              )}
+            </ul>
+          </div>
+        );
+      })}
+
+      {!compact && (
+        <p className="attribution">
+          {providers.link
+            ? <a href={providers.link} target="_blank" rel="noreferrer">{t('streaming.attribution')}</a>
+            : t('streaming.attribution')}
+        </p>
+      )}
+    </div>
+  )
+}
+
+export default WatchProviders
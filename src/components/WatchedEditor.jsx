@@ -0,0 +1,40 @@
+import React from 'react'
+import { useLists } from '../lists/ListsContext.js'
+import { useI18n } from '../i18n/I18nContext.js'
+
+const RATINGS = Array.from({ length: 10 }, (_, index) => index + 1);
+const NOTE_MAX_LENGTH = 280;
+
+const WatchedEditor = ({ entry }) => {
+  const { saveEntry } = useLists();
+  const { t } = useI18n();
+
+  return (
+    <div className="watched-editor" onClick={(event) => event.stopPropagation()}>
+      <label>
+        {t('lists.myRating')}
+        <select
+          value={entry.rating ?? ''}
+          onChange={(e) => saveEntry('watched', entry.movie, { rating: e.target.value ? Number(e.target.value) : null })}
+        >
+          <option value="">–</option>
+          {RATINGS.map((rating) => (
+            <option key={rating} value={rating}>{rating}</option>
+          ))}
+        </select>
+      </label>
+      <label>
+        {t('lists.note')}
+        <textarea
+          rows={2}
+          maxLength={NOTE_MAX_LENGTH}
+          placeholder={t('lists.notePlaceholder')}
+          value={entry.note}
+          onChange={(e) => saveEntry('watched', entry.movie, { note: e.target.value })}
+        />
+      </label>
+    </div>
+  )
+}
+
+export default WatchedEditor
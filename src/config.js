@@ -0,0 +1,100 @@
+export const DEFAULT_APPWRITE_ENDPOINT = 'https://cloud.appwrite.io/v1';
+
+export const ANALYTICS_STORAGES = ['appwrite', 'local', 'memory', 'off'];
+// ✅ What it does: Lists the values VITE_ANALYTICS_STORAGE accepts
+// 🧠 What to know: "off" turns search analytics and trending off entirely
+// ❓ Why we used it: So a typo is reported instead of quietly picking another backend
+
+const APPWRITE_IDS = ['VITE_APPWRITE_PROJECT_ID', 'VITE_APPWRITE_DATABASE_ID', 'VITE_APPWRITE_COLLECTION_ID'];
+const APPWRITE_EXTRAS = [
+  'VITE_APPWRITE_DAILY_COUNTS_COLLECTION_ID',
+  'VITE_APPWRITE_EVENTS_COLLECTION_ID',
+  'VITE_APPWRITE_LISTS_COLLECTION_ID',
+];
+// ✅ What it does: Names the Appwrite IDs that belong together
+// 🧠 What to know: The extras only work on top of the three main IDs
+// ❓ Why we used it: Half an Appwrite setup fails in confusing ways, so we report it up front
+
+const readValue = (env, name) => (typeof env[name] === 'string' ? env[name].trim() : '');
+// ✅ What it does: Reads one variable as a trimmed string
+// 🧠 What to know: Missing, empty and whitespace-only all become ''
+// ❓ Why we used it: A blank line in .env means "not set", not a broken value
+
+const isHttpUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+};
+
+export const readConfig = (env) => {
+  const errors = [];
+  const fail = (variable, problem, values = {}) => errors.push({ variable, problem, values });
+
+  const tmdbApiKey = readValue(env, 'VITE_TMDB_API_KEY');
+  if (!tmdbApiKey) fail('VITE_TMDB_API_KEY', 'required');
+  // ✅ What it does: Checks the one variable the app can't run without
+  // 🧠 What to know: Every movie, person and search request needs it
+  // ❓ Why we used it: Without it every section fails with a vague fetch error
+
+  const appwriteEndpoint = readValue(env, 'VITE_APPWRITE_ENDPOINT') || DEFAULT_APPWRITE_ENDPOINT;
+  if (!isHttpUrl(appwriteEndpoint)) fail('VITE_APPWRITE_ENDPOINT', 'invalidUrl', { value: appwriteEndpoint });
+
+  const [projectId, databaseId, collectionId] = APPWRITE_IDS.map((name) => readValue(env, name));
+  const [dailyCountsCollectionId, eventsCollectionId, listsCollectionId] = APPWRITE_EXTRAS.map((name) => readValue(env, name));
+  const firstSet = [...APPWRITE_IDS, ...APPWRITE_EXTRAS].find((name) => readValue(env, name));
+  if (firstSet) {
+    APPWRITE_IDS.filter((name) => !readValue(env, name)).forEach((name) =>
+      fail(name, 'requiredWith', { other: firstSet })
+    );
+  }
+  const hasAppwrite = Boolean(projectId && databaseId && collectionId);
+  // ✅ What it does: Treats the Appwrite IDs as all-or-nothing
+  // 🧠 What to know: Setting any of them means the three main IDs are required
+  // ❓ Why we used it: Before, a missing ID just turned Appwrite off without saying why
+
+  const analyticsSetting = readValue(env, 'VITE_ANALYTICS_STORAGE');
+  if (analyticsSetting && !ANALYTICS_STORAGES.includes(analyticsSetting)) {
+    fail('VITE_ANALYTICS_STORAGE', 'invalidOption', { value: analyticsSetting, options: ANALYTICS_STORAGES.join(', ') });
+  } else if (analyticsSetting === 'appwrite' && !firstSet) {
+    fail('VITE_ANALYTICS_STORAGE', 'needsAppwrite');
+  }
+  const analyticsStorage = ANALYTICS_STORAGES.includes(analyticsSetting)
+    ? analyticsSetting
+    : hasAppwrite ? 'appwrite' : 'local';
+  // ✅ What it does: Picks where search analytics are stored
+  // 🧠 What to know: Unset means Appwrite when it's configured, otherwise localStorage
+  // ❓ Why we used it: Trending keeps working in local development without the cloud
+
+  const config = Object.freeze({
+    tmdbApiKey,
+    appwriteEndpoint,
+    projectId,
+    databaseId,
+    collectionId,
+    dailyCountsCollectionId,
+    eventsCollectionId,
+    listsCollectionId,
+    analyticsStorage,
+  });
+
+  const features = Object.freeze({
+    appwrite: hasAppwrite,
+    trendingAnalytics: analyticsStorage !== 'off',
+    listSync: hasAppwrite && Boolean(listsCollectionId),
+  });
+  // ✅ What it does: Says which optional features this setup can run
+  // 🧠 What to know: A feature that's off is hidden, not shown broken
+  // ❓ Why we used it: Components check one flag instead of re-reading variables
+
+  return { config, errors, features };
+};
+// ✅ What it does: Validates the environment and turns it into typed settings
+// 🧠 What to know: Takes env as an argument so tests can try any combination
+// ❓ Why we used it: One place decides what's wrong, so the setup screen can name it
+
+export const { config, errors: configErrors, features } = readConfig(import.meta.env);
+// ✅ What it does: Reads the real environment once at startup
+// 🧠 What to know: Vite inlines VITE_* variables at build time
+// ❓ Why we used it: Every other module imports these instead of touching import.meta.env
@@ -0,0 +1,65 @@
+import { describe, expect, it } from 'vitest';
+import { DEFAULT_APPWRITE_ENDPOINT, readConfig } from './config.js';
+
+const appwrite = {
+  VITE_APPWRITE_PROJECT_ID: 'project',
+  VITE_APPWRITE_DATABASE_ID: 'db',
+  VITE_APPWRITE_COLLECTION_ID: 'counts',
+};
+
+describe('readConfig', () => {
+  it('runs locally with only a TMDB key', () => {
+    const { config, errors, features } = readConfig({ VITE_TMDB_API_KEY: ' key ', VITE_APPWRITE_ENDPOINT: '' });
+
+    expect(errors).toEqual([]);
+    expect(config).toMatchObject({ tmdbApiKey: 'key', appwriteEndpoint: DEFAULT_APPWRITE_ENDPOINT, analyticsStorage: 'local' });
+    expect(features).toEqual({ appwrite: false, trendingAnalytics: true, listSync: false });
+  });
+
+  it('turns on Appwrite features when their IDs are set', () => {
+    const { errors, config, features } = readConfig({
+      VITE_TMDB_API_KEY: 'key',
+      ...appwrite,
+      VITE_APPWRITE_LISTS_COLLECTION_ID: 'lists',
+    });
+
+    expect(errors).toEqual([]);
+    expect(config.analyticsStorage).toBe('appwrite');
+    expect(features).toEqual({ appwrite: true, trendingAnalytics: true, listSync: true });
+  });
+
+  it('disables trending when analytics are off', () => {
+    const { errors, features } = readConfig({ VITE_TMDB_API_KEY: 'key', ...appwrite, VITE_ANALYTICS_STORAGE: 'off' });
+
+    expect(errors).toEqual([]);
+    expect(features).toMatchObject({ appwrite: true, trendingAnalytics: false });
+  });
+
+  it('names every variable that is missing or invalid', () => {
+    const { errors, config } = readConfig({
+      VITE_APPWRITE_ENDPOINT: 'appwrite.example.com',
+      VITE_APPWRITE_LISTS_COLLECTION_ID: 'lists',
+      VITE_APPWRITE_DATABASE_ID: 'db',
+      VITE_ANALYTICS_STORAGE: 'cloud',
+    });
+
+    expect(errors).toEqual([
+      { variable: 'VITE_TMDB_API_KEY', problem: 'required', values: {} },
+      { variable: 'VITE_APPWRITE_ENDPOINT', problem: 'invalidUrl', values: { value: 'appwrite.example.com' } },
+      { variable: 'VITE_APPWRITE_PROJECT_ID', problem: 'requiredWith', values: { other: 'VITE_APPWRITE_DATABASE_ID' } },
+      { variable: 'VITE_APPWRITE_COLLECTION_ID', problem: 'requiredWith', values: { other: 'VITE_APPWRITE_DATABASE_ID' } },
+      {
+        variable: 'VITE_ANALYTICS_STORAGE',
+        problem: 'invalidOption',
+        values: { value: 'cloud', options: 'appwrite, local, memory, off' },
+      },
+    ]);
+    expect(config.analyticsStorage).toBe('local');
+  });
+
+  it('rejects Appwrite analytics without an Appwrite project', () => {
+    const { errors } = readConfig({ VITE_TMDB_API_KEY: 'key', VITE_ANALYTICS_STORAGE: 'appwrite' });
+
+    expect(errors).toEqual([{ variable: 'VITE_ANALYTICS_STORAGE', problem: 'needsAppwrite', values: {} }]);
+  });
+});
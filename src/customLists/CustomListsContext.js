@@ -0,0 +1,11 @@
+import { createContext, useContext } from 'react';
+
+export const CustomListsContext = createContext(null);
+
+export const useCustomLists = () => {
+  const context = useContext(CustomListsContext);
+  if (!context) {
+    throw new Error('useCustomLists must be used inside <CustomListsProvider>');
+  }
+  return context;
+};
@@ -0,0 +1,76 @@
+import React, { useEffect, useState } from 'react'
+import { CustomListsContext } from './CustomListsContext.js'
+import { createListId, loadCustomLists, saveCustomLists } from './storage.js'
+import { toListMovie } from '../lists/storage.js'
+
+const CustomListsProvider = ({ children }) => {
+  const [lists, setLists] = useState(loadCustomLists);
+
+  useEffect(() => {
+    saveCustomLists(lists);
+  }, [lists]);
+
+  // change returns the fields to update, or null to leave the list as it is
+  const updateWith = (id, change) =>
+    setLists((previous) =>
+      previous.map((list) => {
+        if (list.id !== id) return list;
+        const changes = change(list);
+        return changes ? { ...list, ...changes, updatedAt: new Date().toISOString() } : list;
+      })
+    );
+
+  const createList = ({ name, description = '', movies = [] }) => {
+    const now = new Date().toISOString();
+    const list = {
+      id: createListId(),
+      name: name.trim(),
+      description: description.trim(),
+      movies: movies.map(toListMovie),
+      createdAt: now,
+      updatedAt: now,
+    };
+    setLists((previous) => [...previous, list]);
+    return list.id;
+  };
+
+  const updateList = (id, changes) => updateWith(id, () => changes);
+
+  const deleteList = (id) => setLists((previous) => previous.filter((list) => list.id !== id));
+
+  const getList = (id) => lists.find((list) => list.id === id);
+
+  const hasMovie = (id, movieId) => Boolean(getList(id)?.movies.some((movie) => movie.id === movieId));
+
+  const addMovie = (id, movie) =>
+    updateWith(id, (list) =>
+      list.movies.some((item) => item.id === movie.id) ? null : { movies: [...list.movies, toListMovie(movie)] }
+    );
+
+  const removeMovie = (id, movieId) =>
+    updateWith(id, (list) => ({ movies: list.movies.filter((movie) => movie.id !== movieId) }));
+
+  const toggleMovie = (id, movie) => (hasMovie(id, movie.id) ? removeMovie(id, movie.id) : addMovie(id, movie));
+
+  // offset is -1 to move up one place, 1 to move down
+  const moveMovie = (id, movieId, offset) =>
+    updateWith(id, (list) => {
+      const from = list.movies.findIndex((movie) => movie.id === movieId);
+      const to = from + offset;
+      if (from === -1 || to < 0 || to >= list.movies.length) return null;
+
+      const movies = [...list.movies];
+      [movies[from], movies[to]] = [movies[to], movies[from]];
+      return { movies };
+    });
+
+  return (
+    <CustomListsContext.Provider
+      value={{ lists, createList, updateList, deleteList, getList, hasMovie, addMovie, removeMovie, toggleMovie, moveMovie }}
+    >
+      {children}
+    </CustomListsContext.Provider>
+  )
+}
+
+export default CustomListsProvider
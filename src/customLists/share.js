@@ -0,0 +1,44 @@
+const SHARE_VERSION = 1;
+// ✅ What it does: Version number written into every share link
+// 🧠 What to know: Bump it if the payload shape changes, and keep reading the old one
+// ❓ Why we used it: Links already sent around must keep working
+
+const toBase64Url = (text) => {
+  const binary = Array.from(new TextEncoder().encode(text), (byte) => String.fromCharCode(byte)).join('');
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const fromBase64Url = (value) => {
+  const binary = atob(value.replace(/-/g, '+').replace(/_/g, '/'));
+  return new TextDecoder().decode(Uint8Array.from(binary, (char) => char.charCodeAt(0)));
+};
+// ✅ What it does: Converts text to and from URL-safe base64
+// 🧠 What to know: Goes through UTF-8 bytes, since btoa alone fails on "Amélie" or Arabic names
+// ❓ Why we used it: The whole list fits in the link without escaping
+
+export const encodeSharedList = (list) =>
+  toBase64Url(JSON.stringify({
+    v: SHARE_VERSION,
+    n: list.name,
+    d: list.description,
+    m: list.movies.map((movie) => movie.id),
+  }));
+
+export const decodeSharedList = (value) => {
+  try {
+    const { v, n, d, m } = JSON.parse(fromBase64Url(value));
+    if (v !== SHARE_VERSION || typeof n !== 'string' || !Array.isArray(m)) return null;
+    if (!m.every((id) => Number.isInteger(id) && id > 0)) return null;
+    return { name: n, description: typeof d === 'string' ? d : '', movieIds: m };
+  } catch {
+    return null;
+  }
+};
+// ✅ What it does: Packs a list's name, description and movie IDs into a link, and reads them back
+// 🧠 What to know: Only IDs are stored; the shared page loads titles and posters from TMDB. Broken links decode to null
+// ❓ Why we used it: Sharing works without an account or a backend, and the link can't change the owner's list
+
+export const getShareUrl = (list) => `${window.location.origin}/shared?list=${encodeSharedList(list)}`;
+// ✅ What it does: Builds the public, read-only link for a list
+// 🧠 What to know: It's a snapshot - later edits need a new link
+// ❓ Why we used it: One place that knows the /shared route
@@ -0,0 +1,25 @@
+import { describe, expect, it } from 'vitest';
+import { decodeSharedList, encodeSharedList, getShareUrl } from './share.js';
+
+const list = { name: 'Amélie & friends – أفلام', description: 'Cosy picks', movies: [{ id: 194 }, { id: 101 }] };
+
+describe('share links', () => {
+  it('round-trips the name, description and movie order', () => {
+    const encoded = encodeSharedList(list);
+
+    expect(encoded).toMatch(/^[\w-]+$/);
+    expect(decodeSharedList(encoded)).toEqual({ name: list.name, description: 'Cosy picks', movieIds: [194, 101] });
+  });
+
+  it('points at the /shared page', () => {
+    expect(getShareUrl(list)).toBe(`${window.location.origin}/shared?list=${encodeSharedList(list)}`);
+  });
+
+  it('rejects broken or tampered links', () => {
+    const tampered = btoa(JSON.stringify({ v: 1, n: 'x', m: ['101; drop'] }));
+
+    expect(decodeSharedList('')).toBeNull();
+    expect(decodeSharedList('not base64!')).toBeNull();
+    expect(decodeSharedList(tampered)).toBeNull();
+  });
+});
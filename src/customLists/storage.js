@@ -0,0 +1,29 @@
+const STORAGE_KEY = 'custom-lists';
+// ✅ What it does: Where the user's own lists are saved
+// 🧠 What to know: Stored in localStorage on this device, as an array in the order they were created
+// ❓ Why we used it: So named lists are still there next visit
+
+export const createListId = () => `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+// ✅ What it does: Makes a short random ID for a new list
+// 🧠 What to know: Used in the /lists/:id URL
+// ❓ Why we used it: Names can change or repeat, IDs don't
+
+export const loadCustomLists = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(saved) ? saved : [];
+  } catch {
+    return [];
+  }
+};
+
+export const saveCustomLists = (lists) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(lists));
+  } catch (error) {
+    console.log(error);
+  }
+};
+// ✅ What it does: Reads and writes every custom list
+// 🧠 What to know: Each list is { id, name, description, movies, createdAt, updatedAt }; movies keep their order
+// ❓ Why we used it: Lists survive reloads and work offline
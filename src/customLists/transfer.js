@@ -0,0 +1,161 @@
+import { NotFoundError, tmdbFetch } from '../tmdb.js';
+import { buildCsv, parseCsv, unescapeCsvCell } from '../files.js';
+
+const EXPORT_COLUMNS = [
+  ['position', (row) => row.position],
+  ['tmdb_id', (row) => row.tmdb_id],
+  ['title', (row) => row.title],
+  ['year', (row) => row.year],
+];
+// ✅ What it does: The columns written by both exports
+// 🧠 What to know: Import reads the same names back, so an export can be imported again
+// ❓ Why we used it: Spreadsheets and the JSON file describe movies the same way
+
+const toExportRows = (list) =>
+  list.movies.map((movie, index) => ({
+    position: index + 1,
+    tmdb_id: movie.id,
+    title: movie.title,
+    year: movie.release_date?.slice(0, 4) ?? '',
+  }));
+
+export const toExportJson = (list) =>
+  JSON.stringify({ name: list.name, description: list.description, movies: toExportRows(list) }, null, 2);
+
+export const toExportCsv = (list) => buildCsv(EXPORT_COLUMNS, toExportRows(list));
+// ✅ What it does: Turns a list into JSON or CSV text for download
+// 🧠 What to know: CSV has no room for the name and description, so the file name carries the name
+// ❓ Why we used it: So lists can be kept in a spreadsheet or moved to another browser
+
+export const exportFilename = (list, extension) =>
+  `${list.name.trim().toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-|-$/g, '') || 'list'}.${extension}`;
+// ✅ What it does: Names the exported file after the list, e.g. friday-movie-night.csv
+// 🧠 What to know: Letters in any script are kept; everything else becomes a dash
+// ❓ Why we used it: Import uses the file name as the list name for CSV files
+
+const ID_COLUMNS = ['tmdb_id', 'tmdb', 'id'];
+const TITLE_COLUMNS = ['title', 'name', 'movie'];
+const YEAR_COLUMNS = ['year', 'release_year'];
+
+const toImportRow = (line, values) => {
+  const id = Number(values.id);
+  const year = String(values.year ?? '').trim().slice(0, 4);
+  return {
+    line,
+    tmdbId: Number.isInteger(id) && id > 0 ? id : null,
+    title: String(values.title ?? '').trim(),
+    year: /^\d{4}$/.test(year) ? year : '',
+  };
+};
+
+const pick = (record, names) => names.map((name) => record[name]).find((value) => value !== undefined && value !== '');
+
+const parseJsonImport = (text) => {
+  const data = JSON.parse(text);
+  const items = Array.isArray(data) ? data : data?.movies;
+  if (!Array.isArray(items)) return null;
+
+  return {
+    name: typeof data.name === 'string' ? data.name : '',
+    description: typeof data.description === 'string' ? data.description : '',
+    rows: items.map((item, index) =>
+      toImportRow(index + 1, {
+        id: pick(item, ID_COLUMNS),
+        title: pick(item, TITLE_COLUMNS),
+        year: pick(item, YEAR_COLUMNS) ?? item.release_date,
+      })
+    ),
+  };
+};
+
+const isOwnExport = (header) => header.join(',') === EXPORT_COLUMNS.map(([name]) => name).join(',');
+// ✅ What it does: Checks if a CSV has exactly the header toExportCsv writes
+// 🧠 What to know: Only those files get the formula ' removed again
+// ❓ Why we used it: A hand-made sheet may have a title or note that really starts with '-
+
+const parseCsvImport = (text) => {
+  const [header = [], ...cells] = parseCsv(text);
+  const records = isOwnExport(header) ? cells.map((row) => row.map(unescapeCsvCell)) : cells;
+  const names = header.map((name) => name.trim().toLowerCase());
+  const column = (candidates) => names.findIndex((name) => candidates.includes(name));
+  const [idColumn, titleColumn, yearColumn] = [column(ID_COLUMNS), column(TITLE_COLUMNS), column(YEAR_COLUMNS)];
+  if (idColumn === -1 && titleColumn === -1) return null;
+
+  return {
+    name: '',
+    description: '',
+    rows: records.map((cells, index) =>
+      toImportRow(index + 2, { id: cells[idColumn], title: cells[titleColumn], year: cells[yearColumn] })
+    ),
+  };
+};
+
+export const parseImport = (text, filename = '') => {
+  try {
+    const parsed = filename.toLowerCase().endsWith('.json') || text.trim().startsWith('{') || text.trim().startsWith('[')
+      ? parseJsonImport(text)
+      : parseCsvImport(text);
+    if (!parsed) return null;
+
+    return { ...parsed, name: parsed.name.trim() || filename.replace(/\.[^.]+$/, '').trim() };
+  } catch {
+    return null;
+  }
+};
+// ✅ What it does: Reads an exported or hand-made JSON/CSV file into rows of { line, tmdbId, title, year }
+// 🧠 What to know: CSV needs a header with tmdb_id/id or title; line is the row number to report back (the header is line 1). Unreadable files return null
+// ❓ Why we used it: Teams keep lists in spreadsheets with slightly different column names
+
+const IMPORT_BATCH_SIZE = 5;
+// ✅ What it does: How many rows are matched against TMDB at once
+// 🧠 What to know: tmdbFetch still retries if TMDB rate limits us
+// ❓ Why we used it: A 200 row spreadsheet shouldn't fire 200 requests at the same moment
+
+const normalizeTitle = (title = '') =>
+  title.normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+
+const matchRow = async (row, signal) => {
+  if (row.tmdbId) {
+    try {
+      return { movie: await tmdbFetch(`/movie/${row.tmdbId}`, { signal }) };
+    } catch (error) {
+      if (!(error instanceof NotFoundError)) throw error;
+      if (!row.title) return { reason: 'notFound' };
+    }
+  }
+  if (!row.title) return { reason: 'missing' };
+
+  const data = await tmdbFetch('/search/movie', {
+    params: { query: row.title, ...(row.year && { primary_release_year: row.year }) },
+    signal,
+  });
+  const title = normalizeTitle(row.title);
+  const movie = (data.results || []).find(
+    (result) =>
+      (normalizeTitle(result.title) === title || normalizeTitle(result.original_title) === title) &&
+      (!row.year || result.release_date?.startsWith(row.year))
+  );
+  return movie ? { movie } : { reason: 'noMatch' };
+};
+
+export const matchRows = async (rows, { signal } = {}) => {
+  const results = [];
+  for (let start = 0; start < rows.length; start += IMPORT_BATCH_SIZE) {
+    const batch = rows.slice(start, start + IMPORT_BATCH_SIZE);
+    results.push(...(await Promise.all(batch.map((row) => matchRow(row, signal)))));
+  }
+
+  const movies = [];
+  const unmatched = [];
+  results.forEach((result, index) => {
+    if (!result.movie) {
+      unmatched.push({ ...rows[index], reason: result.reason });
+    } else if (!movies.some((movie) => movie.id === result.movie.id)) {
+      movies.push(result.movie);
+    }
+  });
+  return { movies, unmatched };
+};
+// ✅ What it does: Finds the TMDB movie for each row, by ID first and then by exact title (and year, if given)
+// 🧠 What to know: Rows that fail come back in unmatched with a reason: notFound, noMatch or missing. Network errors reject
+// ❓ Why we used it: Import reports exactly which rows need fixing instead of guessing
@@ -0,0 +1,116 @@
+import { http, HttpResponse } from 'msw';
+import { describe, expect, it } from 'vitest';
+import { exportFilename, matchRows, parseImport, toExportCsv, toExportJson } from './transfer.js';
+import { movies, page } from '../test/fixtures.js';
+import { server } from '../test/server.js';
+import { tmdbUrl } from '../test/tmdbMock.js';
+
+const list = {
+  name: 'Friday Movie Night',
+  description: 'Loud, long, "big"',
+  movies: [movies[1], { ...movies[0], title: 'Inception, Extended' }],
+};
+
+describe('exports', () => {
+  it('writes position, TMDB id, title and year as CSV', () => {
+    expect(toExportCsv(list)).toBe(
+      'position,tmdb_id,title,year\r\n1,102,Interstellar,2014\r\n2,101,"Inception, Extended",2010'
+    );
+  });
+
+  it('writes the name, description and rows as JSON', () => {
+    expect(JSON.parse(toExportJson(list))).toEqual({
+      name: 'Friday Movie Night',
+      description: 'Loud, long, "big"',
+      movies: [
+        { position: 1, tmdb_id: 102, title: 'Interstellar', year: '2014' },
+        { position: 2, tmdb_id: 101, title: 'Inception, Extended', year: '2010' },
+      ],
+    });
+  });
+
+  it('names files after the list', () => {
+    expect(exportFilename(list, 'csv')).toBe('friday-movie-night.csv');
+    expect(exportFilename({ name: '  ' }, 'json')).toBe('list.json');
+  });
+});
+
+describe('parseImport', () => {
+  it('reads its own exports back', () => {
+    expect(parseImport(toExportJson(list), 'whatever.json')).toEqual({
+      name: 'Friday Movie Night',
+      description: 'Loud, long, "big"',
+      rows: [
+        { line: 1, tmdbId: 102, title: 'Interstellar', year: '2014' },
+        { line: 2, tmdbId: 101, title: 'Inception, Extended', year: '2010' },
+      ],
+    });
+    expect(parseImport(toExportCsv(list), 'Friday night.csv')).toMatchObject({
+      name: 'Friday night',
+      rows: [
+        { line: 2, tmdbId: 102, title: 'Interstellar', year: '2014' },
+        { line: 3, tmdbId: 101, title: 'Inception, Extended', year: '2010' },
+      ],
+    });
+  });
+
+  it('reads back titles that export had to defuse', () => {
+    const csv = toExportCsv({ name: 'Odd', movies: [{ id: 5, title: '=1+1', release_date: '2001-01-01' }] });
+
+    expect(csv).toContain("'=1+1");
+    expect(parseImport(csv, 'odd.csv').rows).toEqual([{ line: 2, tmdbId: 5, title: '=1+1', year: '2001' }]);
+  });
+
+  it("keeps a leading ' in files it did not export", () => {
+    const csv = "title,year\n'-Tis Pity,1971\n'@home,2003\n"
+
+    expect(parseImport(csv, 'mine.csv').rows).toEqual([
+      { line: 2, tmdbId: null, title: "'-Tis Pity", year: '1971' },
+      { line: 3, tmdbId: null, title: "'@home", year: '2003' },
+    ]);
+  });
+
+  it('accepts spreadsheet columns in any order and case', () => {
+    const csv = 'Year,Title,Notes\n1979,Alien,"scary, ""classic"""\n\n,Solaris,\n'
+
+    expect(parseImport(csv, 'sci-fi.csv').rows).toEqual([
+      { line: 2, tmdbId: null, title: 'Alien', year: '1979' },
+      { line: 3, tmdbId: null, title: 'Solaris', year: '' },
+    ]);
+  });
+
+  it('returns null for files it cannot read', () => {
+    expect(parseImport('{ not json', 'list.json')).toBeNull();
+    expect(parseImport('foo,bar\n1,2', 'list.csv')).toBeNull();
+    expect(parseImport('{"movies": "nope"}', 'list.json')).toBeNull();
+  });
+});
+
+describe('matchRows', () => {
+  it('matches by TMDB id, then by exact title and year, and reports the rest', async () => {
+    const alien = { id: 348, title: 'Alien', original_title: 'Alien', release_date: '1979-05-25' };
+    server.use(
+      http.get(tmdbUrl('/search/movie'), ({ request }) => {
+        const params = new URL(request.url).searchParams;
+        const results = params.get('query') === 'alien' ? [{ ...alien, id: 1, title: 'Alien Nation', original_title: 'Alien Nation' }, alien] : [];
+        return HttpResponse.json(page(params.get('primary_release_year') === '1979' ? results : []));
+      })
+    );
+
+    const { movies: found, unmatched } = await matchRows([
+      { line: 2, tmdbId: 101, title: '', year: '' },
+      { line: 3, tmdbId: 999, title: 'alien', year: '1979' },
+      { line: 4, tmdbId: 998, title: '', year: '' },
+      { line: 5, tmdbId: null, title: 'Alien', year: '1986' },
+      { line: 6, tmdbId: null, title: '', year: '' },
+      { line: 7, tmdbId: 101, title: 'Inception', year: '' },
+    ]);
+
+    expect(found.map((movie) => movie.id)).toEqual([101, 348]);
+    expect(unmatched.map(({ line, reason }) => ({ line, reason }))).toEqual([
+      { line: 4, reason: 'notFound' },
+      { line: 5, reason: 'noMatch' },
+      { line: 6, reason: 'missing' },
+    ]);
+  });
+});
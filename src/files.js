@@ -0,0 +1,87 @@
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const escapeCsv = (value) => {
+  const raw = String(value ?? '');
+  const text = typeof value === 'string' && FORMULA_START.test(raw) ? `'${raw}` : raw;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+// ✅ What it does: Quotes one CSV cell and defuses text a spreadsheet would run as a formula
+// 🧠 What to know: Text starting with = + - @ tab or CR gets a leading ', numbers are left alone
+// ❓ Why we used it: Search terms come from anyone, and "=HYPERLINK(...)" must stay text when an admin opens the file
+
+export const buildCsv = (columns, rows) =>
+  [
+    columns.map(([name]) => name).join(','),
+    ...rows.map((row) => columns.map(([, read]) => escapeCsv(read(row))).join(',')),
+  ].join('\r\n');
+// ✅ What it does: Turns rows into CSV text, one [name, read] pair per column
+// 🧠 What to know: Values with commas, quotes or line breaks are quoted; lines end in \r\n like spreadsheets expect
+// ❓ Why we used it: Analytics and list exports write CSV the same way
+
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      rows.push([...row, cell]);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell || row.length > 0) rows.push([...row, cell]);
+
+  return rows.filter((cells) => cells.some((value) => value.trim()));
+};
+// ✅ What it does: Splits CSV text into rows of cells
+// 🧠 What to know: Handles quoted cells with commas, "" and line breaks; blank lines are dropped. Cells are returned as written
+// ❓ Why we used it: Lists can be imported from a spreadsheet without another dependency
+
+export const unescapeCsvCell = (value) => (/^'[=+\-@\t\r]/.test(value) ? value.slice(1) : value);
+// ✅ What it does: Removes the ' that buildCsv put in front of formula-like text
+// 🧠 What to know: Only call it on files this app wrote; elsewhere a leading ' is real data
+// ❓ Why we used it: So an exported title like "=1+1" imports back unchanged
+
+export const downloadFile = (content, filename, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  // Revoking right away can cancel the download in some browsers
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+// ✅ What it does: Saves text as a file through the browser's download
+// 🧠 What to know: type is the MIME type, e.g. 'text/csv;charset=utf-8'
+// ❓ Why we used it: CSV and JSON exports don't need a server
+
+export const readFileText = (file) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsText(file);
+  });
+// ✅ What it does: Reads a picked file as text
+// 🧠 What to know: FileReader works everywhere file inputs do
+// ❓ Why we used it: To import lists from the user's own files
@@ -0,0 +1,136 @@
+export const SORT_OPTIONS = [
+  { value: 'popularity.desc', labelKey: 'filters.sort.popularity' },
+  { value: 'vote_average.desc', labelKey: 'filters.sort.rating' },
+  { value: 'primary_release_date.desc', labelKey: 'filters.sort.releaseDate' },
+  { value: 'revenue.desc', labelKey: 'filters.sort.revenue' },
+];
+// ✅ What it does: Lists the sort orders the filter panel offers
+// 🧠 What to know: value is passed straight to TMDB's sort_by; labelKey is looked up with t()
+// ❓ Why we used it: So the panel and the request use the same values
+
+export const DEFAULT_FILTERS = {
+  genres: [],
+  providers: [],
+  yearFrom: '',
+  yearTo: '',
+  minRating: '',
+  minVotes: '',
+  language: '',
+  runtimeMin: '',
+  runtimeMax: '',
+  sortBy: SORT_OPTIONS[0].value,
+};
+// ✅ What it does: Describes "no filters"
+// 🧠 What to know: Empty string = not set
+// ❓ Why we used it: Starting point for the panel and for Reset
+
+const URL_KEYS = {
+  yearFrom: 'year_from',
+  yearTo: 'year_to',
+  minRating: 'rating',
+  minVotes: 'votes',
+  language: 'lang',
+  runtimeMin: 'runtime_min',
+  runtimeMax: 'runtime_max',
+  sortBy: 'sort',
+};
+// ✅ What it does: Maps each filter to its name in the URL
+// 🧠 What to know: genres and providers are handled separately because they're lists
+// ❓ Why we used it: Keeps URLs short, e.g. /?genres=28,12&rating=7
+
+const LIST_KEYS = ['genres', 'providers'];
+// ✅ What it does: Filters that hold a list of TMDB IDs
+// 🧠 What to know: Written to the URL as comma-separated IDs
+// ❓ Why we used it: So genres and providers are read and written the same way
+
+export const parseFilters = (params) => {
+  const filters = { ...DEFAULT_FILTERS };
+  LIST_KEYS.forEach((key) => {
+    const ids = params.get(key);
+    if (ids) filters[key] = ids.split(',').map(Number).filter(Boolean);
+  });
+
+  Object.entries(URL_KEYS).forEach(([key, urlKey]) => {
+    const value = params.get(urlKey);
+    if (value) filters[key] = value;
+  });
+
+  if (!SORT_OPTIONS.some((option) => option.value === filters.sortBy)) {
+    filters.sortBy = DEFAULT_FILTERS.sortBy;
+  }
+  return filters;
+};
+// ✅ What it does: Reads the filters from URL search params
+// 🧠 What to know: Unknown sort values fall back to popularity
+// ❓ Why we used it: The URL is where filters live, so they survive a reload
+
+export const writeFilters = (params, filters) => {
+  LIST_KEYS.forEach((key) => params.delete(key));
+  Object.values(URL_KEYS).forEach((urlKey) => params.delete(urlKey));
+
+  LIST_KEYS.forEach((key) => {
+    if (filters[key].length > 0) params.set(key, filters[key].join(','));
+  });
+  Object.entries(URL_KEYS).forEach(([key, urlKey]) => {
+    if (filters[key] && filters[key] !== DEFAULT_FILTERS[key]) params.set(urlKey, filters[key]);
+  });
+  return params;
+};
+// ✅ What it does: Writes the filters into URL search params
+// 🧠 What to know: Default values are left out of the URL
+// ❓ Why we used it: The opposite of parseFilters
+
+export const buildDiscoverParams = (filters, region) => {
+  const params = new URLSearchParams({ sort_by: filters.sortBy });
+  if (filters.genres.length > 0) params.set('with_genres', filters.genres.join('|'));
+  if (filters.providers.length > 0) {
+    params.set('with_watch_providers', filters.providers.join('|'));
+    params.set('with_watch_monetization_types', 'flatrate');
+    params.set('watch_region', region);
+  }
+  if (filters.yearFrom) params.set('primary_release_date.gte', `${filters.yearFrom}-01-01`);
+  if (filters.yearTo) params.set('primary_release_date.lte', `${filters.yearTo}-12-31`);
+  if (filters.minRating) params.set('vote_average.gte', filters.minRating);
+  if (filters.minVotes) params.set('vote_count.gte', filters.minVotes);
+  if (filters.language) params.set('with_original_language', filters.language);
+  if (filters.runtimeMin) params.set('with_runtime.gte', filters.runtimeMin);
+  if (filters.runtimeMax) params.set('with_runtime.lte', filters.runtimeMax);
+  return params;
+};
+// ✅ What it does: Turns the filters into /discover/movie query params
+// 🧠 What to know: '|' means "any of these"; providers only count as streaming in the user's region
+// ❓ Why we used it: Discover supports every filter on the server
+
+export const buildSearchParams = (filters) => {
+  const params = new URLSearchParams();
+  if (filters.yearFrom && filters.yearFrom === filters.yearTo) {
+    params.set('primary_release_year', filters.yearFrom);
+  }
+  return params;
+};
+// ✅ What it does: Adds the filters /search/movie understands
+// 🧠 What to know: Search only takes a single release year
+// ❓ Why we used it: The rest is applied with matchesFilters after the response
+
+export const matchesFilters = (movie, filters) => {
+  const year = Number(movie.release_date?.split('-')[0]);
+
+  if (filters.genres.length > 0 && !filters.genres.some((id) => movie.genre_ids?.includes(id))) return false;
+  if (filters.yearFrom && !(year >= Number(filters.yearFrom))) return false;
+  if (filters.yearTo && !(year <= Number(filters.yearTo))) return false;
+  if (filters.minRating && movie.vote_average < Number(filters.minRating)) return false;
+  if (filters.minVotes && movie.vote_count < Number(filters.minVotes)) return false;
+  if (filters.language && movie.original_language !== filters.language) return false;
+  return true;
+};
+// ✅ What it does: Checks a search result against the filters
+// 🧠 What to know: Runtime, sort order and providers aren't in search results, so they are skipped
+// ❓ Why we used it: To combine filters with the search box where TMDB can't
+
+export const countActiveFilters = (filters) =>
+  Object.keys(DEFAULT_FILTERS).filter((key) =>
+    LIST_KEYS.includes(key) ? filters[key].length > 0 : filters[key] !== DEFAULT_FILTERS[key]
+  ).length;
+// ✅ What it does: Counts how many filters differ from the defaults
+// 🧠 What to know: Shown as a badge on the Filters button
+// ❓ Why we used it: So users can see filters are on when the panel is closed
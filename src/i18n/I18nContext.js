@@ -0,0 +1,11 @@
+import { createContext, useContext } from 'react';
+
+export const I18nContext = createContext(null);
+
+export const useI18n = () => {
+  const context = useContext(I18nContext);
+  if (!context) {
+    throw new Error('useI18n must be used inside <I18nProvider>');
+  }
+  return context;
+};
@@ -0,0 +1,50 @@
+import React, { useEffect, useMemo, useState } from 'react'
+import { I18nContext } from './I18nContext.js'
+import { LOCALES, REGIONS, loadLocaleSettings, saveLocaleSettings } from './locales.js'
+import { createFormatters, createTranslator } from './translate.js'
+import { setTmdbLocale } from '../tmdb.js'
+
+const I18nProvider = ({ children }) => {
+  const [settings, setSettings] = useState(loadLocaleSettings);
+  const { locale, region } = settings;
+  const { dir, tmdbLanguage } = LOCALES[locale];
+
+  // Set during render, not in an effect: children's effects run first and their TMDB requests need it
+  setTmdbLocale({ language: tmdbLanguage, region });
+
+  useEffect(() => {
+    document.documentElement.lang = locale;
+    document.documentElement.dir = dir;
+  }, [locale, dir]);
+
+  const updateSettings = (changes) => {
+    const next = { ...settings, ...changes };
+    saveLocaleSettings(next);
+    setSettings(next);
+  };
+
+  const value = useMemo(() => {
+    const t = createTranslator(locale);
+    return { t, ...createFormatters(locale, t) };
+  }, [locale]);
+
+  return (
+    <I18nContext.Provider
+      value={{
+        ...value,
+        locale,
+        region,
+        dir,
+        tmdbLanguage,
+        locales: LOCALES,
+        regions: REGIONS,
+        setLocale: (nextLocale) => updateSettings({ locale: nextLocale }),
+        setRegion: (nextRegion) => updateSettings({ region: nextRegion }),
+      }}
+    >
+      {children}
+    </I18nContext.Provider>
+  )
+}
+
+export default I18nProvider
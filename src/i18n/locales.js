@@ -0,0 +1,54 @@
+import en from './messages/en.js';
+import es from './messages/es.js';
+import ar from './messages/ar.js';
+import ur from './messages/ur.js';
+
+export const LOCALES = {
+  en: { label: 'English', dir: 'ltr', tmdbLanguage: 'en-US', region: 'US', messages: en },
+  es: { label: 'Español', dir: 'ltr', tmdbLanguage: 'es-ES', region: 'ES', messages: es },
+  ar: { label: 'العربية', dir: 'rtl', tmdbLanguage: 'ar-SA', region: 'SA', messages: ar },
+  ur: { label: 'اردو', dir: 'rtl', tmdbLanguage: 'ur-PK', region: 'PK', messages: ur },
+};
+// ✅ What it does: Lists the languages the UI is translated into
+// 🧠 What to know: dir flips the layout; tmdbLanguage is what TMDB gets as ?language=
+// ❓ Why we used it: Adding a language is one catalog file and one line here
+
+export const DEFAULT_LOCALE = 'en';
+
+export const REGIONS = ['US', 'GB', 'CA', 'AU', 'IN', 'PK', 'SA', 'AE', 'EG', 'ES', 'MX', 'AR', 'DE', 'FR'];
+// ✅ What it does: Countries the region picker offers
+// 🧠 What to know: Region decides release dates, certifications and where-to-watch on TMDB
+// ❓ Why we used it: Language and country are separate choices (Spanish in the US, English in Pakistan...)
+
+const STORAGE_KEY = 'locale-settings';
+
+const detectSettings = () => {
+  const [language, country] = (navigator.language || DEFAULT_LOCALE).split('-');
+  const locale = LOCALES[language] ? language : DEFAULT_LOCALE;
+  const region = REGIONS.includes(country?.toUpperCase()) ? country.toUpperCase() : LOCALES[locale].region;
+  return { locale, region };
+};
+// ✅ What it does: Guesses language and region from the browser
+// 🧠 What to know: Falls back to English / the language's home country
+// ❓ Why we used it: First-time visitors see their own language without picking it
+
+export const loadLocaleSettings = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (LOCALES[saved?.locale] && REGIONS.includes(saved.region)) return saved;
+  } catch {
+    // Ignore unreadable settings and detect again
+  }
+  return detectSettings();
+};
+
+export const saveLocaleSettings = (settings) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch (error) {
+    console.log(error);
+  }
+};
+// ✅ What it does: Remembers the chosen language and region
+// 🧠 What to know: Saved values we no longer support are ignored
+// ❓ Why we used it: So the choice survives a reload
@@ -0,0 +1,385 @@
+const ar = {
+  common: {
+    notAvailable: 'غير متوفر',
+    loading: 'جارٍ التحميل...',
+    any: 'الكل',
+    sortBy: 'الترتيب حسب',
+    movies: 'الأفلام',
+    rating: 'التقييم',
+    back: '→ رجوع',
+    backToMovies: '→ العودة إلى كل الأفلام',
+  },
+  errors: {
+    rateLimited: 'طلبات كثيرة جدًا الآن. يُرجى الانتظار قليلًا ثم المحاولة مرة أخرى.',
+    offline: 'يبدو أنك غير متصل بالإنترنت. تحقق من الاتصال وحاول مرة أخرى.',
+    apiKey: 'مفتاح واجهة TMDB مفقود أو غير صالح.',
+    notFound: 'لم نعثر على ذلك في TMDB.',
+    movies: 'حدث خطأ أثناء جلب الأفلام. يُرجى المحاولة لاحقًا.',
+    loadMore: 'حدث خطأ أثناء تحميل المزيد من الأفلام. يُرجى المحاولة لاحقًا.',
+    trending: 'تعذّر تحميل الأفلام الرائجة.',
+    movieDetails: 'حدث خطأ أثناء جلب تفاصيل الفيلم. يُرجى المحاولة لاحقًا.',
+    personDetails: 'حدث خطأ أثناء جلب تفاصيل الشخص. يُرجى المحاولة لاحقًا.',
+    filterOptions: 'حدث خطأ أثناء تحميل الأنواع واللغات. يُرجى المحاولة لاحقًا.',
+    session: 'تعذّر الاتصال بحسابك. يُرجى المحاولة لاحقًا.',
+    generic: 'حدث خطأ ما. يُرجى المحاولة مرة أخرى.',
+    analytics: 'خطأ في تحميل إحصاءات البحث. يُرجى المحاولة لاحقًا.',
+    streamingServices: 'خطأ في تحميل منصات البث. يُرجى المحاولة لاحقًا.',
+    recommendations: 'تعذّر تحميل الاقتراحات الآن.',
+    sharedList: 'حدث خطأ أثناء تحميل القائمة المشتركة. يُرجى المحاولة لاحقًا.',
+  },
+  nav: {
+    home: 'الرئيسية',
+    trending: 'الرائج',
+    watchlist: 'قائمة المشاهدة',
+    watched: 'تمت مشاهدتها',
+    logIn: 'تسجيل الدخول',
+    analytics: 'الإحصاءات',
+    settings: 'الإعدادات',
+    lists: 'القوائم',
+  },
+  offline: {
+    cachedResults: 'غير متصل — يتم عرض نتائج محفوظة',
+    noConnection: 'أنت غير متصل. ستظهر النتائج عند عودة الاتصال.',
+  },
+  locale: {
+    language: 'اللغة',
+    region: 'المنطقة',
+  },
+  home: {
+    heroAlt: 'صورة الواجهة',
+    title: 'اعثر على {highlight} ستستمتع بها دون عناء',
+    trending: '{highlight} الرائجة',
+    people: 'أشخاص',
+    allMovies: 'كل {highlight}',
+    loadMore: 'تحميل المزيد',
+    results: {
+      zero: 'لا أفلام في القائمة',
+      one: 'فيلم واحد في القائمة',
+      two: 'فيلمان في القائمة',
+      few: '{count} أفلام في القائمة',
+      many: '{count} فيلمًا في القائمة',
+      other: '{count} فيلم في القائمة',
+    },
+  },
+  forYou: {
+    title: 'مختارة {highlight}',
+    highlight: 'لك',
+    becauseSearched: 'لأنك بحثت عن "{term}"',
+    becauseOpened: 'لأنك شاهدت صفحة {title}',
+    becauseGenre: 'لأنك تحب {genre}',
+    empty: 'لا اقتراحات جديدة الآن. ابحث عن المزيد من الأفلام أو افتحها.',
+    manage: 'إدارة السجل',
+  },
+  search: {
+    label: 'ابحث عن الأفلام',
+    placeholder: 'ابحث بين آلاف الأفلام...',
+    suggestions: 'اقتراحات البحث',
+    groups: {
+      recent: 'عمليات البحث الأخيرة',
+      trending: 'عمليات البحث الرائجة',
+      movie: 'أفلام',
+      person: 'أشخاص',
+      collection: 'مجموعات',
+    },
+  },
+  filters: {
+    toggle: 'عوامل التصفية',
+    genres: 'الأنواع',
+    yearFrom: 'صدر من',
+    yearTo: 'صدر حتى',
+    minRating: 'أدنى تقييم',
+    minVotes: 'أدنى عدد أصوات',
+    language: 'اللغة',
+    runtimeMin: 'المدة من (دقيقة)',
+    runtimeMax: 'المدة حتى (دقيقة)',
+    searchHint: 'تنطبق المدة وترتيب النتائج ومنصات البث فقط عند التصفح دون كلمة بحث.',
+    streaming: 'البث',
+    myServices: 'على منصاتي فقط',
+    noServices: 'اختر منصاتك في {link} لاستخدام هذا الفلتر.',
+    chooseServices: 'الإعدادات',
+    reset: 'إعادة ضبط',
+    apply: 'تطبيق',
+    sort: {
+      popularity: 'الشعبية',
+      rating: 'التقييم',
+      releaseDate: 'تاريخ الإصدار',
+      revenue: 'الإيرادات',
+    },
+  },
+  trending: {
+    tabs: 'فترة الرواج',
+    empty: 'لا توجد أفلام رائجة.',
+    disabled: 'الرائج متوقف في هذا الموقع.',
+    searches: {
+      zero: 'لا عمليات بحث',
+      one: 'عملية بحث واحدة',
+      two: 'عمليتا بحث',
+      few: '{count} عمليات بحث',
+      many: '{count} عملية بحث',
+      other: '{count} عملية بحث',
+    },
+    windows: {
+      '24h': 'آخر 24 ساعة',
+      '7d': 'آخر 7 أيام',
+      '30d': 'آخر 30 يومًا',
+      all: 'كل الأوقات',
+    },
+    rank: {
+      new: 'جديد',
+      same: 'المرتبة نفسها كالفترة السابقة',
+      up: 'صعد {count} منذ الفترة السابقة',
+      down: 'هبط {count} منذ الفترة السابقة',
+    },
+  },
+  movie: {
+    runtime: '{hours} س {minutes} د',
+    status: 'الحالة',
+    releaseDate: 'تاريخ الإصدار',
+    language: 'اللغة',
+    budget: 'الميزانية',
+    revenue: 'الإيرادات',
+    noOverview: 'لا يوجد ملخص متاح.',
+    trailer: 'الإعلان',
+    watchOnYouTube: 'شاهد على YouTube',
+    cast: 'أبرز الممثلين',
+    crew: 'فريق العمل',
+    whereToWatch: 'أين تشاهد',
+    providers: {
+      flatrate: 'بث',
+      rent: 'استئجار',
+      buy: 'شراء',
+    },
+    noProviders: 'لا توجد منصات مشاهدة.',
+    similar: '{highlight} مشابهة',
+  },
+  departments: {
+    Acting: 'التمثيل',
+    Directing: 'الإخراج',
+    Writing: 'الكتابة',
+    Production: 'الإنتاج',
+    Sound: 'الصوت',
+    Art: 'الفن',
+    Camera: 'التصوير',
+    Editing: 'المونتاج',
+    'Costume & Make-Up': 'الأزياء والمكياج',
+    Crew: 'طاقم العمل',
+    'Visual Effects': 'المؤثرات البصرية',
+    Lighting: 'الإضاءة',
+    Creator: 'الابتكار',
+  },
+  person: {
+    knownFor: 'معروف بـ',
+    born: 'الميلاد',
+    died: 'الوفاة',
+    noBiography: 'لا توجد سيرة ذاتية متاحة.',
+    acting: 'التمثيل',
+    directing: 'الإخراج',
+    noMovies: 'لم يتم العثور على أفلام.',
+    sort: {
+      popularity: 'الشعبية',
+      newest: 'الأحدث أولًا',
+      oldest: 'الأقدم أولًا',
+      rating: 'التقييم',
+      title: 'العنوان',
+    },
+  },
+  lists: {
+    watchlist: 'قائمة المشاهدة',
+    watched: 'الأفلام التي شاهدتها',
+    title: '{highlight}',
+    addToWatchlist: '+ قائمة المشاهدة',
+    onWatchlist: '✓ قائمة المشاهدة',
+    markSeen: 'شاهدته',
+    seen: '✓ شاهدته',
+    badgeWatchlist: 'في قائمة المشاهدة',
+    badgeSeen: 'تمت مشاهدته',
+    badgeSeenRated: 'تمت مشاهدته · {rating}/10',
+    remove: 'إزالة',
+    emptyWatchlist: 'قائمة المشاهدة فارغة.',
+    emptyWatched: 'لم تضع علامة مشاهدة على أي فيلم بعد.',
+    myRating: 'تقييمي',
+    note: 'ملاحظة',
+    notePlaceholder: 'ما رأيك؟',
+    sort: {
+      added: 'تاريخ الإضافة',
+      title: 'العنوان',
+      release: 'تاريخ الإصدار',
+      tmdb: 'تقييم TMDB',
+      mine: 'تقييمي',
+    },
+  },
+  customLists: {
+    title: '{highlight}',
+    highlight: 'قوائمي',
+    count: {
+      zero: 'لا أفلام',
+      one: 'فيلم واحد',
+      two: 'فيلمان',
+      few: '{count} أفلام',
+      many: '{count} فيلمًا',
+      other: '{count} فيلم',
+    },
+    updated: 'حُدّثت في {date}',
+    empty: 'لا قوائم بعد. أنشئ قائمة أدناه، أو ابدأ قائمة جديدة من "+ قائمة" على أي فيلم.',
+    newList: 'قائمة جديدة',
+    name: 'الاسم',
+    description: 'الوصف',
+    create: 'إنشاء قائمة',
+    addTo: '+ قائمة',
+    addToLabel: 'إضافة {title} إلى قائمة',
+    newListName: 'اسم القائمة الجديدة',
+    back: '→ العودة إلى قوائمي',
+    notFound: 'هذه القائمة غير موجودة على هذا الجهاز.',
+    untitled: 'قائمة بلا عنوان',
+    emptyList: 'هذه القائمة فارغة.',
+    exportJson: 'تصدير JSON',
+    exportCsv: 'تصدير CSV',
+    delete: 'حذف القائمة',
+    confirmDelete: 'نعم، احذفها',
+    cancel: 'إلغاء',
+    moveUp: 'نقل {title} إلى الأعلى',
+    moveDown: 'نقل {title} إلى الأسفل',
+    share: {
+      label: 'رابط المشاركة',
+      copy: 'نسخ الرابط',
+      copied: 'تم نسخ الرابط.',
+      copyFailed: 'تعذّر النسخ. حدّد الرابط وانسخه بنفسك.',
+      hint: 'يمكن لأي شخص لديه الرابط عرض هذه القائمة دون تعديلها. يعرض الرابط القائمة كما هي الآن، لذا انسخه من جديد بعد التعديل.',
+      invalid: 'رابط المشاركة هذا معطّل أو غير مكتمل.',
+      readOnly: 'قائمة مشتركة · للقراءة فقط',
+      saveCopy: 'حفظ نسخة في قوائمي',
+    },
+    import: {
+      title: 'استيراد قائمة',
+      hint: 'ملف JSON أو CSV يحتوي على عمود tmdb_id، أو عمودي title وyear. يصبح كل ملف قائمة جديدة.',
+      choose: 'اختر ملفًا',
+      invalid: 'تعذّرت قراءة الملف. استخدم JSON أو CSV بصف عناوين.',
+      unreadable: 'تعذّر فتح الملف. حاول اختياره مرة أخرى.',
+      failed: 'حدث خطأ أثناء استيراد القائمة. يُرجى المحاولة لاحقًا.',
+      defaultName: 'قائمة مستوردة',
+      summary: 'تم استيراد {matched} من {total} فيلمًا إلى "{name}".',
+      open: 'فتح القائمة',
+      unmatched: {
+        zero: 'لا صفوف دون مطابقة:',
+        one: 'تعذّرت مطابقة صف واحد:',
+        two: 'تعذّرت مطابقة صفين:',
+        few: 'تعذّرت مطابقة {count} صفوف:',
+        many: 'تعذّرت مطابقة {count} صفًا:',
+        other: 'تعذّرت مطابقة {count} صف:',
+      },
+      row: 'الصف {line}: {movie}',
+      reasons: {
+        notFound: 'لا يوجد فيلم بمعرّف TMDB هذا',
+        noMatch: 'لا يوجد فيلم بهذا العنوان والسنة',
+        missing: 'لا معرّف TMDB ولا عنوان',
+      },
+    },
+  },
+  streaming: {
+    title: 'منصات البث الخاصة بي',
+    intro: 'حدد المنصات التي تشترك فيها. المنصات المعروضة متاحة في {region}.',
+    onYourService: '{name} (إحدى منصاتك)',
+    more: '+{count}',
+    attribution: 'بيانات التوفر من JustWatch',
+  },
+  settings: {
+    title: '{highlight}',
+    highlight: 'الإعدادات',
+  },
+  history: {
+    title: 'سجل البحث والمشاهدة',
+    intro: 'تُحفظ عمليات البحث الأخيرة والأفلام التي تفتحها على هذا الجهاز فقط، وتُستخدم لاقتراحات "لك".',
+    searches: {
+      zero: 'لا عمليات بحث',
+      one: 'عملية بحث واحدة',
+      two: 'عمليتا بحث',
+      few: '{count} عمليات بحث',
+      many: '{count} عملية بحث',
+      other: '{count} عملية بحث',
+    },
+    opened: {
+      zero: 'لم يُفتح أي فيلم',
+      one: 'فيلم واحد مفتوح',
+      two: 'فيلمان مفتوحان',
+      few: '{count} أفلام مفتوحة',
+      many: '{count} فيلمًا مفتوحًا',
+      other: '{count} فيلم مفتوح',
+    },
+    clear: 'مسح السجل',
+    cleared: 'تم مسح السجل.',
+  },
+  shortcuts: {
+    title: 'اختصارات لوحة المفاتيح',
+    search: 'الانتقال إلى مربع البحث',
+    move: 'التنقل بين الأفلام',
+    open: 'فتح الفيلم المحدد',
+    watchlist: 'إضافة الفيلم المحدد إلى قائمة المشاهدة أو إزالته منها',
+    help: 'إظهار هذه المساعدة أو إخفاؤها',
+    close: 'إغلاق هذه المساعدة',
+    dismiss: 'حسنًا',
+  },
+  analytics: {
+    title: '{highlight}',
+    highlight: 'إحصاءات البحث',
+    adminOnly: 'إحصاءات البحث متاحة للمشرفين فقط.',
+    noEvents: 'تحتاج لوحة المعلومات إلى أحداث البحث. عيّن VITE_APPWRITE_EVENTS_COLLECTION_ID لبدء جمعها.',
+    disabled: 'إحصاءات البحث متوقفة في هذا الموقع (VITE_ANALYTICS_STORAGE=off).',
+    range: 'الفترة',
+    lastDays: 'آخر {count} يومًا',
+    truncated: 'تُعرض أحدث {count} من أحداث البحث فقط، حتى {date}. الأيام الأقدم في هذه الفترة غير محسوبة في أي رقم هنا.',
+    overTime: 'عمليات البحث عبر الوقت',
+    chartLabel: '{date}: {searches} عملية بحث، {noResults} دون نتائج',
+    topTerms: 'أكثر الكلمات بحثًا',
+    zeroResults: 'عمليات بحث دون نتائج',
+    noZeroResults: 'وجدت كل عمليات البحث نتائج.',
+    empty: 'لا توجد عمليات بحث في هذه الفترة.',
+    allTerms: 'كل كلمات البحث',
+    filter: 'تصفية الكلمات',
+    filterPlaceholder: 'مثلًا batman',
+    show: 'عرض',
+    showOptions: {
+      all: 'كل الكلمات',
+      noResults: 'دون نتائج',
+      opened: 'مع أفلام مفتوحة',
+    },
+    exportCsv: 'تصدير CSV',
+    noMatchingTerms: 'لا توجد كلمات مطابقة.',
+    movieId: 'الفيلم {id}',
+    columns: {
+      term: 'الكلمة',
+      searches: 'عمليات البحث',
+      noResults: 'دون نتائج',
+      opens: 'أفلام مفتوحة',
+      conversion: 'التحويل',
+      topMovie: 'الفيلم الأبرز',
+    },
+  },
+  account: {
+    title: '{highlight}',
+    highlight: 'حسابك',
+    notConfigured: 'تتطلب الحسابات مشروع Appwrite. قوائمك محفوظة على هذا الجهاز فقط.',
+    upgradeIntro: 'أنشئ حسابًا للاحتفاظ بالقوائم التي صنعتها واستخدامها على أي جهاز.',
+    logInIntro: 'سجّل الدخول لرؤية قوائمك وتقييماتك على أي جهاز.',
+    logIn: 'تسجيل الدخول',
+    logOut: 'تسجيل الخروج',
+    createAccount: 'إنشاء حساب',
+    name: 'الاسم',
+    email: 'البريد الإلكتروني',
+    password: 'كلمة المرور',
+    pleaseWait: 'يُرجى الانتظار…',
+  },
+  setup: {
+    title: 'أكمل إعداد التطبيق',
+    intro: 'بعض الإعدادات في ملف .env مفقودة أو غير صالحة:',
+    fix: 'صحّحها (يسرد ملف .env.example كل المتغيرات)، ثم أعد تشغيل خادم التطوير أو أعد البناء.',
+    problems: {
+      required: 'مطلوب، لكنه غير معيّن.',
+      requiredWith: 'يجب تعيينه لأن {other} معيّن. معرّفات مشروع Appwrite وقاعدة البيانات والمجموعة تُعيَّن معًا.',
+      invalidUrl: 'يجب أن يكون عنوان URL كاملًا يبدأ بـ http(s)، لكنه "{value}".',
+      invalidOption: 'يجب أن يكون واحدًا من {options}، لكنه "{value}".',
+      needsAppwrite: 'قيمته "appwrite"، لكن لا يوجد مشروع Appwrite مُعدّ.',
+    },
+  },
+};
+
+export default ar;
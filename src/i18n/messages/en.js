@@ -0,0 +1,361 @@
+const en = {
+  common: {
+    notAvailable: 'N/A',
+    loading: 'Loading...',
+    any: 'Any',
+    sortBy: 'Sort by',
+    movies: 'Movies',
+    rating: 'Rating',
+    back: '← Back',
+    backToMovies: '← Back to all movies',
+  },
+  errors: {
+    rateLimited: 'Too many requests right now (rate limited). Please wait a moment and try again.',
+    offline: 'You appear to be offline. Check your connection and try again.',
+    apiKey: 'The TMDB API key is missing or invalid.',
+    notFound: 'We couldn\'t find that on TMDB.',
+    movies: 'Error fetching movies. Please try again later.',
+    loadMore: 'Error loading more movies. Please try again later.',
+    trending: 'Failed to load trending movies.',
+    movieDetails: 'Error fetching movie details. Please try again later.',
+    personDetails: 'Error fetching person details. Please try again later.',
+    filterOptions: 'Error loading genres and languages. Please try again later.',
+    session: 'Could not connect to your account. Please try again later.',
+    generic: 'Something went wrong. Please try again.',
+    analytics: 'Error loading search analytics. Please try again later.',
+    streamingServices: 'Error loading streaming services. Please try again later.',
+    recommendations: 'Could not load recommendations right now.',
+    sharedList: 'Error loading the shared list. Please try again later.',
+  },
+  nav: {
+    home: 'Home',
+    trending: 'Trending',
+    watchlist: 'Watchlist',
+    watched: 'Watched',
+    logIn: 'Log in',
+    analytics: 'Analytics',
+    settings: 'Settings',
+    lists: 'Lists',
+  },
+  offline: {
+    cachedResults: 'Offline — showing cached results',
+    noConnection: 'You\'re offline. Results will load when you reconnect.',
+  },
+  locale: {
+    language: 'Language',
+    region: 'Region',
+  },
+  home: {
+    heroAlt: 'Hero Banner',
+    title: 'Find {highlight} You\'ll Enjoy Without the Hassle',
+    trending: 'Trending {highlight}',
+    people: 'People',
+    allMovies: 'All {highlight}',
+    loadMore: 'Load more',
+    results: {
+      one: '{count} movie in the list',
+      other: '{count} movies in the list',
+    },
+  },
+  forYou: {
+    title: 'Picked {highlight}',
+    highlight: 'For You',
+    becauseSearched: 'Because you searched "{term}"',
+    becauseOpened: 'Because you viewed {title}',
+    becauseGenre: 'Because you like {genre}',
+    empty: 'No new picks right now. Search or open a few more movies.',
+    manage: 'Manage history',
+  },
+  search: {
+    label: 'Search movies',
+    placeholder: 'Search through thousands of movies...',
+    suggestions: 'Search suggestions',
+    groups: {
+      recent: 'Recent searches',
+      trending: 'Trending searches',
+      movie: 'Movies',
+      person: 'People',
+      collection: 'Collections',
+    },
+  },
+  filters: {
+    toggle: 'Filters',
+    genres: 'Genres',
+    yearFrom: 'Released from',
+    yearTo: 'Released to',
+    minRating: 'Minimum rating',
+    minVotes: 'Minimum votes',
+    language: 'Language',
+    runtimeMin: 'Runtime from (min)',
+    runtimeMax: 'Runtime to (min)',
+    searchHint: 'Runtime, sort order and streaming services only apply when browsing without a search term.',
+    streaming: 'Streaming',
+    myServices: 'Only on my streaming services',
+    noServices: 'Choose your services in {link} to use this filter.',
+    chooseServices: 'Settings',
+    reset: 'Reset',
+    apply: 'Apply',
+    sort: {
+      popularity: 'Popularity',
+      rating: 'Rating',
+      releaseDate: 'Release date',
+      revenue: 'Revenue',
+    },
+  },
+  trending: {
+    tabs: 'Trending period',
+    empty: 'No trending movies found.',
+    disabled: 'Trending is turned off for this site.',
+    searches: {
+      one: '{count} search',
+      other: '{count} searches',
+    },
+    windows: {
+      '24h': 'Last 24 hours',
+      '7d': 'Last 7 days',
+      '30d': 'Last 30 days',
+      all: 'All time',
+    },
+    rank: {
+      new: 'NEW',
+      same: 'Same rank as last period',
+      up: 'Up {count} since last period',
+      down: 'Down {count} since last period',
+    },
+  },
+  movie: {
+    runtime: '{hours}h {minutes}m',
+    status: 'Status',
+    releaseDate: 'Release date',
+    language: 'Language',
+    budget: 'Budget',
+    revenue: 'Revenue',
+    noOverview: 'No overview available.',
+    trailer: 'Trailer',
+    watchOnYouTube: 'Watch on YouTube',
+    cast: 'Top Billed Cast',
+    crew: 'Crew',
+    whereToWatch: 'Where to Watch',
+    providers: {
+      flatrate: 'Stream',
+      rent: 'Rent',
+      buy: 'Buy',
+    },
+    noProviders: 'No watch providers found.',
+    similar: 'Similar {highlight}',
+  },
+  departments: {
+    Acting: 'Acting',
+    Directing: 'Directing',
+    Writing: 'Writing',
+    Production: 'Production',
+    Sound: 'Sound',
+    Art: 'Art',
+    Camera: 'Camera',
+    Editing: 'Editing',
+    'Costume & Make-Up': 'Costume & Make-Up',
+    Crew: 'Crew',
+    'Visual Effects': 'Visual Effects',
+    Lighting: 'Lighting',
+    Creator: 'Creator',
+  },
+  person: {
+    knownFor: 'Known for',
+    born: 'Born',
+    died: 'Died',
+    noBiography: 'No biography available.',
+    acting: 'Acting',
+    directing: 'Directing',
+    noMovies: 'No movies found.',
+    sort: {
+      popularity: 'Popularity',
+      newest: 'Newest first',
+      oldest: 'Oldest first',
+      rating: 'Rating',
+      title: 'Title',
+    },
+  },
+  lists: {
+    watchlist: 'Watchlist',
+    watched: 'Watched',
+    title: 'My {highlight}',
+    addToWatchlist: '+ Watchlist',
+    onWatchlist: '✓ Watchlist',
+    markSeen: 'Seen it',
+    seen: '✓ Seen it',
+    badgeWatchlist: 'On watchlist',
+    badgeSeen: 'Seen',
+    badgeSeenRated: 'Seen · {rating}/10',
+    remove: 'Remove',
+    emptyWatchlist: 'Your watchlist is empty.',
+    emptyWatched: 'You haven\'t marked any movies as seen yet.',
+    myRating: 'My rating',
+    note: 'Note',
+    notePlaceholder: 'What did you think?',
+    sort: {
+      added: 'Date added',
+      title: 'Title',
+      release: 'Release date',
+      tmdb: 'TMDB rating',
+      mine: 'My rating',
+    },
+  },
+  customLists: {
+    title: 'My {highlight}',
+    highlight: 'Lists',
+    count: {
+      one: '{count} movie',
+      other: '{count} movies',
+    },
+    updated: 'updated {date}',
+    empty: 'No lists yet. Create one below, or start a new list from "+ List" on any movie.',
+    newList: 'New list',
+    name: 'Name',
+    description: 'Description',
+    create: 'Create list',
+    addTo: '+ List',
+    addToLabel: 'Add {title} to a list',
+    newListName: 'New list name',
+    back: '← Back to my lists',
+    notFound: 'That list doesn\'t exist on this device.',
+    untitled: 'Untitled list',
+    emptyList: 'This list is empty.',
+    exportJson: 'Export JSON',
+    exportCsv: 'Export CSV',
+    delete: 'Delete list',
+    confirmDelete: 'Yes, delete it',
+    cancel: 'Cancel',
+    moveUp: 'Move {title} up',
+    moveDown: 'Move {title} down',
+    share: {
+      label: 'Share link',
+      copy: 'Copy link',
+      copied: 'Link copied.',
+      copyFailed: 'Couldn\'t copy. Select the link and copy it yourself.',
+      hint: 'Anyone with the link can view this list but not change it. The link shows the list as it is now, so copy it again after editing.',
+      invalid: 'This share link is broken or incomplete.',
+      readOnly: 'Shared list · read-only',
+      saveCopy: 'Save a copy to my lists',
+    },
+    import: {
+      title: 'Import a list',
+      hint: 'JSON or CSV with a tmdb_id column, or title and year columns. Each file becomes a new list.',
+      choose: 'Choose a file',
+      invalid: 'That file couldn\'t be read. Use JSON, or CSV with a header row.',
+      unreadable: 'That file couldn\'t be opened. Try choosing it again.',
+      failed: 'Error importing the list. Please try again later.',
+      defaultName: 'Imported list',
+      summary: 'Imported {matched} of {total} movies into "{name}".',
+      open: 'Open list',
+      unmatched: {
+        one: '{count} row couldn\'t be matched:',
+        other: '{count} rows couldn\'t be matched:',
+      },
+      row: 'Row {line}: {movie}',
+      reasons: {
+        notFound: 'no movie with that TMDB id',
+        noMatch: 'no movie with that title and year',
+        missing: 'no TMDB id or title',
+      },
+    },
+  },
+  streaming: {
+    title: 'My streaming services',
+    intro: 'Tick the services you subscribe to. Showing services available in {region}.',
+    onYourService: '{name} (one of your services)',
+    more: '+{count}',
+    attribution: 'Availability data from JustWatch',
+  },
+  settings: {
+    title: 'Your {highlight}',
+    highlight: 'Settings',
+  },
+  history: {
+    title: 'Search and viewing history',
+    intro: 'Recent searches and the movies you open are kept on this device only and used for your "For you" picks.',
+    searches: {
+      one: '{count} search',
+      other: '{count} searches',
+    },
+    opened: {
+      one: '{count} movie opened',
+      other: '{count} movies opened',
+    },
+    clear: 'Clear history',
+    cleared: 'History cleared.',
+  },
+  shortcuts: {
+    title: 'Keyboard shortcuts',
+    search: 'Focus the search box',
+    move: 'Move between movies',
+    open: 'Open the focused movie',
+    watchlist: 'Add or remove the focused movie from your watchlist',
+    help: 'Show or hide this help',
+    close: 'Close this help',
+    dismiss: 'Got it',
+  },
+  analytics: {
+    title: '{highlight}',
+    highlight: 'Search Analytics',
+    adminOnly: 'Only admins can see search analytics.',
+    noEvents: 'The dashboard needs search events. Set VITE_APPWRITE_EVENTS_COLLECTION_ID to start collecting them.',
+    disabled: 'Search analytics are turned off for this site (VITE_ANALYTICS_STORAGE=off).',
+    range: 'Period',
+    lastDays: 'Last {count} days',
+    truncated: 'Showing only the most recent {count} search events, back to {date}. Earlier days in this period are missing from every number here.',
+    overTime: 'Searches over time',
+    chartLabel: '{date}: {searches} searches, {noResults} without results',
+    topTerms: 'Top search terms',
+    zeroResults: 'Searches with no results',
+    noZeroResults: 'Every search found something.',
+    empty: 'No searches in this period.',
+    allTerms: 'All search terms',
+    filter: 'Filter terms',
+    filterPlaceholder: 'e.g. batman',
+    show: 'Show',
+    showOptions: {
+      all: 'All terms',
+      noResults: 'With no results',
+      opened: 'With opened movies',
+    },
+    exportCsv: 'Export CSV',
+    noMatchingTerms: 'No terms match.',
+    movieId: 'Movie {id}',
+    columns: {
+      term: 'Term',
+      searches: 'Searches',
+      noResults: 'No results',
+      opens: 'Movies opened',
+      conversion: 'Conversion',
+      topMovie: 'Top movie',
+    },
+  },
+  account: {
+    title: 'Your {highlight}',
+    highlight: 'Account',
+    notConfigured: 'Accounts need an Appwrite project. Your lists are saved on this device only.',
+    upgradeIntro: 'Create an account to keep the lists you\'ve already made and use them on any device.',
+    logInIntro: 'Log in to see your lists and ratings on any device.',
+    logIn: 'Log in',
+    logOut: 'Log out',
+    createAccount: 'Create account',
+    name: 'Name',
+    email: 'Email',
+    password: 'Password',
+    pleaseWait: 'Please wait…',
+  },
+  setup: {
+    title: 'Finish setting up the app',
+    intro: 'Some settings in your .env file are missing or invalid:',
+    fix: 'Fix them (.env.example lists every variable), then restart the dev server or rebuild.',
+    problems: {
+      required: 'Required, but not set.',
+      requiredWith: 'Must be set because {other} is set. The Appwrite project, database and collection IDs go together.',
+      invalidUrl: 'Must be a full http(s) URL, but is "{value}".',
+      invalidOption: 'Must be one of {options}, but is "{value}".',
+      needsAppwrite: 'Is "appwrite", but no Appwrite project is configured.',
+    },
+  },
+};
+
+export default en;
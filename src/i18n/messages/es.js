@@ -0,0 +1,361 @@
+const es = {
+  common: {
+    notAvailable: 'N/D',
+    loading: 'Cargando...',
+    any: 'Cualquiera',
+    sortBy: 'Ordenar por',
+    movies: 'Películas',
+    rating: 'Valoración',
+    back: '← Volver',
+    backToMovies: '← Volver a todas las películas',
+  },
+  errors: {
+    rateLimited: 'Demasiadas solicitudes ahora mismo. Espera un momento y vuelve a intentarlo.',
+    offline: 'Parece que no tienes conexión. Compruébala y vuelve a intentarlo.',
+    apiKey: 'Falta la clave de la API de TMDB o no es válida.',
+    notFound: 'No lo hemos encontrado en TMDB.',
+    movies: 'Error al cargar las películas. Inténtalo de nuevo más tarde.',
+    loadMore: 'Error al cargar más películas. Inténtalo de nuevo más tarde.',
+    trending: 'No se pudieron cargar las películas en tendencia.',
+    movieDetails: 'Error al cargar los detalles de la película. Inténtalo de nuevo más tarde.',
+    personDetails: 'Error al cargar los detalles de la persona. Inténtalo de nuevo más tarde.',
+    filterOptions: 'Error al cargar los géneros y los idiomas. Inténtalo de nuevo más tarde.',
+    session: 'No se pudo conectar con tu cuenta. Inténtalo de nuevo más tarde.',
+    generic: 'Algo ha salido mal. Inténtalo de nuevo.',
+    analytics: 'Error al cargar las estadísticas de búsqueda. Inténtalo más tarde.',
+    streamingServices: 'Error al cargar las plataformas de streaming. Inténtalo más tarde.',
+    recommendations: 'No se pudieron cargar las recomendaciones ahora mismo.',
+    sharedList: 'Error al cargar la lista compartida. Inténtalo de nuevo más tarde.',
+  },
+  nav: {
+    home: 'Inicio',
+    trending: 'Tendencias',
+    watchlist: 'Pendientes',
+    watched: 'Vistas',
+    logIn: 'Iniciar sesión',
+    analytics: 'Estadísticas',
+    settings: 'Ajustes',
+    lists: 'Listas',
+  },
+  offline: {
+    cachedResults: 'Sin conexión — mostrando resultados guardados',
+    noConnection: 'No tienes conexión. Los resultados se cargarán cuando vuelvas a conectarte.',
+  },
+  locale: {
+    language: 'Idioma',
+    region: 'Región',
+  },
+  home: {
+    heroAlt: 'Imagen de portada',
+    title: 'Encuentra {highlight} que disfrutarás sin complicaciones',
+    trending: '{highlight} en tendencia',
+    people: 'Personas',
+    allMovies: 'Todas las {highlight}',
+    loadMore: 'Cargar más',
+    results: {
+      one: '{count} película en la lista',
+      other: '{count} películas en la lista',
+    },
+  },
+  forYou: {
+    title: 'Elegidas {highlight}',
+    highlight: 'Para Ti',
+    becauseSearched: 'Porque buscaste "{term}"',
+    becauseOpened: 'Porque viste {title}',
+    becauseGenre: 'Porque te gusta {genre}',
+    empty: 'No hay nuevas sugerencias por ahora. Busca o abre algunas películas más.',
+    manage: 'Gestionar historial',
+  },
+  search: {
+    label: 'Buscar películas',
+    placeholder: 'Busca entre miles de películas...',
+    suggestions: 'Sugerencias de búsqueda',
+    groups: {
+      recent: 'Búsquedas recientes',
+      trending: 'Búsquedas en tendencia',
+      movie: 'Películas',
+      person: 'Personas',
+      collection: 'Colecciones',
+    },
+  },
+  filters: {
+    toggle: 'Filtros',
+    genres: 'Géneros',
+    yearFrom: 'Estrenada desde',
+    yearTo: 'Estrenada hasta',
+    minRating: 'Valoración mínima',
+    minVotes: 'Votos mínimos',
+    language: 'Idioma',
+    runtimeMin: 'Duración desde (min)',
+    runtimeMax: 'Duración hasta (min)',
+    searchHint: 'La duración, el orden y las plataformas solo se aplican al explorar sin un término de búsqueda.',
+    streaming: 'Streaming',
+    myServices: 'Solo en mis plataformas',
+    noServices: 'Elige tus plataformas en {link} para usar este filtro.',
+    chooseServices: 'Ajustes',
+    reset: 'Restablecer',
+    apply: 'Aplicar',
+    sort: {
+      popularity: 'Popularidad',
+      rating: 'Valoración',
+      releaseDate: 'Fecha de estreno',
+      revenue: 'Recaudación',
+    },
+  },
+  trending: {
+    tabs: 'Periodo de tendencia',
+    empty: 'No hay películas en tendencia.',
+    disabled: 'Las tendencias están desactivadas en este sitio.',
+    searches: {
+      one: '{count} búsqueda',
+      other: '{count} búsquedas',
+    },
+    windows: {
+      '24h': 'Últimas 24 horas',
+      '7d': 'Últimos 7 días',
+      '30d': 'Últimos 30 días',
+      all: 'Siempre',
+    },
+    rank: {
+      new: 'NUEVA',
+      same: 'Mismo puesto que el periodo anterior',
+      up: 'Sube {count} respecto al periodo anterior',
+      down: 'Baja {count} respecto al periodo anterior',
+    },
+  },
+  movie: {
+    runtime: '{hours} h {minutes} min',
+    status: 'Estado',
+    releaseDate: 'Fecha de estreno',
+    language: 'Idioma',
+    budget: 'Presupuesto',
+    revenue: 'Recaudación',
+    noOverview: 'No hay sinopsis disponible.',
+    trailer: 'Tráiler',
+    watchOnYouTube: 'Ver en YouTube',
+    cast: 'Reparto principal',
+    crew: 'Equipo',
+    whereToWatch: 'Dónde ver',
+    providers: {
+      flatrate: 'Streaming',
+      rent: 'Alquiler',
+      buy: 'Compra',
+    },
+    noProviders: 'No hay plataformas disponibles.',
+    similar: '{highlight} similares',
+  },
+  departments: {
+    Acting: 'Actuación',
+    Directing: 'Dirección',
+    Writing: 'Guion',
+    Production: 'Producción',
+    Sound: 'Sonido',
+    Art: 'Arte',
+    Camera: 'Cámara',
+    Editing: 'Montaje',
+    'Costume & Make-Up': 'Vestuario y maquillaje',
+    Crew: 'Equipo técnico',
+    'Visual Effects': 'Efectos visuales',
+    Lighting: 'Iluminación',
+    Creator: 'Creación',
+  },
+  person: {
+    knownFor: 'Conocido por',
+    born: 'Nacimiento',
+    died: 'Fallecimiento',
+    noBiography: 'No hay biografía disponible.',
+    acting: 'Interpretación',
+    directing: 'Dirección',
+    noMovies: 'No se encontraron películas.',
+    sort: {
+      popularity: 'Popularidad',
+      newest: 'Más recientes primero',
+      oldest: 'Más antiguas primero',
+      rating: 'Valoración',
+      title: 'Título',
+    },
+  },
+  lists: {
+    watchlist: 'Pendientes',
+    watched: 'Vistas',
+    title: 'Mis {highlight}',
+    addToWatchlist: '+ Pendientes',
+    onWatchlist: '✓ Pendientes',
+    markSeen: 'La he visto',
+    seen: '✓ La he visto',
+    badgeWatchlist: 'Pendiente',
+    badgeSeen: 'Vista',
+    badgeSeenRated: 'Vista · {rating}/10',
+    remove: 'Quitar',
+    emptyWatchlist: 'Tu lista de pendientes está vacía.',
+    emptyWatched: 'Todavía no has marcado ninguna película como vista.',
+    myRating: 'Mi valoración',
+    note: 'Nota',
+    notePlaceholder: '¿Qué te pareció?',
+    sort: {
+      added: 'Fecha de añadido',
+      title: 'Título',
+      release: 'Fecha de estreno',
+      tmdb: 'Valoración de TMDB',
+      mine: 'Mi valoración',
+    },
+  },
+  customLists: {
+    title: 'Mis {highlight}',
+    highlight: 'Listas',
+    count: {
+      one: '{count} película',
+      other: '{count} películas',
+    },
+    updated: 'actualizada el {date}',
+    empty: 'Aún no tienes listas. Crea una abajo o empieza una nueva desde "+ Lista" en cualquier película.',
+    newList: 'Nueva lista',
+    name: 'Nombre',
+    description: 'Descripción',
+    create: 'Crear lista',
+    addTo: '+ Lista',
+    addToLabel: 'Añadir {title} a una lista',
+    newListName: 'Nombre de la nueva lista',
+    back: '← Volver a mis listas',
+    notFound: 'Esa lista no existe en este dispositivo.',
+    untitled: 'Lista sin título',
+    emptyList: 'Esta lista está vacía.',
+    exportJson: 'Exportar JSON',
+    exportCsv: 'Exportar CSV',
+    delete: 'Eliminar lista',
+    confirmDelete: 'Sí, eliminarla',
+    cancel: 'Cancelar',
+    moveUp: 'Subir {title}',
+    moveDown: 'Bajar {title}',
+    share: {
+      label: 'Enlace para compartir',
+      copy: 'Copiar enlace',
+      copied: 'Enlace copiado.',
+      copyFailed: 'No se pudo copiar. Selecciona el enlace y cópialo tú.',
+      hint: 'Cualquiera con el enlace puede ver esta lista, pero no cambiarla. El enlace muestra la lista tal como está ahora; cópialo de nuevo después de editarla.',
+      invalid: 'Este enlace está roto o incompleto.',
+      readOnly: 'Lista compartida · solo lectura',
+      saveCopy: 'Guardar una copia en mis listas',
+    },
+    import: {
+      title: 'Importar una lista',
+      hint: 'JSON o CSV con una columna tmdb_id, o columnas title y year. Cada archivo se convierte en una lista nueva.',
+      choose: 'Elegir un archivo',
+      invalid: 'No se pudo leer el archivo. Usa JSON o un CSV con fila de encabezado.',
+      unreadable: 'No se pudo abrir el archivo. Vuelve a elegirlo.',
+      failed: 'Error al importar la lista. Inténtalo de nuevo más tarde.',
+      defaultName: 'Lista importada',
+      summary: 'Se importaron {matched} de {total} películas en "{name}".',
+      open: 'Abrir lista',
+      unmatched: {
+        one: '{count} fila no se pudo emparejar:',
+        other: '{count} filas no se pudieron emparejar:',
+      },
+      row: 'Fila {line}: {movie}',
+      reasons: {
+        notFound: 'ninguna película con ese id de TMDB',
+        noMatch: 'ninguna película con ese título y año',
+        missing: 'sin id de TMDB ni título',
+      },
+    },
+  },
+  streaming: {
+    title: 'Mis plataformas de streaming',
+    intro: 'Marca las plataformas a las que estás suscrito. Se muestran las disponibles en {region}.',
+    onYourService: '{name} (una de tus plataformas)',
+    more: '+{count}',
+    attribution: 'Datos de disponibilidad de JustWatch',
+  },
+  settings: {
+    title: 'Tus {highlight}',
+    highlight: 'Ajustes',
+  },
+  history: {
+    title: 'Historial de búsquedas y visitas',
+    intro: 'Las búsquedas recientes y las películas que abres se guardan solo en este dispositivo y se usan para tus sugerencias "Para ti".',
+    searches: {
+      one: '{count} búsqueda',
+      other: '{count} búsquedas',
+    },
+    opened: {
+      one: '{count} película abierta',
+      other: '{count} películas abiertas',
+    },
+    clear: 'Borrar historial',
+    cleared: 'Historial borrado.',
+  },
+  shortcuts: {
+    title: 'Atajos de teclado',
+    search: 'Ir al cuadro de búsqueda',
+    move: 'Moverse entre películas',
+    open: 'Abrir la película seleccionada',
+    watchlist: 'Añadir o quitar la película seleccionada de tu lista para ver',
+    help: 'Mostrar u ocultar esta ayuda',
+    close: 'Cerrar esta ayuda',
+    dismiss: 'Entendido',
+  },
+  analytics: {
+    title: '{highlight}',
+    highlight: 'Estadísticas de búsqueda',
+    adminOnly: 'Solo los administradores pueden ver las estadísticas de búsqueda.',
+    noEvents: 'El panel necesita eventos de búsqueda. Configura VITE_APPWRITE_EVENTS_COLLECTION_ID para empezar a guardarlos.',
+    disabled: 'Las estadísticas de búsqueda están desactivadas en este sitio (VITE_ANALYTICS_STORAGE=off).',
+    range: 'Periodo',
+    lastDays: 'Últimos {count} días',
+    truncated: 'Solo se muestran los {count} eventos de búsqueda más recientes, hasta el {date}. Los días anteriores de este periodo faltan en todas las cifras.',
+    overTime: 'Búsquedas a lo largo del tiempo',
+    chartLabel: '{date}: {searches} búsquedas, {noResults} sin resultados',
+    topTerms: 'Términos más buscados',
+    zeroResults: 'Búsquedas sin resultados',
+    noZeroResults: 'Todas las búsquedas encontraron algo.',
+    empty: 'No hay búsquedas en este periodo.',
+    allTerms: 'Todos los términos',
+    filter: 'Filtrar términos',
+    filterPlaceholder: 'p. ej. batman',
+    show: 'Mostrar',
+    showOptions: {
+      all: 'Todos los términos',
+      noResults: 'Sin resultados',
+      opened: 'Con películas abiertas',
+    },
+    exportCsv: 'Exportar CSV',
+    noMatchingTerms: 'Ningún término coincide.',
+    movieId: 'Película {id}',
+    columns: {
+      term: 'Término',
+      searches: 'Búsquedas',
+      noResults: 'Sin resultados',
+      opens: 'Películas abiertas',
+      conversion: 'Conversión',
+      topMovie: 'Película principal',
+    },
+  },
+  account: {
+    title: 'Tu {highlight}',
+    highlight: 'cuenta',
+    notConfigured: 'Las cuentas necesitan un proyecto de Appwrite. Tus listas solo se guardan en este dispositivo.',
+    upgradeIntro: 'Crea una cuenta para conservar las listas que ya has hecho y usarlas en cualquier dispositivo.',
+    logInIntro: 'Inicia sesión para ver tus listas y valoraciones en cualquier dispositivo.',
+    logIn: 'Iniciar sesión',
+    logOut: 'Cerrar sesión',
+    createAccount: 'Crear cuenta',
+    name: 'Nombre',
+    email: 'Correo electrónico',
+    password: 'Contraseña',
+    pleaseWait: 'Espera un momento…',
+  },
+  setup: {
+    title: 'Termina de configurar la aplicación',
+    intro: 'Faltan algunos ajustes en tu archivo .env o no son válidos:',
+    fix: 'Corrígelos (.env.example enumera todas las variables) y reinicia el servidor de desarrollo o vuelve a compilar.',
+    problems: {
+      required: 'Obligatoria, pero no está configurada.',
+      requiredWith: 'Debe configurarse porque {other} está configurada. Los IDs de proyecto, base de datos y colección de Appwrite van juntos.',
+      invalidUrl: 'Debe ser una URL http(s) completa, pero es "{value}".',
+      invalidOption: 'Debe ser uno de {options}, pero es "{value}".',
+      needsAppwrite: 'Es "appwrite", pero no hay ningún proyecto de Appwrite configurado.',
+    },
+  },
+};
+
+export default es;
@@ -0,0 +1,361 @@
+const ur = {
+  common: {
+    notAvailable: 'دستیاب نہیں',
+    loading: 'لوڈ ہو رہا ہے...',
+    any: 'کوئی بھی',
+    sortBy: 'ترتیب',
+    movies: 'فلمیں',
+    rating: 'ریٹنگ',
+    back: '→ واپس',
+    backToMovies: '→ تمام فلموں پر واپس جائیں',
+  },
+  errors: {
+    rateLimited: 'اس وقت بہت زیادہ درخواستیں ہیں۔ براہ کرم تھوڑا انتظار کریں اور دوبارہ کوشش کریں۔',
+    offline: 'لگتا ہے آپ آف لائن ہیں۔ اپنا کنکشن چیک کریں اور دوبارہ کوشش کریں۔',
+    apiKey: 'TMDB کی API کلید موجود نہیں یا درست نہیں ہے۔',
+    notFound: 'یہ TMDB پر نہیں ملا۔',
+    movies: 'فلمیں لانے میں خرابی۔ براہ کرم بعد میں دوبارہ کوشش کریں۔',
+    loadMore: 'مزید فلمیں لوڈ کرنے میں خرابی۔ براہ کرم بعد میں دوبارہ کوشش کریں۔',
+    trending: 'مقبول فلمیں لوڈ نہیں ہو سکیں۔',
+    movieDetails: 'فلم کی تفصیلات لانے میں خرابی۔ براہ کرم بعد میں دوبارہ کوشش کریں۔',
+    personDetails: 'شخصیت کی تفصیلات لانے میں خرابی۔ براہ کرم بعد میں دوبارہ کوشش کریں۔',
+    filterOptions: 'اصناف اور زبانیں لوڈ کرنے میں خرابی۔ براہ کرم بعد میں دوبارہ کوشش کریں۔',
+    session: 'آپ کے اکاؤنٹ سے رابطہ نہیں ہو سکا۔ براہ کرم بعد میں دوبارہ کوشش کریں۔',
+    generic: 'کچھ غلط ہو گیا۔ براہ کرم دوبارہ کوشش کریں۔',
+    analytics: 'تلاش کے اعداد و شمار لوڈ کرنے میں خرابی۔ براہ کرم بعد میں کوشش کریں۔',
+    streamingServices: 'اسٹریمنگ سروسز لوڈ کرنے میں خرابی۔ براہ کرم بعد میں کوشش کریں۔',
+    recommendations: 'اس وقت تجاویز لوڈ نہیں ہو سکیں۔',
+    sharedList: 'شیئر کی گئی فہرست لوڈ کرنے میں خرابی۔ براہ کرم بعد میں دوبارہ کوشش کریں۔',
+  },
+  nav: {
+    home: 'ہوم',
+    trending: 'مقبول',
+    watchlist: 'دیکھنے کی فہرست',
+    watched: 'دیکھی ہوئی',
+    logIn: 'لاگ ان',
+    analytics: 'اعداد و شمار',
+    settings: 'ترتیبات',
+    lists: 'فہرستیں',
+  },
+  offline: {
+    cachedResults: 'آف لائن — محفوظ شدہ نتائج دکھائے جا رہے ہیں',
+    noConnection: 'آپ آف لائن ہیں۔ کنکشن بحال ہونے پر نتائج لوڈ ہوں گے۔',
+  },
+  locale: {
+    language: 'زبان',
+    region: 'علاقہ',
+  },
+  home: {
+    heroAlt: 'مرکزی تصویر',
+    title: 'بغیر کسی دقت کے اپنی پسند کی {highlight} تلاش کریں',
+    trending: 'مقبول {highlight}',
+    people: 'شخصیات',
+    allMovies: 'تمام {highlight}',
+    loadMore: 'مزید لوڈ کریں',
+    results: {
+      one: 'فہرست میں {count} فلم',
+      other: 'فہرست میں {count} فلمیں',
+    },
+  },
+  forYou: {
+    title: '{highlight} منتخب',
+    highlight: 'آپ کے لیے',
+    becauseSearched: 'کیونکہ آپ نے "{term}" تلاش کیا',
+    becauseOpened: 'کیونکہ آپ نے {title} دیکھی',
+    becauseGenre: 'کیونکہ آپ کو {genre} پسند ہے',
+    empty: 'ابھی کوئی نئی تجویز نہیں۔ کچھ اور فلمیں تلاش کریں یا کھولیں۔',
+    manage: 'ہسٹری کا انتظام',
+  },
+  search: {
+    label: 'فلمیں تلاش کریں',
+    placeholder: 'ہزاروں فلموں میں تلاش کریں...',
+    suggestions: 'تلاش کی تجاویز',
+    groups: {
+      recent: 'حالیہ تلاشیں',
+      trending: 'مقبول تلاشیں',
+      movie: 'فلمیں',
+      person: 'شخصیات',
+      collection: 'مجموعے',
+    },
+  },
+  filters: {
+    toggle: 'فلٹرز',
+    genres: 'اصناف',
+    yearFrom: 'ریلیز از',
+    yearTo: 'ریلیز تک',
+    minRating: 'کم از کم ریٹنگ',
+    minVotes: 'کم از کم ووٹ',
+    language: 'زبان',
+    runtimeMin: 'دورانیہ از (منٹ)',
+    runtimeMax: 'دورانیہ تک (منٹ)',
+    searchHint: 'دورانیہ، ترتیب اور اسٹریمنگ سروسز صرف تلاش کے بغیر براؤز کرتے وقت لاگو ہوتے ہیں۔',
+    streaming: 'اسٹریمنگ',
+    myServices: 'صرف میری اسٹریمنگ سروسز پر',
+    noServices: 'یہ فلٹر استعمال کرنے کے لیے {link} میں اپنی سروسز منتخب کریں۔',
+    chooseServices: 'ترتیبات',
+    reset: 'ری سیٹ',
+    apply: 'لاگو کریں',
+    sort: {
+      popularity: 'مقبولیت',
+      rating: 'ریٹنگ',
+      releaseDate: 'تاریخ اجرا',
+      revenue: 'آمدنی',
+    },
+  },
+  trending: {
+    tabs: 'مقبولیت کا دورانیہ',
+    empty: 'کوئی مقبول فلم نہیں ملی۔',
+    disabled: 'اس سائٹ پر مقبول فلمیں بند ہیں۔',
+    searches: {
+      one: '{count} تلاش',
+      other: '{count} تلاشیں',
+    },
+    windows: {
+      '24h': 'پچھلے 24 گھنٹے',
+      '7d': 'پچھلے 7 دن',
+      '30d': 'پچھلے 30 دن',
+      all: 'ہمیشہ',
+    },
+    rank: {
+      new: 'نئی',
+      same: 'پچھلے دورانیے جیسا درجہ',
+      up: 'پچھلے دورانیے سے {count} درجے اوپر',
+      down: 'پچھلے دورانیے سے {count} درجے نیچے',
+    },
+  },
+  movie: {
+    runtime: '{hours} گھنٹے {minutes} منٹ',
+    status: 'حیثیت',
+    releaseDate: 'تاریخ اجرا',
+    language: 'زبان',
+    budget: 'بجٹ',
+    revenue: 'آمدنی',
+    noOverview: 'خلاصہ دستیاب نہیں۔',
+    trailer: 'ٹریلر',
+    watchOnYouTube: 'YouTube پر دیکھیں',
+    cast: 'نمایاں اداکار',
+    crew: 'عملہ',
+    whereToWatch: 'کہاں دیکھیں',
+    providers: {
+      flatrate: 'اسٹریم',
+      rent: 'کرائے پر',
+      buy: 'خریدیں',
+    },
+    noProviders: 'کوئی پلیٹ فارم نہیں ملا۔',
+    similar: 'ملتی جلتی {highlight}',
+  },
+  departments: {
+    Acting: 'اداکاری',
+    Directing: 'ہدایت کاری',
+    Writing: 'تحریر',
+    Production: 'پروڈکشن',
+    Sound: 'صوتیات',
+    Art: 'آرٹ',
+    Camera: 'کیمرا',
+    Editing: 'ایڈیٹنگ',
+    'Costume & Make-Up': 'ملبوسات اور میک اپ',
+    Crew: 'عملہ',
+    'Visual Effects': 'بصری اثرات',
+    Lighting: 'روشنی',
+    Creator: 'تخلیق',
+  },
+  person: {
+    knownFor: 'وجہ شہرت',
+    born: 'پیدائش',
+    died: 'وفات',
+    noBiography: 'سوانح حیات دستیاب نہیں۔',
+    acting: 'اداکاری',
+    directing: 'ہدایت کاری',
+    noMovies: 'کوئی فلم نہیں ملی۔',
+    sort: {
+      popularity: 'مقبولیت',
+      newest: 'نئی پہلے',
+      oldest: 'پرانی پہلے',
+      rating: 'ریٹنگ',
+      title: 'عنوان',
+    },
+  },
+  lists: {
+    watchlist: 'دیکھنے کی فہرست',
+    watched: 'دیکھی ہوئی فلمیں',
+    title: 'میری {highlight}',
+    addToWatchlist: '+ دیکھنے کی فہرست',
+    onWatchlist: '✓ دیکھنے کی فہرست',
+    markSeen: 'دیکھ لی',
+    seen: '✓ دیکھ لی',
+    badgeWatchlist: 'فہرست میں',
+    badgeSeen: 'دیکھی ہوئی',
+    badgeSeenRated: 'دیکھی ہوئی · {rating}/10',
+    remove: 'ہٹائیں',
+    emptyWatchlist: 'آپ کی دیکھنے کی فہرست خالی ہے۔',
+    emptyWatched: 'آپ نے ابھی تک کسی فلم کو دیکھی ہوئی کے طور پر نشان زد نہیں کیا۔',
+    myRating: 'میری ریٹنگ',
+    note: 'نوٹ',
+    notePlaceholder: 'آپ کو کیسی لگی؟',
+    sort: {
+      added: 'شامل کرنے کی تاریخ',
+      title: 'عنوان',
+      release: 'تاریخ اجرا',
+      tmdb: 'TMDB ریٹنگ',
+      mine: 'میری ریٹنگ',
+    },
+  },
+  customLists: {
+    title: 'میری {highlight}',
+    highlight: 'فہرستیں',
+    count: {
+      one: '{count} فلم',
+      other: '{count} فلمیں',
+    },
+    updated: '{date} کو اپ ڈیٹ ہوئی',
+    empty: 'ابھی کوئی فہرست نہیں۔ نیچے ایک بنائیں، یا کسی بھی فلم پر "+ فہرست" سے نئی فہرست شروع کریں۔',
+    newList: 'نئی فہرست',
+    name: 'نام',
+    description: 'تفصیل',
+    create: 'فہرست بنائیں',
+    addTo: '+ فہرست',
+    addToLabel: '{title} کو کسی فہرست میں شامل کریں',
+    newListName: 'نئی فہرست کا نام',
+    back: '→ میری فہرستوں پر واپس',
+    notFound: 'یہ فہرست اس ڈیوائس پر موجود نہیں۔',
+    untitled: 'بے نام فہرست',
+    emptyList: 'یہ فہرست خالی ہے۔',
+    exportJson: 'JSON ایکسپورٹ کریں',
+    exportCsv: 'CSV ایکسپورٹ کریں',
+    delete: 'فہرست حذف کریں',
+    confirmDelete: 'ہاں، حذف کریں',
+    cancel: 'منسوخ',
+    moveUp: '{title} کو اوپر لے جائیں',
+    moveDown: '{title} کو نیچے لے جائیں',
+    share: {
+      label: 'شیئر لنک',
+      copy: 'لنک کاپی کریں',
+      copied: 'لنک کاپی ہو گیا۔',
+      copyFailed: 'کاپی نہیں ہو سکا۔ لنک منتخب کر کے خود کاپی کریں۔',
+      hint: 'لنک رکھنے والا کوئی بھی یہ فہرست دیکھ سکتا ہے مگر بدل نہیں سکتا۔ لنک فہرست کو ابھی کی حالت میں دکھاتا ہے، اس لیے تبدیلی کے بعد دوبارہ کاپی کریں۔',
+      invalid: 'یہ شیئر لنک خراب یا نامکمل ہے۔',
+      readOnly: 'شیئر کی گئی فہرست · صرف دیکھنے کے لیے',
+      saveCopy: 'میری فہرستوں میں کاپی محفوظ کریں',
+    },
+    import: {
+      title: 'فہرست امپورٹ کریں',
+      hint: 'tmdb_id کالم، یا title اور year کالموں والی JSON یا CSV فائل۔ ہر فائل ایک نئی فہرست بنتی ہے۔',
+      choose: 'فائل منتخب کریں',
+      invalid: 'یہ فائل پڑھی نہیں جا سکی۔ JSON یا ہیڈر والی CSV استعمال کریں۔',
+      unreadable: 'یہ فائل کھولی نہیں جا سکی۔ اسے دوبارہ منتخب کریں۔',
+      failed: 'فہرست امپورٹ کرنے میں خرابی۔ براہ کرم بعد میں دوبارہ کوشش کریں۔',
+      defaultName: 'امپورٹ کی گئی فہرست',
+      summary: '{total} میں سے {matched} فلمیں "{name}" میں امپورٹ ہوئیں۔',
+      open: 'فہرست کھولیں',
+      unmatched: {
+        one: '{count} قطار کا میل نہیں ملا:',
+        other: '{count} قطاروں کا میل نہیں ملا:',
+      },
+      row: 'قطار {line}: {movie}',
+      reasons: {
+        notFound: 'اس TMDB آئی ڈی کی کوئی فلم نہیں',
+        noMatch: 'اس نام اور سال کی کوئی فلم نہیں',
+        missing: 'نہ TMDB آئی ڈی نہ نام',
+      },
+    },
+  },
+  streaming: {
+    title: 'میری اسٹریمنگ سروسز',
+    intro: 'وہ سروسز منتخب کریں جن کی آپ رکنیت رکھتے ہیں۔ {region} میں دستیاب سروسز دکھائی جا رہی ہیں۔',
+    onYourService: '{name} (آپ کی سروسز میں سے)',
+    more: '+{count}',
+    attribution: 'دستیابی کا ڈیٹا JustWatch سے',
+  },
+  settings: {
+    title: 'آپ کی {highlight}',
+    highlight: 'ترتیبات',
+  },
+  history: {
+    title: 'تلاش اور دیکھنے کی ہسٹری',
+    intro: 'حالیہ تلاشیں اور آپ کی کھولی گئی فلمیں صرف اسی ڈیوائس پر رکھی جاتی ہیں اور "آپ کے لیے" تجاویز کے لیے استعمال ہوتی ہیں۔',
+    searches: {
+      one: '{count} تلاش',
+      other: '{count} تلاشیں',
+    },
+    opened: {
+      one: '{count} فلم کھولی گئی',
+      other: '{count} فلمیں کھولی گئیں',
+    },
+    clear: 'ہسٹری صاف کریں',
+    cleared: 'ہسٹری صاف ہو گئی۔',
+  },
+  shortcuts: {
+    title: 'کی بورڈ شارٹ کٹس',
+    search: 'تلاش کے خانے پر جائیں',
+    move: 'فلموں کے درمیان جائیں',
+    open: 'منتخب فلم کھولیں',
+    watchlist: 'منتخب فلم کو واچ لسٹ میں شامل کریں یا ہٹائیں',
+    help: 'یہ مدد دکھائیں یا چھپائیں',
+    close: 'یہ مدد بند کریں',
+    dismiss: 'ٹھیک ہے',
+  },
+  analytics: {
+    title: '{highlight}',
+    highlight: 'تلاش کے اعداد و شمار',
+    adminOnly: 'تلاش کے اعداد و شمار صرف ایڈمنز دیکھ سکتے ہیں۔',
+    noEvents: 'ڈیش بورڈ کو تلاش کے ایونٹس درکار ہیں۔ انہیں جمع کرنے کے لیے VITE_APPWRITE_EVENTS_COLLECTION_ID سیٹ کریں۔',
+    disabled: 'اس سائٹ پر تلاش کے تجزیات بند ہیں (VITE_ANALYTICS_STORAGE=off)۔',
+    range: 'مدت',
+    lastDays: 'پچھلے {count} دن',
+    truncated: 'صرف تلاش کے حالیہ {count} ایونٹس دکھائے جا رہے ہیں، {date} تک۔ اس مدت کے پرانے دن یہاں کسی بھی عدد میں شامل نہیں۔',
+    overTime: 'وقت کے ساتھ تلاشیں',
+    chartLabel: '{date}: {searches} تلاشیں، {noResults} بغیر نتائج',
+    topTerms: 'سب سے زیادہ تلاش کیے گئے الفاظ',
+    zeroResults: 'بغیر نتائج کی تلاشیں',
+    noZeroResults: 'ہر تلاش میں کچھ ملا۔',
+    empty: 'اس مدت میں کوئی تلاش نہیں۔',
+    allTerms: 'تمام الفاظ',
+    filter: 'الفاظ فلٹر کریں',
+    filterPlaceholder: 'مثلاً batman',
+    show: 'دکھائیں',
+    showOptions: {
+      all: 'تمام الفاظ',
+      noResults: 'بغیر نتائج',
+      opened: 'کھولی گئی فلموں کے ساتھ',
+    },
+    exportCsv: 'CSV ایکسپورٹ کریں',
+    noMatchingTerms: 'کوئی لفظ نہیں ملا۔',
+    movieId: 'فلم {id}',
+    columns: {
+      term: 'لفظ',
+      searches: 'تلاشیں',
+      noResults: 'بغیر نتائج',
+      opens: 'کھولی گئی فلمیں',
+      conversion: 'کنورژن',
+      topMovie: 'اہم فلم',
+    },
+  },
+  account: {
+    title: 'آپ کا {highlight}',
+    highlight: 'اکاؤنٹ',
+    notConfigured: 'اکاؤنٹس کے لیے Appwrite پروجیکٹ درکار ہے۔ آپ کی فہرستیں صرف اسی ڈیوائس پر محفوظ ہیں۔',
+    upgradeIntro: 'اکاؤنٹ بنائیں تاکہ آپ کی بنائی ہوئی فہرستیں محفوظ رہیں اور کسی بھی ڈیوائس پر استعمال ہو سکیں۔',
+    logInIntro: 'اپنی فہرستیں اور ریٹنگز کسی بھی ڈیوائس پر دیکھنے کے لیے لاگ ان کریں۔',
+    logIn: 'لاگ ان',
+    logOut: 'لاگ آؤٹ',
+    createAccount: 'اکاؤنٹ بنائیں',
+    name: 'نام',
+    email: 'ای میل',
+    password: 'پاس ورڈ',
+    pleaseWait: 'براہ کرم انتظار کریں…',
+  },
+  setup: {
+    title: 'ایپ کا سیٹ اپ مکمل کریں',
+    intro: 'آپ کی .env فائل میں کچھ سیٹنگز موجود نہیں یا درست نہیں ہیں:',
+    fix: 'انہیں درست کریں (.env.example میں ہر متغیر درج ہے)، پھر ڈیو سرور دوبارہ چلائیں یا دوبارہ بلڈ کریں۔',
+    problems: {
+      required: 'ضروری ہے، لیکن سیٹ نہیں ہے۔',
+      requiredWith: 'سیٹ ہونا چاہیے کیونکہ {other} سیٹ ہے۔ Appwrite کے پروجیکٹ، ڈیٹا بیس اور کلیکشن IDs ساتھ سیٹ ہوتے ہیں۔',
+      invalidUrl: 'مکمل http(s) URL ہونا چاہیے، لیکن "{value}" ہے۔',
+      invalidOption: '{options} میں سے ایک ہونا چاہیے، لیکن "{value}" ہے۔',
+      needsAppwrite: 'اس کی قدر "appwrite" ہے، لیکن کوئی Appwrite پروجیکٹ سیٹ نہیں ہے۔',
+    },
+  },
+};
+
+export default ur;
@@ -0,0 +1,83 @@
+import { useEffect, useRef } from 'react';
+
+export const SEARCH_INPUT_ID = 'search-input';
+// ✅ What it does: The id of the search box
+// 🧠 What to know: Only the home page renders it
+// ❓ Why we used it: So the "/" shortcut can find and focus it
+
+export const SHORTCUTS = [
+  { keys: ['/'], label: 'shortcuts.search' },
+  { keys: ['←', '→', '↑', '↓'], label: 'shortcuts.move' },
+  { keys: ['Enter'], label: 'shortcuts.open' },
+  { keys: ['w'], label: 'shortcuts.watchlist' },
+  { keys: ['?'], label: 'shortcuts.help' },
+  { keys: ['Esc'], label: 'shortcuts.close' },
+];
+// ✅ What it does: Lists every shortcut for the help overlay
+// 🧠 What to know: label is a message key, keys are shown as <kbd>
+// ❓ Why we used it: One list to update when a shortcut is added
+
+export const isTypingTarget = (element) =>
+  Boolean(element?.closest?.('input, textarea, select, [contenteditable="true"]'));
+// ✅ What it does: Tells if a key press happened inside a form field
+// 🧠 What to know: Checkboxes are inputs too, which is fine - they don't need letter keys
+// ❓ Why we used it: Typing "w" or "/" into the search box must not trigger shortcuts
+
+export const useGlobalShortcuts = (handlers) => {
+  const handlersRef = useRef(handlers);
+  useEffect(() => {
+    handlersRef.current = handlers;
+  });
+
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (event.defaultPrevented || event.ctrlKey || event.metaKey || event.altKey) return;
+      if (isTypingTarget(event.target)) return;
+
+      const handler = handlersRef.current[event.key];
+      if (!handler) return;
+      event.preventDefault();
+      handler(event);
+    };
+
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, []);
+};
+// ✅ What it does: Runs handlers[event.key] for key presses anywhere on the page
+// 🧠 What to know: Skipped while typing, with modifier keys, or when a component already handled the key
+// ❓ Why we used it: The listener is added once; the ref always holds the latest handlers
+
+const GRID_ITEM = '[data-grid-item]';
+
+const countColumns = (items) => {
+  const top = items[0].offsetTop;
+  const columns = items.findIndex((item) => item.offsetTop !== top);
+  return columns === -1 ? items.length : columns;
+};
+
+export const handleGridKeyDown = (event) => {
+  if (!event.target.matches?.(GRID_ITEM) || event.ctrlKey || event.metaKey || event.altKey) return;
+
+  const items = [...event.currentTarget.querySelectorAll(GRID_ITEM)];
+  const index = items.indexOf(event.target);
+  const columns = countColumns(items);
+  const forward = getComputedStyle(event.currentTarget).direction === 'rtl' ? -1 : 1;
+
+  const targets = {
+    ArrowRight: index + forward,
+    ArrowLeft: index - forward,
+    ArrowDown: index + columns,
+    ArrowUp: index - columns,
+    Home: 0,
+    End: items.length - 1,
+  };
+  const next = items[targets[event.key]];
+  if (!next) return;
+
+  event.preventDefault();
+  next.focus();
+};
+// ✅ What it does: Moves focus between cards with the arrow keys, Home and End
+// 🧠 What to know: Put it on the list's onKeyDown and mark each card with data-grid-item; columns are counted from the layout
+// ❓ Why we used it: Tabbing through every card and its buttons is slow; right and left swap in right-to-left languages
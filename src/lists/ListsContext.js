@@ -0,0 +1,11 @@
+import { createContext, useContext } from 'react';
+
+export const ListsContext = createContext(null);
+
+export const useLists = () => {
+  const context = useContext(ListsContext);
+  if (!context) {
+    throw new Error('useLists must be used inside <ListsProvider>');
+  }
+  return context;
+};
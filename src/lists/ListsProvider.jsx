@@ -0,0 +1,176 @@
+import React, { useEffect, useRef, useState } from 'react'
+import { ListsContext } from './ListsContext.js'
+import { useAuth } from '../auth/AuthContext.js'
+import { isAnonymous } from '../auth/session.js'
+import {
+  deleteRemoteEntry,
+  emptyLists,
+  fetchRemoteEntries,
+  getListOwner,
+  isListSyncEnabled,
+  loadLocalLists,
+  pushRemoteEntry,
+  saveLocalLists,
+  setListOwner,
+  toListMovie,
+} from './storage.js'
+
+const setEntry = (lists, entry) => ({
+  ...lists,
+  [entry.list]: { ...lists[entry.list], [entry.movie.id]: entry },
+});
+
+const deleteEntry = (lists, list, movieId) => {
+  const { [movieId]: _removed, ...rest } = lists[list];
+  return { ...lists, [list]: rest };
+};
+
+// Remote wins when it is newer. Local entries that were synced before but are gone
+// remotely were removed in another session, so they are dropped here too.
+const mergeLists = (local, remoteEntries) => {
+  const remoteKeys = new Set(remoteEntries.map((entry) => `${entry.list}:${entry.movie.id}`));
+  let merged = local;
+
+  Object.entries(local).forEach(([list, entries]) => {
+    Object.values(entries).forEach((entry) => {
+      if (entry.synced && !remoteKeys.has(`${list}:${entry.movie.id}`)) {
+        merged = deleteEntry(merged, list, entry.movie.id);
+      }
+    });
+  });
+
+  remoteEntries.forEach((entry) => {
+    const existing = merged[entry.list]?.[entry.movie.id];
+    if (!existing || entry.updatedAt > existing.updatedAt) merged = setEntry(merged, entry);
+  });
+
+  return merged;
+};
+
+// When a different user signs in, local entries are carried over to them as new entries.
+// After a registered user logs out, they are cleared so the next visitor can't see them.
+const switchOwner = (lists, previousOwner, user) => {
+  if (previousOwner && !previousOwner.anonymous && isAnonymous(user)) return emptyLists();
+
+  return Object.fromEntries(
+    Object.entries(lists).map(([list, entries]) => [
+      list,
+      Object.fromEntries(Object.entries(entries).map(([id, entry]) => [id, { ...entry, synced: false }])),
+    ])
+  );
+};
+
+const PUSH_DELAY = 800;
+const pushTimers = new Map();
+
+// Waits until edits settle (e.g. typing a note) before writing to Appwrite
+const pushEntry = (entry, setLists) => {
+  if (!isListSyncEnabled) return;
+
+  const key = `${entry.list}:${entry.movie.id}`;
+  clearTimeout(pushTimers.get(key));
+  pushTimers.set(key, setTimeout(() => {
+    pushTimers.delete(key);
+    pushRemoteEntry(entry)
+      .then(() =>
+        setLists((previous) => {
+          const current = previous[entry.list]?.[entry.movie.id];
+          if (!current || current.updatedAt !== entry.updatedAt) return previous;
+          return setEntry(previous, { ...current, synced: true });
+        })
+      )
+      .catch((error) => console.log(error));
+  }, PUSH_DELAY));
+};
+
+const ListsProvider = ({ children }) => {
+  const { user } = useAuth();
+  const [lists, setLists] = useState(loadLocalLists);
+  const listsRef = useRef(lists);
+
+  useEffect(() => {
+    listsRef.current = lists;
+    saveLocalLists(lists);
+  }, [lists]);
+
+  useEffect(() => {
+    if (!isListSyncEnabled || !user) return;
+    let ignore = false;
+
+    const previousOwner = getListOwner();
+    if (previousOwner?.id !== user.$id) {
+      listsRef.current = switchOwner(listsRef.current, previousOwner, user);
+      setLists(listsRef.current);
+    }
+    setListOwner({ id: user.$id, anonymous: isAnonymous(user) });
+
+    const syncLists = async () => {
+      try {
+        const remoteEntries = await fetchRemoteEntries();
+        if (ignore) return;
+
+        const merged = mergeLists(listsRef.current, remoteEntries);
+        setLists(merged);
+        Object.values(merged)
+          .flatMap((entries) => Object.values(entries))
+          .filter((entry) => !entry.synced)
+          .forEach((entry) => pushEntry(entry, setLists));
+      } catch (error) {
+        console.log(`Error syncing lists: ${error}`);
+      }
+    };
+
+    syncLists();
+
+    return () => {
+      ignore = true;
+    };
+  }, [user]);
+
+  const saveEntry = (list, movie, changes = {}) => {
+    const now = new Date().toISOString();
+    const entry = {
+      list,
+      rating: null,
+      note: '',
+      addedAt: now,
+      ...lists[list][movie.id],
+      movie: toListMovie(movie),
+      ...changes,
+      updatedAt: now,
+      synced: false,
+    };
+
+    setLists((previous) => setEntry(previous, entry));
+    pushEntry(entry, setLists);
+  };
+
+  const removeEntry = (list, movieId) => {
+    setLists((previous) => deleteEntry(previous, list, movieId));
+    clearTimeout(pushTimers.get(`${list}:${movieId}`));
+    if (isListSyncEnabled) {
+      deleteRemoteEntry(list, movieId).catch((error) => error.code !== 404 && console.log(error));
+    }
+  };
+
+  const toggleWatchlist = (movie) =>
+    lists.watchlist[movie.id] ? removeEntry('watchlist', movie.id) : saveEntry('watchlist', movie);
+
+  const markWatched = (movie, changes) => {
+    saveEntry('watched', movie, changes);
+    if (lists.watchlist[movie.id]) removeEntry('watchlist', movie.id);
+  };
+
+  const getStatus = (movieId) => ({
+    watchlist: lists.watchlist[movieId],
+    watched: lists.watched[movieId],
+  });
+
+  return (
+    <ListsContext.Provider value={{ lists, saveEntry, removeEntry, toggleWatchlist, markWatched, getStatus }}>
+      {children}
+    </ListsContext.Provider>
+  )
+}
+
+export default ListsProvider
@@ -0,0 +1,122 @@
+import { Query } from "appwrite";
+import { DATABASE_ID, database } from '../appwrite.js';
+import { config, features } from '../config.js';
+import { ownerPermissions } from '../auth/session.js';
+
+export const LISTS = {
+  watchlist: { code: 'wl' },
+  watched: { code: 'wd' },
+};
+// ✅ What it does: Lists the personal movie lists
+// 🧠 What to know: code is a short name used inside Appwrite document IDs; names live in the message catalogs
+// ❓ Why we used it: One place to add lists
+
+const STORAGE_KEY = 'movie-lists';
+const OWNER_KEY = 'movie-lists-owner';
+const LISTS_COLLECTION_ID = config.listsCollectionId;
+const REMOTE_PAGE_SIZE = 100;
+
+export const isListSyncEnabled = features.listSync;
+// ✅ What it does: Tells us if lists should also be saved to Appwrite
+// 🧠 What to know: Needs the usual Appwrite IDs plus VITE_APPWRITE_LISTS_COLLECTION_ID
+// ❓ Why we used it: Lists always work locally; the backend is optional
+
+export const toListMovie = (movie) => ({
+  id: movie.id,
+  title: movie.title,
+  poster_path: movie.poster_path ?? null,
+  release_date: movie.release_date ?? '',
+  vote_average: movie.vote_average ?? 0,
+  original_language: movie.original_language ?? '',
+});
+// ✅ What it does: Keeps only the movie fields MovieCard needs
+// 🧠 What to know: Detail responses are much bigger than that
+// ❓ Why we used it: Keeps localStorage and Appwrite documents small
+
+export const emptyLists = () => Object.fromEntries(Object.keys(LISTS).map((list) => [list, {}]));
+
+export const loadLocalLists = () => {
+  try {
+    return { ...emptyLists(), ...JSON.parse(localStorage.getItem(STORAGE_KEY)) };
+  } catch {
+    return emptyLists();
+  }
+};
+
+export const saveLocalLists = (lists) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(lists));
+  } catch (error) {
+    console.log(error);
+  }
+};
+// ✅ What it does: Reads and writes every list in localStorage
+// 🧠 What to know: Each list is an object of entries keyed by movie id
+// ❓ Why we used it: Lists survive reloads and work offline
+
+export const getListOwner = () => {
+  try {
+    return JSON.parse(localStorage.getItem(OWNER_KEY));
+  } catch {
+    return null;
+  }
+};
+
+export const setListOwner = (owner) => localStorage.setItem(OWNER_KEY, JSON.stringify(owner));
+// ✅ What it does: Remembers which Appwrite user the local lists belong to
+// 🧠 What to know: Stored as { id, anonymous }
+// ❓ Why we used it: So we can tell a reload from a different user signing in
+
+const getOwnerId = () => getListOwner()?.id;
+
+const getDocumentId = (list, movieId) => `${getOwnerId()}_${LISTS[list].code}_${movieId}`;
+// ✅ What it does: Builds the Appwrite document ID for one list entry
+// 🧠 What to know: Owner + list + movie is unique and stays under Appwrite's 36 characters
+// ❓ Why we used it: Lets upsertDocument create or update the same entry
+
+export const fetchRemoteEntries = async () => {
+  const entries = [];
+  let cursor = null;
+
+  for (;;) {
+    const queries = [Query.equal('owner_id', getOwnerId()), Query.limit(REMOTE_PAGE_SIZE)];
+    if (cursor) queries.push(Query.cursorAfter(cursor));
+
+    const result = await database.listDocuments(DATABASE_ID, LISTS_COLLECTION_ID, queries);
+    result.documents.forEach((doc) => {
+      entries.push({
+        list: doc.list,
+        movie: JSON.parse(doc.movie),
+        rating: doc.rating ?? null,
+        note: doc.note ?? '',
+        addedAt: doc.added_at,
+        updatedAt: doc.updated_at,
+        synced: true,
+      });
+    });
+    if (result.documents.length < REMOTE_PAGE_SIZE) break;
+    cursor = result.documents[result.documents.length - 1].$id;
+  }
+  return entries;
+};
+// ✅ What it does: Loads the signed-in user's list entries from Appwrite
+// 🧠 What to know: movie is stored as a JSON string attribute
+// ❓ Why we used it: To merge lists saved from another session
+
+export const pushRemoteEntry = (entry) =>
+  database.upsertDocument(DATABASE_ID, LISTS_COLLECTION_ID, getDocumentId(entry.list, entry.movie.id), {
+    owner_id: getOwnerId(),
+    list: entry.list,
+    movie_id: entry.movie.id,
+    movie: JSON.stringify(entry.movie),
+    rating: entry.rating,
+    note: entry.note,
+    added_at: entry.addedAt,
+    updated_at: entry.updatedAt,
+  }, ownerPermissions(getOwnerId()));
+
+export const deleteRemoteEntry = (list, movieId) =>
+  database.deleteDocument(DATABASE_ID, LISTS_COLLECTION_ID, getDocumentId(list, movieId));
+// ✅ What it does: Saves or removes one entry in Appwrite
+// 🧠 What to know: upsertDocument creates the document if it doesn't exist yet; only the owner can read it
+// ❓ Why we used it: Keeps the backend copy in step with local changes
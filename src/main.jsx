@@ -1,10 +1,35 @@
 import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
+import { createBrowserRouter, RouterProvider } from 'react-router'
 import './index.css'
-import App from './App.jsx'
+import { routes } from './routes.jsx'
+import ListsProvider from './lists/ListsProvider.jsx'
+import AuthProvider from './auth/AuthProvider.jsx'
+import I18nProvider from './i18n/I18nProvider.jsx'
+import StreamingProvider from './streaming/StreamingProvider.jsx'
+import CustomListsProvider from './customLists/CustomListsProvider.jsx'
+import SetupScreen from './components/SetupScreen.jsx'
+import { configErrors } from './config.js'
+
+const router = createBrowserRouter(routes)
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
-    <App />
+    <I18nProvider>
+      {configErrors.length > 0 ? (
+        // Nothing else mounts, so no section tries to fetch with a broken setup
+        <SetupScreen errors={configErrors} />
+      ) : (
+        <AuthProvider>
+          <ListsProvider>
+            <CustomListsProvider>
+              <StreamingProvider>
+                <RouterProvider router={router} />
+              </StreamingProvider>
+            </CustomListsProvider>
+          </ListsProvider>
+        </AuthProvider>
+      )}
+    </I18nProvider>
   </StrictMode>,
 )
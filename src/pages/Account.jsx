@@ -0,0 +1,107 @@
+import { useState } from 'react';
+import Spinner from '../components/Spinner.jsx';
+import { useAuth } from '../auth/AuthContext.js';
+import { useI18n } from '../i18n/I18nContext.js';
+
+const MIN_PASSWORD_LENGTH = 8;
+
+const Account = () => {
+  const { user, isLoading, errorMessage, isAuthEnabled, isAnonymous, signUp, logIn, logOut } = useAuth();
+  const { t } = useI18n();
+  const [mode, setMode] = useState('login');
+  const [details, setDetails] = useState({ name: '', email: '', password: '' });
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const title = t('account.title', { highlight: <span className="text-gradient">{t('account.highlight')}</span> });
+
+  const updateDetails = (key) => (event) => setDetails({ ...details, [key]: event.target.value });
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setIsSubmitting(true);
+    const succeeded = await (mode === 'signup' ? signUp(details) : logIn(details));
+    setIsSubmitting(false);
+    if (succeeded) setDetails({ name: '', email: '', password: '' });
+  };
+
+  if (!isAuthEnabled) {
+    return (
+      <section className="account">
+        <h2>{title}</h2>
+        <p className="text-gray-400">{t('account.notConfigured')}</p>
+      </section>
+    );
+  }
+
+  if (isLoading) {
+    return (
+      <section className="account">
+        <Spinner />
+      </section>
+    );
+  }
+
+  if (user && !isAnonymous) {
+    return (
+      <section className="account">
+        <h2>{title}</h2>
+        <p className="text-white">{user.name || user.email}</p>
+        <p className="text-gray-100">{user.email}</p>
+        {errorMessage && <p className="text-red-500" role="alert">{t(errorMessage)}</p>}
+        <button type="button" className="primary" onClick={() => logOut()}>{t('account.logOut')}</button>
+      </section>
+    );
+  }
+
+  return (
+    <section className="account">
+      <h2>{title}</h2>
+      <p className="text-gray-100">
+        {mode === 'signup' && isAnonymous
+          ? t('account.upgradeIntro')
+          : t('account.logInIntro')}
+      </p>
+
+      <div className="trending-tabs" role="tablist">
+        <button type="button" role="tab" aria-selected={mode === 'login'} className={mode === 'login' ? 'active' : ''} onClick={() => setMode('login')}>
+          {t('account.logIn')}
+        </button>
+        <button type="button" role="tab" aria-selected={mode === 'signup'} className={mode === 'signup' ? 'active' : ''} onClick={() => setMode('signup')}>
+          {t('account.createAccount')}
+        </button>
+      </div>
+
+      <form onSubmit={handleSubmit}>
+        {mode === 'signup' && (
+          <label>
+            {t('account.name')}
+            <input type="text" autoComplete="name" value={details.name} onChange={updateDetails('name')} />
+          </label>
+        )}
+        <label>
+          {t('account.email')}
+          <input type="email" required autoComplete="email" value={details.email} onChange={updateDetails('email')} />
+        </label>
+        <label>
+          {t('account.password')}
+          <input
+            type="password"
+            required
+            minLength={MIN_PASSWORD_LENGTH}
+            autoComplete={mode === 'signup' ? 'new-password' : 'current-password'}
+            value={details.password}
+            onChange={updateDetails('password')}
+          />
+        </label>
+
+        {errorMessage && <p className="text-red-500" role="alert">{t(errorMessage)}</p>}
+
+        <button type="submit" className="primary" disabled={isSubmitting}>
+          {isSubmitting ? t('account.pleaseWait') : mode === 'signup' ? t('account.createAccount') : t('account.logIn')}
+        </button>
+      </form>
+    </section>
+  );
+};
+
+export default Account;
@@ -0,0 +1,41 @@
+import { screen, waitFor } from '@testing-library/react'
+import userEvent from '@testing-library/user-event'
+import { describe, expect, it } from 'vitest'
+import { addAccount, getSession } from '../test/appwriteMock.js'
+import { renderApp } from '../test/render.jsx'
+
+const logIn = async (user, email, password) => {
+  await user.type(await screen.findByLabelText('Email'), email)
+  await user.type(screen.getByLabelText('Password'), password)
+  await user.click(screen.getByRole('button', { name: 'Log in' }))
+}
+
+describe('Account', () => {
+  it('replaces the anonymous session with the account on login', async () => {
+    addAccount({ $id: 'ana', name: 'Ana', email: 'ana@example.com' }, 'correct-horse')
+    const user = userEvent.setup()
+    renderApp('/account')
+
+    await logIn(user, 'ana@example.com', 'correct-horse')
+
+    expect(await screen.findByRole('button', { name: 'Log out' })).toBeInTheDocument()
+    expect(getSession()).toEqual(expect.objectContaining({ $id: 'ana' }))
+  })
+
+  it('keeps an anonymous session when an anonymous visitor fails to log in', async () => {
+    addAccount({ $id: 'ana', name: 'Ana', email: 'ana@example.com' }, 'correct-horse')
+    const user = userEvent.setup()
+    renderApp('/account')
+
+    await logIn(user, 'ana@example.com', 'wrong-password')
+
+    expect(await screen.findByRole('alert')).toHaveTextContent('Invalid credentials')
+    expect(getSession()).toEqual(expect.objectContaining({ $id: 'anonymous-user', email: '' }))
+    expect(screen.getByRole('link', { name: 'Log in' })).toBeInTheDocument()
+
+    await user.clear(screen.getByLabelText('Password'))
+    await user.type(screen.getByLabelText('Password'), 'correct-horse')
+    await user.click(screen.getByRole('button', { name: 'Log in' }))
+    await waitFor(() => expect(getSession()).toEqual(expect.objectContaining({ $id: 'ana' })))
+  })
+})
@@ -0,0 +1,156 @@
+import { useEffect, useState } from 'react';
+import Spinner from '../components/Spinner.jsx';
+import SearchesChart from '../components/SearchesChart.jsx';
+import SearchTermsTable from '../components/SearchTermsTable.jsx';
+import { canReportSearches, getSearchReport } from '../analytics/index.js';
+import { REPORT_RANGES } from '../analytics/report.js';
+import { useAuth } from '../auth/AuthContext.js';
+import { useI18n } from '../i18n/I18nContext.js';
+import { features } from '../config.js';
+
+const TermList = ({ rows, count, emptyKey }) => {
+  const { t, formatNumber } = useI18n();
+
+  if (rows.length === 0) return <p className="text-gray-400">{t(emptyKey)}</p>;
+
+  return (
+    <ol className="term-list">
+      {rows.map((row) => (
+        <li key={row.term}>
+          <span className="term">{row.term}</span>
+          <span className="count">{formatNumber(count(row))}</span>
+        </li>
+      ))}
+    </ol>
+  );
+};
+
+const Analytics = () => {
+  const { isLoading: isAuthLoading, canViewAnalytics } = useAuth();
+  const { t, formatNumber, formatPercent, formatDate } = useI18n();
+  const [days, setDays] = useState(REPORT_RANGES[1]);
+  const [report, setReport] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [errorMessage, setErrorMessage] = useState('');
+
+  const isAvailable = canViewAnalytics && canReportSearches();
+
+  useEffect(() => {
+    if (!isAvailable) return;
+    let ignore = false;
+
+    const loadReport = async () => {
+      setIsLoading(true);
+      setErrorMessage('');
+
+      try {
+        const nextReport = await getSearchReport({ days });
+        if (!ignore) setReport(nextReport);
+      } catch (error) {
+        console.error(`Error loading search analytics: ${error}`);
+        // Appwrite answers 401 when the events collection's Read permission leaves this user out
+        if (!ignore) setErrorMessage(error?.code === 401 ? 'analytics.adminOnly' : 'errors.analytics');
+      } finally {
+        if (!ignore) setIsLoading(false);
+      }
+    };
+
+    loadReport();
+
+    return () => {
+      ignore = true;
+    };
+  }, [isAvailable, days]);
+
+  const title = t('analytics.title', { highlight: <span className="text-gradient">{t('analytics.highlight')}</span> });
+
+  if (isAuthLoading) {
+    return (
+      <section className="analytics">
+        <Spinner />
+      </section>
+    );
+  }
+
+  if (!isAvailable) {
+    return (
+      <section className="analytics">
+        <h2>{title}</h2>
+        <p className="text-gray-400">
+          {t(!features.trendingAnalytics ? 'analytics.disabled' : canViewAnalytics ? 'analytics.noEvents' : 'analytics.adminOnly')}
+        </p>
+      </section>
+    );
+  }
+
+  return (
+    <section className="analytics">
+      <h2>{title}</h2>
+
+      <label className="range">
+        {t('analytics.range')}
+        <select value={days} onChange={(e) => setDays(Number(e.target.value))}>
+          {REPORT_RANGES.map((range) => (
+            <option key={range} value={range}>{t('analytics.lastDays', { count: range })}</option>
+          ))}
+        </select>
+      </label>
+
+      {errorMessage ? (
+        <p className="text-red-500" role="alert">{t(errorMessage)}</p>
+      ) : isLoading || !report ? (
+        <Spinner />
+      ) : (
+        <>
+          {report.truncated && (
+            <p className="text-gray-400" role="status">
+              {t('analytics.truncated', { count: report.eventCount, date: formatDate(report.coveredSince) })}
+            </p>
+          )}
+
+          <dl className="totals">
+            <div>
+              <dt>{t('analytics.columns.searches')}</dt>
+              <dd>{formatNumber(report.totals.searches)}</dd>
+            </div>
+            <div>
+              <dt>{t('analytics.columns.noResults')}</dt>
+              <dd>{formatNumber(report.totals.noResults)}</dd>
+            </div>
+            <div>
+              <dt>{t('analytics.columns.opens')}</dt>
+              <dd>{formatNumber(report.totals.opens)}</dd>
+            </div>
+            <div>
+              <dt>{t('analytics.columns.conversion')}</dt>
+              <dd>{formatPercent(report.totals.conversion)}</dd>
+            </div>
+          </dl>
+
+          <div>
+            <h3>{t('analytics.overTime')}</h3>
+            <SearchesChart days={report.days} />
+          </div>
+
+          <div className="lists">
+            <div>
+              <h3>{t('analytics.topTerms')}</h3>
+              <TermList rows={report.topTerms} count={(row) => row.searches} emptyKey="analytics.empty" />
+            </div>
+            <div>
+              <h3>{t('analytics.zeroResults')}</h3>
+              <TermList rows={report.zeroResultTerms} count={(row) => row.noResults} emptyKey="analytics.noZeroResults" />
+            </div>
+          </div>
+
+          <div>
+            <h3>{t('analytics.allTerms')}</h3>
+            <SearchTermsTable terms={report.terms} filename={`search-terms-${days}d.csv`} />
+          </div>
+        </>
+      )}
+    </section>
+  );
+};
+
+export default Analytics;
@@ -0,0 +1,104 @@
+import { screen, within } from '@testing-library/react'
+import userEvent from '@testing-library/user-event'
+import { describe, expect, it, vi } from 'vitest'
+import { createAppwriteStorage } from '../analytics/appwriteStorage.js'
+import { setAnalyticsStorage } from '../analytics/index.js'
+import { MAX_EVENTS } from '../analytics/shared.js'
+import { restrictReads, seedDocuments, signIn } from '../test/appwriteMock.js'
+import { renderApp } from '../test/render.jsx'
+
+const hoursAgo = (hours) => new Date(Date.now() - hours * 60 * 60 * 1000).toISOString()
+
+const readBlob = (blob) =>
+  new Promise((resolve) => {
+    const reader = new FileReader()
+    reader.onload = () => resolve(reader.result)
+    reader.readAsText(blob)
+  })
+
+const seedEvents = () =>
+  seedDocuments('search-events', [
+    { searchTerm: 'batman', movie_id: 268, poster_path: '/batman.jpg', type: 'search', $createdAt: hoursAgo(30) },
+    { searchTerm: 'batman', movie_id: 268, poster_path: '/batman.jpg', type: 'search', search_id: 's2', $createdAt: hoursAgo(2) },
+    { searchTerm: 'batman', movie_id: 268, poster_path: '/batman.jpg', type: 'open', search_id: 's2', $createdAt: hoursAgo(2) },
+    { searchTerm: 'batmn', movie_id: null, poster_path: null, type: 'no_results', $createdAt: hoursAgo(1) },
+  ])
+
+describe('Analytics', () => {
+  it('is only shown to admins', async () => {
+    renderApp('/analytics')
+
+    expect(await screen.findByText('Only admins can see search analytics.')).toBeInTheDocument()
+    expect(screen.queryByRole('link', { name: 'Analytics' })).not.toBeInTheDocument()
+  })
+
+  it('leaves the data to the events collection permission', async () => {
+    signIn({ $id: 'admin', name: 'Admin', email: 'admin@example.com', labels: ['admin'] })
+    restrictReads('search-events', 'analyst')
+    seedEvents()
+
+    renderApp('/analytics')
+
+    expect(await screen.findByRole('alert')).toHaveTextContent('Only admins can see search analytics.')
+    expect(screen.queryByText('batmn')).not.toBeInTheDocument()
+  })
+
+  it('shows totals, top terms and failed searches', async () => {
+    signIn({ $id: 'admin', name: 'Admin', email: 'admin@example.com', labels: ['admin'] })
+    restrictReads('search-events', 'admin')
+    seedEvents()
+
+    renderApp('/analytics')
+
+    const totals = await screen.findByText('Movies opened', { selector: 'dt' })
+    expect(totals.nextElementSibling).toHaveTextContent('1')
+    expect(screen.getByText('Conversion', { selector: 'dt' }).nextElementSibling).toHaveTextContent('33.3%')
+    expect(screen.getByRole('link', { name: 'Analytics' })).toBeInTheDocument()
+
+    const zeroResults = screen.getByRole('heading', { name: 'Searches with no results' }).parentElement
+    expect(within(zeroResults).getByText('batmn')).toBeInTheDocument()
+  })
+
+  it('says when the period has more events than it could read', async () => {
+    signIn({ $id: 'admin', name: 'Admin', email: 'admin@example.com', labels: ['admin'] })
+    const events = Array.from({ length: MAX_EVENTS }, (_, index) => ({
+      searchTerm: 'batman',
+      movie_id: 268,
+      type: 'search',
+      $createdAt: new Date(Date.UTC(2026, 9, 18, 12) + index * 1000).toISOString(),
+    }))
+    setAnalyticsStorage({ ...createAppwriteStorage(), listSearchEvents: async () => [...events].reverse() })
+
+    try {
+      renderApp('/analytics')
+
+      expect(
+        await screen.findByText(/^Showing only the most recent 10,000 search events, back to October 18, 2026\./)
+      ).toBeInTheDocument()
+    } finally {
+      setAnalyticsStorage(createAppwriteStorage())
+    }
+  })
+
+  it('filters the term table and exports it as CSV', async () => {
+    signIn({ $id: 'admin', name: 'Admin', email: 'admin@example.com', labels: ['admin'] })
+    seedEvents()
+    const createObjectURL = vi.spyOn(URL, 'createObjectURL')
+    const click = vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {})
+    const user = userEvent.setup()
+
+    renderApp('/analytics')
+    const table = await screen.findByRole('table')
+    expect(within(table).getAllByRole('row')).toHaveLength(3)
+
+    await user.selectOptions(screen.getByLabelText('Show'), 'With no results')
+    expect(within(screen.getByRole('table')).getAllByRole('row')).toHaveLength(2)
+    expect(within(screen.getByRole('table')).getByRole('rowheader')).toHaveTextContent('batmn')
+
+    await user.click(screen.getByRole('button', { name: 'Export CSV' }))
+
+    expect(click).toHaveBeenCalled()
+    const [blob] = createObjectURL.mock.calls[0]
+    expect(await readBlob(blob)).toBe('term,searches,no_results,opens,conversion,top_movie_id\r\nbatmn,1,1,0,0.000,')
+  })
+})
@@ -0,0 +1,138 @@
+import { useState } from 'react';
+import { Link, useNavigate, useParams } from 'react-router';
+import MovieCard from '../components/MovieCard.jsx';
+import { useCustomLists } from '../customLists/CustomListsContext.js';
+import { getShareUrl } from '../customLists/share.js';
+import { exportFilename, toExportCsv, toExportJson } from '../customLists/transfer.js';
+import { downloadFile } from '../files.js';
+import { useI18n } from '../i18n/I18nContext.js';
+import { handleGridKeyDown } from '../keyboard/shortcuts.js';
+
+const CustomList = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const { getList, updateList, deleteList, removeMovie, moveMovie } = useCustomLists();
+  const [copyStatus, setCopyStatus] = useState('');
+  const [isConfirmingDelete, setIsConfirmingDelete] = useState(false);
+  const { t, formatNumber } = useI18n();
+
+  const list = getList(id);
+
+  if (!list) {
+    return (
+      <section className="custom-list">
+        <Link to="/lists" className="back">{t('customLists.back')}</Link>
+        <p className="text-gray-400">{t('customLists.notFound')}</p>
+      </section>
+    );
+  }
+
+  const shareUrl = getShareUrl(list);
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(shareUrl);
+      setCopyStatus('customLists.share.copied');
+    } catch {
+      setCopyStatus('customLists.share.copyFailed');
+    }
+  };
+
+  const handleDelete = () => {
+    deleteList(list.id);
+    navigate('/lists');
+  };
+
+  return (
+    <section className="custom-list">
+      <Link to="/lists" className="back">{t('customLists.back')}</Link>
+
+      <div className="details">
+        <label>
+          {t('customLists.name')}
+          <input
+            type="text"
+            value={list.name}
+            onChange={(e) => updateList(list.id, { name: e.target.value })}
+            onBlur={(e) => !e.target.value.trim() && updateList(list.id, { name: t('customLists.untitled') })}
+          />
+        </label>
+        <label>
+          {t('customLists.description')}
+          <textarea value={list.description} onChange={(e) => updateList(list.id, { description: e.target.value })} rows={2} />
+        </label>
+      </div>
+
+      <div className="share">
+        <label>
+          {t('customLists.share.label')}
+          <input type="text" value={shareUrl} readOnly onFocus={(e) => e.target.select()} />
+        </label>
+        <button type="button" onClick={handleCopy}>{t('customLists.share.copy')}</button>
+        <p className="hint">{t('customLists.share.hint')}</p>
+        <p role="status">{copyStatus && t(copyStatus)}</p>
+      </div>
+
+      <div className="actions">
+        <button
+          type="button"
+          onClick={() => downloadFile(toExportJson(list), exportFilename(list, 'json'), 'application/json')}
+          disabled={list.movies.length === 0}
+        >
+          {t('customLists.exportJson')}
+        </button>
+        <button
+          type="button"
+          onClick={() => downloadFile(toExportCsv(list), exportFilename(list, 'csv'), 'text/csv;charset=utf-8')}
+          disabled={list.movies.length === 0}
+        >
+          {t('customLists.exportCsv')}
+        </button>
+        {isConfirmingDelete ? (
+          <>
+            <button type="button" className="danger" onClick={handleDelete}>{t('customLists.confirmDelete')}</button>
+            <button type="button" onClick={() => setIsConfirmingDelete(false)}>{t('customLists.cancel')}</button>
+          </>
+        ) : (
+          <button type="button" className="danger" onClick={() => setIsConfirmingDelete(true)}>{t('customLists.delete')}</button>
+        )}
+      </div>
+
+      {list.movies.length > 0 ? (
+        <ol onKeyDown={handleGridKeyDown}>
+          {list.movies.map((movie, index) => (
+            <li key={movie.id}>
+              <p className="position">{formatNumber(index + 1)}</p>
+              <MovieCard movie={movie} onClick={() => navigate(`/movie/${movie.id}`)} />
+              <div className="order">
+                <button
+                  type="button"
+                  onClick={() => moveMovie(list.id, movie.id, -1)}
+                  disabled={index === 0}
+                  aria-label={t('customLists.moveUp', { title: movie.title })}
+                >
+                  ↑
+                </button>
+                <button
+                  type="button"
+                  onClick={() => moveMovie(list.id, movie.id, 1)}
+                  disabled={index === list.movies.length - 1}
+                  aria-label={t('customLists.moveDown', { title: movie.title })}
+                >
+                  ↓
+                </button>
+                <button type="button" className="remove" onClick={() => removeMovie(list.id, movie.id)}>
+                  {t('lists.remove')}
+                </button>
+              </div>
+            </li>
+          ))}
+        </ol>
+      ) : (
+        <p className="text-gray-400">{t('customLists.emptyList')}</p>
+      )}
+    </section>
+  );
+};
+
+export default CustomList;
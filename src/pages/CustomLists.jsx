@@ -0,0 +1,61 @@
+import { useState } from 'react';
+import { Link } from 'react-router';
+import ImportList from '../components/ImportList.jsx';
+import { useCustomLists } from '../customLists/CustomListsContext.js';
+import { useI18n } from '../i18n/I18nContext.js';
+
+const CustomLists = () => {
+  const { lists, createList } = useCustomLists();
+  const [name, setName] = useState('');
+  const [description, setDescription] = useState('');
+  const { t, formatDate } = useI18n();
+
+  const handleCreate = (event) => {
+    event.preventDefault();
+    if (!name.trim()) return;
+    createList({ name, description });
+    setName('');
+    setDescription('');
+  };
+
+  return (
+    <section className="custom-lists">
+      <h2>{t('customLists.title', { highlight: <span className="text-gradient">{t('customLists.highlight')}</span> })}</h2>
+
+      {lists.length > 0 ? (
+        <ul>
+          {lists.map((list) => (
+            <li key={list.id}>
+              <Link to={`/lists/${list.id}`}>
+                <h3>{list.name}</h3>
+                {list.description && <p className="description">{list.description}</p>}
+                <p className="meta">
+                  {t('customLists.count', { count: list.movies.length })} · {t('customLists.updated', { date: formatDate(list.updatedAt) })}
+                </p>
+              </Link>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="text-gray-400">{t('customLists.empty')}</p>
+      )}
+
+      <form className="create-list" onSubmit={handleCreate}>
+        <h3>{t('customLists.newList')}</h3>
+        <label>
+          {t('customLists.name')}
+          <input type="text" value={name} onChange={(e) => setName(e.target.value)} required />
+        </label>
+        <label>
+          {t('customLists.description')}
+          <textarea value={description} onChange={(e) => setDescription(e.target.value)} rows={2} />
+        </label>
+        <button type="submit" disabled={!name.trim()}>{t('customLists.create')}</button>
+      </form>
+
+      <ImportList />
+    </section>
+  );
+};
+
+export default CustomLists;
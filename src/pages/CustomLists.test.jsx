@@ -0,0 +1,127 @@
+import { screen, waitFor, within } from '@testing-library/react'
+import userEvent from '@testing-library/user-event'
+import { describe, expect, it, vi } from 'vitest'
+import { encodeSharedList } from '../customLists/share.js'
+import { readFileText } from '../files.js'
+import { movies } from '../test/fixtures.js'
+import { renderApp } from '../test/render.jsx'
+
+const fridayNight = {
+  id: 'friday',
+  name: 'Friday movie night',
+  description: 'Big screens only',
+  movies: [movies[0], movies[1]],
+  createdAt: '2026-10-01T10:00:00.000Z',
+  updatedAt: '2026-10-01T10:00:00.000Z',
+}
+
+const seedLists = (lists) => localStorage.setItem('custom-lists', JSON.stringify(lists))
+
+const getSavedLists = () => JSON.parse(localStorage.getItem('custom-lists'))
+
+describe('Custom lists', () => {
+  it('creates a list from a movie card', async () => {
+    const user = userEvent.setup()
+    renderApp('/')
+    const card = (await screen.findByRole('heading', { name: 'Parasite' })).closest('.movie-card')
+
+    await user.click(within(card).getByRole('button', { name: '+ List' }))
+    await user.type(within(card).getByRole('textbox', { name: 'New list name' }), 'Classic sci-fi')
+    await user.click(within(card).getByRole('button', { name: 'Create list' }))
+
+    expect(within(card).getByRole('checkbox', { name: 'Classic sci-fi' })).toBeChecked()
+    expect(screen.getByRole('link', { name: /Lists/ })).toHaveTextContent('1')
+    expect(getSavedLists()).toEqual([
+      expect.objectContaining({ name: 'Classic sci-fi', movies: [expect.objectContaining({ id: 103, title: 'Parasite' })] }),
+    ])
+
+    await user.click(within(card).getByRole('checkbox', { name: 'Classic sci-fi' }))
+    expect(getSavedLists()[0].movies).toEqual([])
+  })
+
+  it('reorders movies and exports the list as CSV', async () => {
+    seedLists([fridayNight])
+    const createObjectURL = vi.spyOn(URL, 'createObjectURL')
+    const click = vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {})
+    const user = userEvent.setup()
+
+    renderApp('/lists/friday')
+    await user.click(screen.getByRole('button', { name: 'Move Interstellar up' }))
+
+    const order = within(screen.getByRole('list')).getAllByRole('heading', { level: 3 }).map((heading) => heading.textContent)
+    expect(order).toEqual(['Interstellar', 'Inception'])
+    expect(getSavedLists()[0].movies.map((movie) => movie.id)).toEqual([102, 101])
+
+    await user.click(screen.getByRole('button', { name: 'Export CSV' }))
+
+    expect(click).toHaveBeenCalled()
+    const [blob] = createObjectURL.mock.calls[0]
+    expect(await readFileText(blob)).toBe('position,tmdb_id,title,year\r\n1,102,Interstellar,2014\r\n2,101,Inception,2010')
+  })
+
+  it('shows a read-only shared list that can be saved as a copy', async () => {
+    const user = userEvent.setup()
+    const { router } = renderApp(`/shared?list=${encodeSharedList({ ...fridayNight, movies: [movies[2], movies[0]] })}`)
+
+    expect(screen.getByText('Shared list · read-only')).toBeInTheDocument()
+    expect(screen.getByRole('heading', { name: 'Friday movie night' })).toBeInTheDocument()
+    await waitFor(() =>
+      expect(within(screen.getByRole('list')).getAllByRole('heading', { level: 3 }).map((heading) => heading.textContent)).toEqual([
+        'Parasite',
+        'Inception',
+      ])
+    )
+    expect(screen.queryByRole('button', { name: /Move/ })).not.toBeInTheDocument()
+
+    await user.click(screen.getByRole('button', { name: 'Save a copy to my lists' }))
+
+    expect(router.state.location.pathname).toMatch(/^\/lists\/\w+$/)
+    expect(screen.getByRole('textbox', { name: 'Name' })).toHaveValue('Friday movie night')
+    expect(getSavedLists()[0].movies.map((movie) => movie.id)).toEqual([103, 101])
+  })
+
+  it('says so when a share link is broken', () => {
+    renderApp('/shared?list=broken')
+
+    expect(screen.getByRole('alert')).toHaveTextContent('This share link is broken or incomplete.')
+  })
+
+  it('imports a CSV and reports the rows it could not match', async () => {
+    const user = userEvent.setup()
+    renderApp('/lists')
+    const file = new File(['title,year\nInterstellar,\nNope,1999\n'], 'Space night.csv', { type: 'text/csv' })
+
+    await user.upload(screen.getByLabelText('Choose a file'), file)
+
+    const report = await screen.findByText(/Imported 1 of 2 movies/)
+    expect(report).toHaveTextContent('Imported 1 of 2 movies into "Space night".')
+    expect(screen.getByText(/Row 3: Nope \(1999\)/)).toHaveTextContent('no movie with that title and year')
+    expect(getSavedLists()).toEqual([
+      expect.objectContaining({ name: 'Space night', movies: [expect.objectContaining({ id: 102 })] }),
+    ])
+    expect(screen.getByRole('link', { name: /Space night/ })).toHaveAttribute('href', expect.stringMatching(/^\/lists\//))
+  })
+
+  it('says so when the picked file cannot be read', async () => {
+    vi.spyOn(FileReader.prototype, 'readAsText').mockImplementation(function () {
+      this.onerror()
+    })
+    vi.spyOn(console, 'log').mockImplementation(() => {})
+    const user = userEvent.setup()
+    renderApp('/lists')
+
+    await user.upload(screen.getByLabelText('Choose a file'), new File(['title\n'], 'list.csv', { type: 'text/csv' }))
+
+    expect(await screen.findByRole('alert')).toHaveTextContent('That file couldn\'t be opened. Try choosing it again.')
+    expect(screen.getByLabelText('Choose a file')).toBeEnabled()
+  })
+
+  it('says so when the file is not a list', async () => {
+    const user = userEvent.setup()
+    renderApp('/lists')
+
+    await user.upload(screen.getByLabelText('Choose a file'), new File(['{ nope'], 'list.json', { type: 'application/json' }))
+
+    expect(await screen.findByRole('alert')).toHaveTextContent('That file couldn\'t be read. Use JSON, or CSV with a header row.')
+  })
+})
@@ -0,0 +1,345 @@
+import { useEffect, useRef } from 'react';
+// ✅ What it does: Imports React hooks
+// 🧠 What to know: Refs point at DOM nodes without causing re-renders
+// ❓ Why we used it: To move keyboard focus when the grid reloads
+
+import { Link, useNavigate, useOutletContext } from 'react-router';
+// ✅ What it does: Imports routing helpers
+// 🧠 What to know: useOutletContext reads the data App passes to <Outlet />
+// ❓ Why we used it: So this page renders the lists App already loaded
+
+import Search from '../components/Search.jsx';
+// ✅ What it does: Importing the Search component
+// 🧠 What to know: Components must be imported before use
+// ❓ Why we used it: To render a reusable search bar component
+
+import Spinner from '../components/Spinner.jsx';
+// ✅ What it does: Imports the Spinner loading component
+// 🧠 What to know: Shows a loading animation when data is being fetched
+// ❓ Why we used it: To improve user experience during API calls
+
+import MovieCard from '../components/MovieCard.jsx';
+// ✅ What it does: Imports component to display each movie
+// 🧠 What to know: Receives movie data as props
+// ❓ Why we used it: To show movie title, image etc., in a clean format
+
+import Filters from '../components/Filters.jsx';
+// ✅ What it does: Imports the discover filter panel
+// 🧠 What to know: Applying filters updates the URL
+// ❓ Why we used it: To narrow down the movie grid
+
+import PersonCard from '../components/PersonCard.jsx';
+import PosterImage from '../components/PosterImage.jsx';
+// ✅ What it does: Imports the people card and the shared poster image
+// 🧠 What to know: PosterImage picks the right TMDB size and lazy loads
+// ❓ Why we used it: So searching "Nolan" also finds Christopher Nolan, and posters stay light
+
+import TrendingTabs from '../components/TrendingTabs.jsx';
+import RankChange from '../components/RankChange.jsx';
+// ✅ What it does: Imports the trending tabs and rank change badge
+// 🧠 What to know: Both read values returned by getTrendingMovies
+// ❓ Why we used it: To switch trending periods and show movement
+
+import ForYou from '../components/ForYou.jsx';
+// ✅ What it does: Imports the personal recommendations row
+// 🧠 What to know: Renders nothing until there is some history on this device
+// ❓ Why we used it: So returning visitors see more than the same popular list
+
+import LoadMoreTrigger from '../components/LoadMoreTrigger.jsx';
+// ✅ What it does: Imports the infinite scroll trigger
+// 🧠 What to know: Calls onLoadMore when it scrolls into view
+// ❓ Why we used it: To append more pages to the grid
+
+import { useI18n } from '../i18n/I18nContext.js';
+// ✅ What it does: Imports the translation hook
+// 🧠 What to know: t('home.title') returns the text in the chosen language
+// ❓ Why we used it: So every heading and message on this page is translated
+
+import { handleGridKeyDown } from '../keyboard/shortcuts.js';
+// ✅ What it does: Imports the arrow key handler for card lists
+// 🧠 What to know: Cards opt in with data-grid-item
+// ❓ Why we used it: To move between movies with the keyboard
+
+import { tmdbFetch } from '../tmdb.js';
+// ✅ What it does: Imports the shared TMDB client
+// 🧠 What to know: Localized like every other request
+// ❓ Why we used it: A picked collection is looked up to find what to search for
+
+import { features } from '../config.js';
+// ✅ What it does: Imports the optional feature flags
+// 🧠 What to know: features.trendingAnalytics is false when analytics are turned off
+// ❓ Why we used it: To hide the trending strip instead of showing it empty
+
+const HOME_TRENDING_COUNT = 5;
+// ✅ What it does: How many trending movies the home page strip shows
+// 🧠 What to know: The full list is on /trending
+// ❓ Why we used it: Keeps the strip short
+
+const Home = () => {
+  const navigate = useNavigate();
+  const { t, formatNumber } = useI18n();
+  const {
+    searchTerm,
+    setSearchTerm,
+    filters,
+    setFilters,
+    moviesList,
+    isLoading,
+    errorMessage,
+    isLoadingMore,
+    loadMoreError,
+    hasMoreMovies,
+    loadMoreMovies,
+    recordSearchOpen,
+    peopleList,
+    trendingMovies,
+    isTrendingLoading,
+    trendingError,
+    trendingWindow,
+    setTrendingWindow,
+  } = useOutletContext();
+  // ✅ What it does: Gets the search state and movie lists from App
+  // 🧠 What to know: searchTerm comes from the ?q= part of the URL
+  // ❓ Why we used it: Used for both / and /search?q=…
+
+  const headingRef = useRef(null);
+  const gridRef = useRef(null);
+  const focusInGridRef = useRef(false);
+  const loadMoreFocusRef = useRef(null);
+  // ✅ What it does: Remembers where keyboard focus was around the movie grid
+  // 🧠 What to know: Cards are removed while loading, so focus has to go somewhere else
+  // ❓ Why we used it: Without this, focus falls back to the top of the page
+
+  useEffect(() => {
+    if (!focusInGridRef.current) return;
+    if (isLoading) {
+      headingRef.current?.focus();
+    } else {
+      (gridRef.current?.querySelector('[data-grid-item]') ?? headingRef.current)?.focus();
+    }
+  }, [isLoading]);
+  // ✅ What it does: Parks focus on the heading while the grid reloads, then moves it to the first card
+  // 🧠 What to know: Only when focus was already inside the grid - typing in the search box is left alone
+  // ❓ Why we used it: Keyboard users keep their place when filters or the language change
+
+  useEffect(() => {
+    const cards = gridRef.current?.querySelectorAll('[data-grid-item]') ?? [];
+    if (isLoadingMore) {
+      loadMoreFocusRef.current = document.activeElement?.closest('.load-more') ? cards.length : null;
+    } else if (loadMoreFocusRef.current !== null) {
+      cards[loadMoreFocusRef.current]?.focus();
+      loadMoreFocusRef.current = null;
+    }
+  }, [isLoadingMore]);
+  // ✅ What it does: After "Load more" from the keyboard, focuses the first new card
+  // 🧠 What to know: The button disappears after the last page, so we note the card count up front
+  // ❓ Why we used it: So pressing Enter on "Load more" continues where the new movies start
+
+  const openMovie = (movie) => {
+    recordSearchOpen(movie);
+    navigate(`/movie/${movie.id}`);
+  };
+
+  const searchCollection = async (collectionId) => {
+    try {
+      const collection = await tmdbFetch(`/collection/${collectionId}`, { channel: 'collection-search' });
+      const [firstPart] = (collection.parts || [])
+        .filter((part) => part.title)
+        .sort((a, b) => (a.release_date || '9999').localeCompare(b.release_date || '9999'));
+      if (firstPart) setSearchTerm(firstPart.title);
+    } catch (error) {
+      if (error.name !== 'AbortError') console.log(`Error loading collection: ${error}`);
+    }
+  };
+  // ✅ What it does: Searches for the first movie of a collection
+  // 🧠 What to know: Parts without a release date count as the newest
+  // ❓ Why we used it: Collection names carry a translated "Collection" suffix that movie search can't match
+
+  const handleSelectSuggestion = (suggestion) => {
+    if (suggestion.type === 'movie') {
+      openMovie({ id: suggestion.id, poster_path: suggestion.image });
+    } else if (suggestion.type === 'person') {
+      navigate(`/person/${suggestion.id}`);
+    } else if (suggestion.type === 'collection') {
+      searchCollection(suggestion.id);
+    } else {
+      setSearchTerm(suggestion.label);
+    }
+  };
+  // ✅ What it does: Handles a movie, person or collection picked from the dropdown
+  // 🧠 What to know: Movies and people open their page; collections search for their first movie
+  // ❓ Why we used it: Search only knows about suggestions, Home knows about routes
+
+  return (
+    <>
+      <header>
+        <img src="/hero.png" alt={t('home.heroAlt')} />
+        {/* ✅ Displays a hero/banner image at the top of the page
+            🧠 Should always include an alt tag for accessibility
+            ❓ Used to make the page visually appealing */}
+
+        <h1>
+          {t('home.title', { highlight: <span className="text-gradient">{t('common.movies')}</span> })}
+        </h1>
+        {/* ✅ Main heading of the website
+            🧠 The gradient <span> is passed into the translation, so each language can put it where it fits
+            ❓ Communicates the main value of the site to users */}
+
+        <Search
+          searchTerm={searchTerm}
+          setSearchTerm={setSearchTerm}
+          trendingTerms={trendingMovies.map((movie) => movie.searchTerm)}
+          onSelectSuggestion={handleSelectSuggestion}
+        />
+        {/* ✅ Renders the Search component with its suggestion dropdown
+            🧠 Props are passed down to allow child component to update parent state
+            ❓ Used to let the user type input and trigger movie search */}
+
+        <Filters filters={filters} onChange={setFilters} isSearch={Boolean(searchTerm)} />
+        {/* ✅ Renders the filter panel under the search bar
+            🧠 isSearch disables filters TMDB's search endpoint can't use
+            ❓ Lets users narrow the grid by genre, year, rating and more */}
+      </header>
+
+      {features.trendingAnalytics && (
+        <section className='trending'>
+          <h2>
+            <Link to="/trending">{t('home.trending', { highlight: <span className='text-gradient'>{t('common.movies')}</span> })}</Link>
+          </h2>
+          {/* ✅ Subheading for the trending section
+              🧠 Semantic HTML improves accessibility and SEO
+              ❓ Makes it clear this section shows trending content */}
+
+          <TrendingTabs value={trendingWindow} onChange={setTrendingWindow} />
+          {/* ✅ Tabs for the last 24 hours, 7 days, 30 days and all time
+              🧠 Changing the tab makes App reload trending for that window
+              ❓ Keeps old favourites from sitting at the top forever */}
+
+          {isTrendingLoading ? (
+            <Spinner />
+            // ✅ Show loading spinner while trending movies are being fetched
+            // 🧠 Conditional rendering based on loading state
+            // ❓ Gives user feedback that something is loading
+          ) : trendingError ? (
+            <p className="text-red-500" role="alert">{t(trendingError)}</p>
+            // ✅ Display error message if something goes wrong
+            // 🧠 Helps users understand when something fails
+            // ❓ Better than leaving the section blank on error
+          ) : trendingMovies.length > 0 ? (
+            <ul onKeyDown={handleGridKeyDown}>
+              {trendingMovies.slice(0, HOME_TRENDING_COUNT).map((movie, index) => (
+                <li key={movie.$id}>
+                  <Link to={`/movie/${movie.movie_id}`} data-grid-item>
+                    <p>{formatNumber(index + 1)}</p>
+                    {/* ✅ Display the movie's rank in the list
+                        🧠 Index from .map gives current position
+                        ❓ Adds context and ordering to movies */}
+
+                    <PosterImage path={movie.poster_path} alt={movie.searchTerm} sizes="127px" />
+                    {/* ✅ Show the poster image of the movie
+                        🧠 Only the poster path is stored; sizes="127px" lets the browser pick a small file
+                        ❓ Visually displays the trending movie */}
+
+                    <RankChange change={movie.rankChange} />
+                    {/* ✅ Shows ▲/▼ compared with the previous period
+                        🧠 Renders nothing for "All time"
+                        ❓ Highlights movies that are rising fast */}
+                  </Link>
+                </li>
+              ))}
+            </ul>
+            // ✅ Render the list of trending movies
+            // 🧠 Always provide a unique key (movie.$id) to help React
+            // ❓ Shows trending data dynamically from the analytics storage
+          ) : (
+            <p className="text-gray-400">{t('trending.empty')}</p>
+            // ✅ Fallback if there are no trending movies
+            // 🧠 Ensures there's always something visible in the section
+            // ❓ Prevents confusion when list is empty
+          )}
+        </section>
+      )}
+      {/* ✅ Trending strip with tabs
+          🧠 Hidden when VITE_ANALYTICS_STORAGE=off
+          ❓ An always-empty section would look broken */}
+
+      {searchTerm && peopleList.length > 0 && (
+        <section className="people">
+          <h2><span className='text-gradient'>{t('home.people')}</span></h2>
+          <ul>
+            {peopleList.map((person) => (
+              <li key={person.id}>
+                <PersonCard person={person} />
+              </li>
+            ))}
+          </ul>
+        </section>
+      )}
+      {/* ✅ Actors and directors matching the search
+          🧠 Only shown while searching and when someone matched
+          ❓ Clicking a person opens their filmography */}
+
+      {!searchTerm && <ForYou onSelectMovie={openMovie} />}
+      {/* ✅ Recommendations based on past searches and opened movies
+          🧠 Hidden while searching so the results stay near the top
+          ❓ Gives each visitor a list of their own */}
+
+      <section
+        className="all-movies"
+        onFocus={() => (focusInGridRef.current = true)}
+        onBlur={(event) => (focusInGridRef.current = event.currentTarget.contains(event.relatedTarget))}
+      >
+        <h2 ref={headingRef} tabIndex={-1}>{t('home.allMovies', { highlight: <span className='text-gradient'>{t('common.movies')}</span> })}</h2>
+        {/* ✅ Subheading for main movie list
+            🧠 Improves structure and readability
+            ❓ Clarifies this section shows search or popular movies */}
+
+        <p className="sr-only" role="status">
+          {!isLoading && !errorMessage && t('home.results', { count: moviesList.length })}
+        </p>
+        {/* ✅ Tells screen readers how many movies are in the grid
+            🧠 The live region stays in the page so changes to its text are announced
+            ❓ Otherwise a finished search is silent */}
+
+        {isLoading ? (
+          <Spinner />
+          // ✅ Show loading spinner during movie fetch
+          // 🧠 Visual cue that data is being loaded
+          // ❓ Keeps user engaged during wait
+        ) : errorMessage ? (
+          <p className="text-red-500" role="alert">{t(errorMessage)}</p>
+          // ✅ Show error message if API fails
+          // 🧠 Better than failing silently
+          // ❓ Helps user understand what went wrong
+        ) : (
+          <>
+            <ul ref={gridRef} onKeyDown={handleGridKeyDown}>
+              {moviesList.map((movie) => (
+                <MovieCard key={movie.id} movie={movie} onClick={() => openMovie(movie)} />
+                // ✅ Render each movie using a reusable card component
+                // 🧠 movie.id is used as a unique key for performance
+                // ❓ Keeps UI modular and easy to update
+              ))}
+            </ul>
+
+            {loadMoreError && <p className="text-red-500" role="alert">{t(loadMoreError)}</p>}
+            {hasMoreMovies && <LoadMoreTrigger onLoadMore={loadMoreMovies} isLoading={isLoadingMore} />}
+            {/* ✅ Loads the next page when the bottom of the grid scrolls into view
+                🧠 Hidden once we reach total_pages
+                ❓ Lets users keep browsing past the first 20 results */}
+          </>
+          // ✅ Renders all fetched movies as a list
+          // 🧠 Only shown if there’s no error and not loading
+          // ❓ Ensures the UI stays clean and performant
+        )}
+      </section>
+
+      <h1 className="text-white">{searchTerm}</h1>
+      {/* ✅ Display the user's current search input in real-time
+          🧠 Reflecting state improves user feedback
+          ❓ Good for debugging and showing input is working */}
+    </>
+  );
+};
+
+export default Home;
@@ -0,0 +1,21 @@
+import { useLocation, useNavigate, useParams } from 'react-router';
+import MovieDetails from '../components/MovieDetails.jsx';
+
+const Movie = () => {
+  const { id } = useParams();
+  const location = useLocation();
+  const navigate = useNavigate();
+
+  // location.key is 'default' when the movie URL was opened directly (shared link, reload)
+  const handleClose = () => (location.key === 'default' ? navigate('/') : navigate(-1));
+
+  return (
+    <MovieDetails
+      movieId={id}
+      onSelectMovie={(movieId) => navigate(`/movie/${movieId}`)}
+      onClose={handleClose}
+    />
+  );
+};
+
+export default Movie;
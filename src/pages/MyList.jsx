@@ -0,0 +1,65 @@
+import { useState } from 'react';
+import { useNavigate } from 'react-router';
+import MovieCard from '../components/MovieCard.jsx';
+import WatchedEditor from '../components/WatchedEditor.jsx';
+import { useLists } from '../lists/ListsContext.js';
+import { useI18n } from '../i18n/I18nContext.js';
+import { handleGridKeyDown } from '../keyboard/shortcuts.js';
+
+const SORTS = {
+  added: { compare: (a, b) => b.addedAt.localeCompare(a.addedAt) },
+  title: { compare: (a, b) => a.movie.title.localeCompare(b.movie.title) },
+  release: { compare: (a, b) => b.movie.release_date.localeCompare(a.movie.release_date) },
+  tmdb: { compare: (a, b) => b.movie.vote_average - a.movie.vote_average },
+  mine: { compare: (a, b) => (b.rating ?? 0) - (a.rating ?? 0), watchedOnly: true },
+};
+
+const MyList = ({ list }) => {
+  const navigate = useNavigate();
+  const { lists, removeEntry } = useLists();
+  const [sortBy, setSortBy] = useState('added');
+  const { t } = useI18n();
+
+  const sort = SORTS[sortBy] ?? SORTS.added;
+  const entries = Object.values(lists[list]).sort(sort.compare);
+  const isWatched = list === 'watched';
+
+  return (
+    <section className="my-list">
+      <h2>
+        {t('lists.title', { highlight: <span className="text-gradient">{t(`lists.${list}`)}</span> })}
+      </h2>
+
+      <label className="sort">
+        {t('common.sortBy')}
+        <select value={sortBy} onChange={(e) => setSortBy(e.target.value)}>
+          {Object.entries(SORTS)
+            .filter(([, option]) => isWatched || !option.watchedOnly)
+            .map(([key]) => (
+              <option key={key} value={key}>{t(`lists.sort.${key}`)}</option>
+            ))}
+        </select>
+      </label>
+
+      {entries.length > 0 ? (
+        <ul onKeyDown={handleGridKeyDown}>
+          {entries.map((entry) => (
+            <li key={entry.movie.id}>
+              <MovieCard movie={entry.movie} onClick={() => navigate(`/movie/${entry.movie.id}`)} />
+              {isWatched && <WatchedEditor entry={entry} />}
+              <button type="button" className="remove" onClick={() => removeEntry(list, entry.movie.id)}>
+                {t('lists.remove')}
+              </button>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="text-gray-400">
+          {isWatched ? t('lists.emptyWatched') : t('lists.emptyWatchlist')}
+        </p>
+      )}
+    </section>
+  );
+};
+
+export default MyList;
@@ -0,0 +1,21 @@
+import { useLocation, useNavigate, useParams } from 'react-router';
+import PersonDetails from '../components/PersonDetails.jsx';
+
+const Person = () => {
+  const { id } = useParams();
+  const location = useLocation();
+  const navigate = useNavigate();
+
+  // location.key is 'default' when the person URL was opened directly (shared link, reload)
+  const handleClose = () => (location.key === 'default' ? navigate('/') : navigate(-1));
+
+  return (
+    <PersonDetails
+      personId={id}
+      onSelectMovie={(movieId) => navigate(`/movie/${movieId}`)}
+      onClose={handleClose}
+    />
+  );
+};
+
+export default Person;
@@ -0,0 +1,17 @@
+import StreamingSettings from '../components/StreamingSettings.jsx';
+import HistorySettings from '../components/HistorySettings.jsx';
+import { useI18n } from '../i18n/I18nContext.js';
+
+const Settings = () => {
+  const { t } = useI18n();
+
+  return (
+    <section className="settings">
+      <h2>{t('settings.title', { highlight: <span className="text-gradient">{t('settings.highlight')}</span> })}</h2>
+      <StreamingSettings />
+      <HistorySettings />
+    </section>
+  );
+};
+
+export default Settings;
@@ -0,0 +1,103 @@
+import { useEffect, useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router';
+import MovieCard from '../components/MovieCard.jsx';
+import Spinner from '../components/Spinner.jsx';
+import { useCustomLists } from '../customLists/CustomListsContext.js';
+import { decodeSharedList } from '../customLists/share.js';
+import { matchRows } from '../customLists/transfer.js';
+import { getErrorMessage } from '../tmdb.js';
+import { useI18n } from '../i18n/I18nContext.js';
+import { handleGridKeyDown } from '../keyboard/shortcuts.js';
+
+const SharedList = () => {
+  const [searchParams] = useSearchParams();
+  const navigate = useNavigate();
+  const { createList } = useCustomLists();
+  const [movies, setMovies] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [errorMessage, setErrorMessage] = useState('');
+  const { t, locale, region, formatNumber } = useI18n();
+
+  const payload = searchParams.get('list') ?? '';
+  const shared = decodeSharedList(payload);
+
+  useEffect(() => {
+    const list = decodeSharedList(payload);
+    if (!list) return;
+    const controller = new AbortController();
+
+    const fetchMovies = async () => {
+      setIsLoading(true);
+      setErrorMessage('');
+
+      try {
+        // Same matching as import, so movies removed from TMDB are simply left out
+        const { movies: found } = await matchRows(
+          list.movieIds.map((tmdbId, index) => ({ line: index + 1, tmdbId, title: '', year: '' })),
+          { signal: controller.signal }
+        );
+        setMovies(found);
+      } catch (error) {
+        if (error.name === 'AbortError') return;
+        console.log(`Error fetching shared list: ${error}`);
+        setErrorMessage(getErrorMessage(error, 'errors.sharedList'));
+      } finally {
+        if (!controller.signal.aborted) setIsLoading(false);
+      }
+    };
+
+    fetchMovies();
+
+    return () => controller.abort();
+  }, [payload, locale, region]);
+
+  if (!shared) {
+    return (
+      <section className="shared-list">
+        <Link to="/" className="back">{t('common.backToMovies')}</Link>
+        <p className="text-red-500" role="alert">{t('customLists.share.invalid')}</p>
+      </section>
+    );
+  }
+
+  const handleSave = () => {
+    const id = createList({ name: shared.name, description: shared.description, movies });
+    navigate(`/lists/${id}`);
+  };
+
+  return (
+    <section className="shared-list">
+      <Link to="/" className="back">{t('common.backToMovies')}</Link>
+      <p className="badge">{t('customLists.share.readOnly')}</p>
+      <h2>{shared.name}</h2>
+      {shared.description && <p className="description">{shared.description}</p>}
+
+      {isLoading ? (
+        <Spinner />
+      ) : errorMessage ? (
+        <p className="text-red-500" role="alert">{t(errorMessage)}</p>
+      ) : (
+        <>
+          <button type="button" className="save" onClick={handleSave} disabled={movies.length === 0}>
+            {t('customLists.share.saveCopy')}
+          </button>
+
+          {movies.length > 0 ? (
+            <ol onKeyDown={handleGridKeyDown}>
+              {movies.map((movie, index) => (
+                <li key={movie.id}>
+                  <p className="position">{formatNumber(index + 1)}</p>
+                  <MovieCard movie={movie} onClick={() => navigate(`/movie/${movie.id}`)} />
+                </li>
+              ))}
+            </ol>
+          ) : (
+            <p className="text-gray-400">{t('customLists.emptyList')}</p>
+          )}
+        </>
+      )}
+    </section>
+  );
+};
+
+export default SharedList;
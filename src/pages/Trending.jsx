@@ -0,0 +1,62 @@
+import { Link, useOutletContext } from 'react-router';
+import Spinner from '../components/Spinner.jsx';
+import TrendingTabs from '../components/TrendingTabs.jsx';
+import RankChange from '../components/RankChange.jsx';
+import PosterImage from '../components/PosterImage.jsx';
+import { useI18n } from '../i18n/I18nContext.js';
+import { handleGridKeyDown } from '../keyboard/shortcuts.js';
+import { features } from '../config.js';
+
+const Trending = () => {
+  const {
+    trendingMovies,
+    isTrendingLoading,
+    trendingError,
+    trendingWindow,
+    setTrendingWindow,
+  } = useOutletContext();
+  const { t, formatNumber } = useI18n();
+
+  if (!features.trendingAnalytics) {
+    return (
+      <section className="trending-page">
+        <Link to="/" className="back">{t('common.backToMovies')}</Link>
+        <p className="text-gray-400">{t('trending.disabled')}</p>
+      </section>
+    );
+  }
+
+  return (
+    <section className="trending-page">
+      <Link to="/" className="back">{t('common.backToMovies')}</Link>
+      <h2>{t('home.trending', { highlight: <span className="text-gradient">{t('common.movies')}</span> })}</h2>
+      <TrendingTabs value={trendingWindow} onChange={setTrendingWindow} />
+
+      {isTrendingLoading ? (
+        <Spinner />
+      ) : trendingError ? (
+        <p className="text-red-500" role="alert">{t(trendingError)}</p>
+      ) : trendingMovies.length > 0 ? (
+        <ol onKeyDown={handleGridKeyDown}>
+          {trendingMovies.map((movie) => (
+            <li key={movie.$id}>
+              <Link to={`/movie/${movie.movie_id}`} data-grid-item>
+                <p className="rank">{formatNumber(movie.rank)}</p>
+                <PosterImage path={movie.poster_path} alt={movie.searchTerm} sizes="80px" />
+                <div>
+                  <p className="term">{movie.searchTerm}</p>
+                  <p className="count">{t('trending.searches', { count: movie.count })}</p>
+                  <RankChange change={movie.rankChange} />
+                </div>
+              </Link>
+            </li>
+          ))}
+        </ol>
+      ) : (
+        <p className="text-gray-400">{t('trending.empty')}</p>
+      )}
+    </section>
+  );
+};
+
+export default Trending;
@@ -0,0 +1,30 @@
+const STORAGE_KEY = 'recent-searches';
+const MAX_RECENT_SEARCHES = 8;
+// ✅ What it does: Where and how many recent searches we keep
+// 🧠 What to know: Newest first, stored in localStorage
+// ❓ Why we used it: Recent searches show up in the Search dropdown
+
+export const getRecentSearches = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) ?? [];
+  } catch {
+    return [];
+  }
+};
+
+export const addRecentSearch = (searchTerm) => {
+  const term = searchTerm.trim();
+  if (!term) return;
+
+  const recent = getRecentSearches().filter((item) => item.toLowerCase() !== term.toLowerCase());
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify([term, ...recent].slice(0, MAX_RECENT_SEARCHES)));
+  } catch (error) {
+    console.log(error);
+  }
+};
+// ✅ What it does: Moves a search to the top of the recent list
+// 🧠 What to know: "Batman" and "batman" count as the same search
+// ❓ Why we used it: So the list doesn't fill up with duplicates
+
+export const clearRecentSearches = () => localStorage.removeItem(STORAGE_KEY);
@@ -0,0 +1,88 @@
+import { clearRecentSearches } from '../recentSearches.js';
+
+const STORAGE_KEY = 'viewing-history';
+const MAX_SEARCHES = 10;
+const MAX_OPENED = 20;
+// ✅ What it does: Where and how much history we keep
+// 🧠 What to know: Newest first, stored in localStorage on this device only
+// ❓ Why we used it: The "For you" row is built from it and it never leaves the browser
+
+const emptyHistory = () => ({ searches: [], opened: [] });
+
+const toHistoryMovie = (movie) => ({
+  id: movie.id,
+  title: movie.title,
+  genre_ids: movie.genre_ids ?? movie.genres?.map((genre) => genre.id) ?? [],
+});
+// ✅ What it does: Keeps only the movie fields recommendations need
+// 🧠 What to know: Lists have genre_ids, the details endpoint has genres
+// ❓ Why we used it: Keeps the saved history small
+
+const isHistoryMovie = (movie) => Number.isInteger(movie?.id) && Array.isArray(movie.genre_ids);
+
+const isOpenedEntry = (item) => isHistoryMovie(item) && typeof item.at === 'string';
+
+const isSearchEntry = (item) => typeof item?.term === 'string' && isHistoryMovie(item.movie) && typeof item.at === 'string';
+// ✅ What it does: Checks one saved entry has the fields recommendations read
+// 🧠 What to know: Older formats, hand edits or a half-written save can leave entries without them
+// ❓ Why we used it: One bad entry is dropped instead of breaking the "For you" row
+
+const readEntries = (entries, isValid) => (Array.isArray(entries) ? entries.filter(isValid) : []);
+
+export const loadHistory = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return {
+      searches: readEntries(saved?.searches, isSearchEntry),
+      opened: readEntries(saved?.opened, isOpenedEntry),
+    };
+  } catch {
+    return emptyHistory();
+  }
+};
+
+const saveHistory = (history) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(history));
+  } catch (error) {
+    console.log(error);
+  }
+};
+// ✅ What it does: Reads and writes the history
+// 🧠 What to know: Anything unreadable is treated as no history, and invalid entries are skipped
+// ❓ Why we used it: A broken entry shouldn't break the home page
+
+export const recordSearchedMovie = (searchTerm, movie) => {
+  const term = searchTerm.trim();
+  if (!term || !movie) return;
+
+  const history = loadHistory();
+  const searches = history.searches.filter((item) => item.term.toLowerCase() !== term.toLowerCase());
+  saveHistory({
+    ...history,
+    searches: [{ term, movie: toHistoryMovie(movie), at: new Date().toISOString() }, ...searches].slice(0, MAX_SEARCHES),
+  });
+};
+// ✅ What it does: Remembers a search and the movie it found first
+// 🧠 What to know: Searching the same term again moves it back to the top
+// ❓ Why we used it: So a pick can say "because you searched Inception"
+
+export const recordOpenedMovie = (movie) => {
+  const history = loadHistory();
+  const opened = history.opened.filter((item) => item.id !== movie.id);
+  saveHistory({
+    ...history,
+    opened: [{ ...toHistoryMovie(movie), at: new Date().toISOString() }, ...opened].slice(0, MAX_OPENED),
+  });
+};
+// ✅ What it does: Remembers a movie whose details page was opened
+// 🧠 What to know: Opening it again moves it back to the top
+// ❓ Why we used it: Opened movies are the strongest hint of what someone likes
+
+export const clearHistory = () => {
+  localStorage.removeItem(STORAGE_KEY);
+  clearRecentSearches();
+};
+// ✅ What it does: Forgets searches, opened movies and recent searches
+// 🧠 What to know: Lists and analytics are not touched
+// ❓ Why we used it: The settings page offers one button to start fresh
@@ -0,0 +1,41 @@
+import { describe, expect, it } from 'vitest';
+import { loadHistory, recordOpenedMovie, recordSearchedMovie } from './history.js';
+import { pickSeeds } from './recommend.js';
+
+const inception = { id: 101, title: 'Inception', genre_ids: [28, 878] };
+
+describe('loadHistory', () => {
+  it('reads back what was recorded', () => {
+    recordSearchedMovie('inception', inception);
+    recordOpenedMovie({ id: 102, title: 'Interstellar', genres: [{ id: 878 }] });
+
+    expect(loadHistory()).toEqual({
+      searches: [{ term: 'inception', movie: inception, at: expect.any(String) }],
+      opened: [{ id: 102, title: 'Interstellar', genre_ids: [878], at: expect.any(String) }],
+    });
+  });
+
+  it('skips malformed entries so seeds can still be picked', () => {
+    localStorage.setItem(
+      'viewing-history',
+      JSON.stringify({
+        searches: [{ term: 'inception', movie: inception }, { term: 'old', movie: inception, at: '2026-10-01T00:00:00.000Z' }, null],
+        opened: [{ id: 102, title: 'Interstellar', genre_ids: [878], at: 5 }, 'broken', { title: 'No id', at: '2026-10-02T00:00:00.000Z' }],
+      })
+    );
+
+    const history = loadHistory();
+
+    expect(history).toEqual({
+      searches: [{ term: 'old', movie: inception, at: '2026-10-01T00:00:00.000Z' }],
+      opened: [],
+    });
+    expect(pickSeeds(history).map((seed) => seed.movie.id)).toEqual([101]);
+  });
+
+  it('treats unreadable JSON as no history', () => {
+    localStorage.setItem('viewing-history', '{ nope');
+
+    expect(loadHistory()).toEqual({ searches: [], opened: [] });
+  });
+});
@@ -0,0 +1,84 @@
+export const MAX_SEEDS = 5;
+const FAVORITE_GENRES = 3;
+const GENRE_BONUS = 0.25;
+// ✅ What it does: Tunes how picks are chosen
+// 🧠 What to know: A genre bonus of 0.25 is a quarter of what the newest seed's top recommendation scores
+// ❓ Why we used it: Genres nudge the order; the movies you looked at decide it
+
+export const pickSeeds = (history, limit = MAX_SEEDS) => {
+  const seeds = [
+    ...history.opened.map((movie) => ({
+      movie,
+      at: movie.at,
+      reason: { key: 'forYou.becauseOpened', values: { title: movie.title } },
+    })),
+    ...history.searches.map(({ term, movie, at }) => ({
+      movie,
+      at,
+      reason: { key: 'forYou.becauseSearched', values: { term } },
+    })),
+  ].sort((a, b) => b.at.localeCompare(a.at));
+
+  const seen = new Set();
+  return seeds
+    .filter((seed) => !seen.has(seed.movie.id) && seen.add(seed.movie.id))
+    .slice(0, limit)
+    .map((seed, index) => ({ ...seed, weight: 1 / (1 + index / 2) }));
+};
+// ✅ What it does: Picks the most recent searched or opened movies to recommend from
+// 🧠 What to know: Each movie is used once, with the reason of its latest use; older seeds weigh less
+// ❓ Why we used it: Recent interest matters more than something opened weeks ago
+
+export const getFavoriteGenres = (history) => {
+  const counts = new Map();
+  [...history.opened, ...history.searches.map((search) => search.movie)].forEach((movie) => {
+    movie.genre_ids.forEach((id) => counts.set(id, (counts.get(id) ?? 0) + 1));
+  });
+
+  return [...counts]
+    .filter(([, count]) => count > 1)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, FAVORITE_GENRES)
+    .map(([id]) => id);
+};
+// ✅ What it does: Lists the genre IDs that come up most in the history, most frequent first
+// 🧠 What to know: A genre seen only once isn't a favorite yet
+// ❓ Why we used it: Boosts picks in those genres and fills the row when recommendations run short
+
+export const rankRecommendations = (seedResults, favoriteGenres = []) => {
+  const seedIds = new Set(seedResults.map(({ seed }) => seed.movie.id));
+  const picks = new Map();
+
+  seedResults.forEach(({ seed, results }) => {
+    results.forEach((movie, rank) => {
+      if (seedIds.has(movie.id)) return;
+
+      const score = seed.weight * (1 - rank / results.length);
+      const pick = picks.get(movie.id) ?? { movie, score: 0, best: 0, reason: seed.reason };
+      pick.score += score;
+      if (score > pick.best) {
+        pick.best = score;
+        pick.reason = seed.reason;
+      }
+      picks.set(movie.id, pick);
+    });
+  });
+
+  const bonus = (movie) => GENRE_BONUS * (movie.genre_ids ?? []).filter((id) => favoriteGenres.includes(id)).length;
+
+  return [...picks.values()]
+    .map((pick) => ({ ...pick, score: pick.score + bonus(pick.movie) }))
+    .sort((a, b) => b.score - a.score)
+    .map(({ movie, reason }) => ({ movie, reason }));
+};
+// ✅ What it does: Merges TMDB recommendations for every seed into one ranked list
+// 🧠 What to know: seedResults is [{ seed, results }]; a movie recommended by several seeds adds up, and its reason is the seed that ranked it highest
+// ❓ Why we used it: So each pick can explain itself, e.g. "because you searched Inception"
+
+export const appendPicks = (picks, movies, reason) => {
+  const ids = new Set(picks.map(({ movie }) => movie.id));
+  return [...picks, ...movies.filter((movie) => !ids.has(movie.id)).map((movie) => ({ movie, reason }))];
+};
+// ✅ What it does: Adds extra movies after the ranked picks, skipping ones already there
+// 🧠 What to know: Used for popular movies in a favorite genre
+// ❓ Why we used it: A short history can leave the row half empty
@@ -0,0 +1,80 @@
+import { describe, expect, it } from 'vitest';
+import { appendPicks, getFavoriteGenres, pickSeeds, rankRecommendations } from './recommend.js';
+
+const movie = (id, genre_ids = []) => ({ id, title: `Movie ${id}`, genre_ids });
+
+const history = {
+  searches: [
+    { term: 'inception', movie: movie(1, [28, 878]), at: '2026-10-03T10:00:00.000Z' },
+    { term: 'heat', movie: movie(2, [28, 80]), at: '2026-10-01T10:00:00.000Z' },
+  ],
+  opened: [
+    { ...movie(3, [878]), at: '2026-10-02T10:00:00.000Z' },
+    { ...movie(1, [28, 878]), at: '2026-09-30T10:00:00.000Z' },
+  ],
+};
+
+describe('pickSeeds', () => {
+  it('orders searched and opened movies by recency, once each', () => {
+    const seeds = pickSeeds(history);
+
+    expect(seeds.map((seed) => seed.movie.id)).toEqual([1, 3, 2]);
+    expect(seeds[0].reason).toEqual({ key: 'forYou.becauseSearched', values: { term: 'inception' } });
+    expect(seeds[1].reason).toEqual({ key: 'forYou.becauseOpened', values: { title: 'Movie 3' } });
+    expect(seeds.map((seed) => seed.weight)).toEqual([1, 1 / 1.5, 1 / 2]);
+  });
+
+  it('keeps only the newest seeds', () => {
+    expect(pickSeeds(history, 2).map((seed) => seed.movie.id)).toEqual([1, 3]);
+  });
+});
+
+describe('getFavoriteGenres', () => {
+  it('lists genres seen more than once, most frequent first', () => {
+    expect(getFavoriteGenres(history)).toEqual([878, 28]);
+  });
+
+  it('returns nothing without history', () => {
+    expect(getFavoriteGenres({ searches: [], opened: [] })).toEqual([]);
+  });
+});
+
+describe('rankRecommendations', () => {
+  const [first, second] = pickSeeds(history);
+
+  it('adds up scores across seeds and explains each pick with its strongest seed', () => {
+    const picks = rankRecommendations([
+      { seed: first, results: [movie(10), movie(11)] },
+      { seed: second, results: [movie(11), movie(12)] },
+    ]);
+
+    expect(picks.map((pick) => pick.movie.id)).toEqual([11, 10, 12]);
+    expect(picks[0].reason).toBe(second.reason);
+    expect(picks[1].reason).toBe(first.reason);
+  });
+
+  it('skips the seed movies themselves', () => {
+    const picks = rankRecommendations([{ seed: first, results: [movie(3), movie(10)] }, { seed: second, results: [] }]);
+
+    expect(picks.map((pick) => pick.movie.id)).toEqual([10]);
+  });
+
+  it('moves movies in favorite genres up', () => {
+    const results = [movie(10, [35]), movie(11, [28, 878]), movie(12), movie(13)];
+    const picks = rankRecommendations([{ seed: first, results }], [878, 28]);
+
+    expect(picks.map((pick) => pick.movie.id)).toEqual([11, 10, 12, 13]);
+  });
+});
+
+describe('appendPicks', () => {
+  it('adds new movies after the ranked picks', () => {
+    const reason = { key: 'forYou.becauseGenre', values: { genre: 'Action' } };
+    const picks = appendPicks([{ movie: movie(10), reason: null }], [movie(10), movie(20)], reason);
+
+    expect(picks).toEqual([
+      { movie: movie(10), reason: null },
+      { movie: movie(20), reason },
+    ]);
+  });
+});
@@ -0,0 +1,93 @@
+import { useEffect, useState } from 'react';
+import { getErrorMessage, tmdbFetch } from '../tmdb.js';
+import { useI18n } from '../i18n/I18nContext.js';
+import { useLists } from '../lists/ListsContext.js';
+import { loadHistory } from './history.js';
+import { appendPicks, getFavoriteGenres, pickSeeds, rankRecommendations } from './recommend.js';
+
+export const FOR_YOU_COUNT = 10;
+const RECOMMENDATIONS_TTL = 6 * 60 * 60 * 1000;
+const GENRES_TTL = 24 * 60 * 60 * 1000;
+// ✅ What it does: How many picks the row shows and how long TMDB answers stay cached
+// 🧠 What to know: TMDB recommendations change slowly; the genre list almost never
+// ❓ Why we used it: Going back to the home page shouldn't refetch the whole row
+
+const fetchResults = (path, options) =>
+  tmdbFetch(path, options)
+    .then((data) => data.results || [])
+    .catch((error) => {
+      if (error.name === 'AbortError') throw error;
+      console.log(`Error fetching recommendations: ${error}`);
+      return null;
+    });
+// ✅ What it does: Fetches one list of movies, or null if that request failed
+// 🧠 What to know: Only aborts are passed on
+// ❓ Why we used it: One removed movie shouldn't empty the whole row
+
+export const useRecommendations = () => {
+  const { tmdbLanguage, region } = useI18n();
+  const { lists } = useLists();
+  const [history] = useState(loadHistory);
+  const [seeds] = useState(() => pickSeeds(history));
+  const [state, setState] = useState({ picks: [], isLoading: seeds.length > 0, errorMessage: '' });
+
+  useEffect(() => {
+    if (seeds.length === 0) return;
+    const controller = new AbortController();
+    const options = { signal: controller.signal, ttl: RECOMMENDATIONS_TTL };
+    const favoriteGenres = getFavoriteGenres(history);
+
+    const loadPicks = async () => {
+      setState((previous) => ({ ...previous, isLoading: true, errorMessage: '' }));
+
+      try {
+        const [genreResults, genreData, ...seedResults] = await Promise.all([
+          favoriteGenres.length > 0
+            ? fetchResults('/discover/movie', { ...options, params: { with_genres: favoriteGenres[0], sort_by: 'popularity.desc' } })
+            : [],
+          tmdbFetch('/genre/movie/list', { signal: controller.signal, ttl: GENRES_TTL }).catch(() => ({ genres: [] })),
+          ...seeds.map((seed) => fetchResults(`/movie/${seed.movie.id}/recommendations`, options)),
+        ]);
+        if (seedResults.every((results) => results === null)) {
+          setState({ picks: [], isLoading: false, errorMessage: 'errors.recommendations' });
+          return;
+        }
+
+        const genre = genreData.genres?.find(({ id }) => id === favoriteGenres[0]);
+        const ranked = rankRecommendations(
+          seeds.map((seed, index) => ({ seed, results: seedResults[index] ?? [] })),
+          favoriteGenres
+        );
+        setState({
+          picks: genre ? appendPicks(ranked, genreResults ?? [], { key: 'forYou.becauseGenre', values: { genre: genre.name } }) : ranked,
+          isLoading: false,
+          errorMessage: '',
+        });
+      } catch (error) {
+        if (error.name === 'AbortError') return;
+        console.log(`Error fetching recommendations: ${error}`);
+        setState({ picks: [], isLoading: false, errorMessage: getErrorMessage(error, 'errors.recommendations') });
+      }
+    };
+
+    loadPicks();
+
+    return () => controller.abort();
+  }, [history, seeds, tmdbLanguage, region]);
+  // ✅ What it does: Loads recommendations for each seed, plus popular movies in the favorite genre
+  // 🧠 What to know: Reloads when the language changes so titles come back translated
+  // ❓ Why we used it: The row is built once per visit to the home page
+
+  const seedIds = new Set(seeds.map((seed) => seed.movie.id));
+  const picks = state.picks
+    .filter(({ movie }) => !seedIds.has(movie.id) && !lists.watched[movie.id] && !lists.watchlist[movie.id])
+    .slice(0, FOR_YOU_COUNT);
+  // ✅ What it does: Drops movies already seen, on the watchlist, or that the history started from
+  // 🧠 What to know: Runs on every render, so adding a pick to a list removes it straight away
+  // ❓ Why we used it: Recommending something you already know about is wasted space
+
+  return { ...state, picks, hasHistory: seeds.length > 0 };
+};
+// ✅ What it does: Builds the "For you" picks from this device's history
+// 🧠 What to know: Each pick is { movie, reason } where reason is a message key and its values
+// ❓ Why we used it: Keeps fetching and ranking out of the component
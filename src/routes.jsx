@@ -0,0 +1,37 @@
+import { Navigate } from 'react-router'
+import App from './App.jsx'
+import Home from './pages/Home.jsx'
+import Movie from './pages/Movie.jsx'
+import Person from './pages/Person.jsx'
+import Trending from './pages/Trending.jsx'
+import MyList from './pages/MyList.jsx'
+import Account from './pages/Account.jsx'
+import Settings from './pages/Settings.jsx'
+import Analytics from './pages/Analytics.jsx'
+import CustomLists from './pages/CustomLists.jsx'
+import CustomList from './pages/CustomList.jsx'
+import SharedList from './pages/SharedList.jsx'
+
+// Shared by the browser router in main.jsx and the memory router in tests
+export const routes = [
+  {
+    path: '/',
+    element: <App />,
+    children: [
+      { index: true, element: <Home /> },
+      { path: 'search', element: <Home /> },
+      { path: 'movie/:id', element: <Movie /> },
+      { path: 'person/:id', element: <Person /> },
+      { path: 'trending', element: <Trending /> },
+      { path: 'watchlist', element: <MyList key="watchlist" list="watchlist" /> },
+      { path: 'watched', element: <MyList key="watched" list="watched" /> },
+      { path: 'lists', element: <CustomLists /> },
+      { path: 'lists/:id', element: <CustomList /> },
+      { path: 'shared', element: <SharedList /> },
+      { path: 'account', element: <Account /> },
+      { path: 'settings', element: <Settings /> },
+      { path: 'analytics', element: <Analytics /> },
+      { path: '*', element: <Navigate to="/" replace /> },
+    ],
+  },
+]
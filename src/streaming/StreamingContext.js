@@ -0,0 +1,11 @@
+import { createContext, useContext } from 'react';
+
+export const StreamingContext = createContext(null);
+
+export const useStreaming = () => {
+  const context = useContext(StreamingContext);
+  if (!context) {
+    throw new Error('useStreaming must be used inside <StreamingProvider>');
+  }
+  return context;
+};
@@ -0,0 +1,28 @@
+import React, { useEffect, useState } from 'react'
+import { StreamingContext } from './StreamingContext.js'
+import { loadServices, saveServices, toService } from './storage.js'
+
+const StreamingProvider = ({ children }) => {
+  const [services, setServices] = useState(loadServices);
+
+  useEffect(() => {
+    saveServices(services);
+  }, [services]);
+
+  const isMyService = (providerId) => services.some((service) => service.provider_id === providerId);
+
+  const toggleService = (provider) =>
+    setServices((previous) =>
+      previous.some((service) => service.provider_id === provider.provider_id)
+        ? previous.filter((service) => service.provider_id !== provider.provider_id)
+        : [...previous, toService(provider)]
+    );
+
+  return (
+    <StreamingContext.Provider value={{ services, isMyService, toggleService }}>
+      {children}
+    </StreamingContext.Provider>
+  )
+}
+
+export default StreamingProvider
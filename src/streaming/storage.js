@@ -0,0 +1,38 @@
+const STORAGE_KEY = 'streaming-services';
+// ✅ What it does: Where the user's streaming services are saved
+// 🧠 What to know: Stored in localStorage on this device
+// ❓ Why we used it: So ticked services are still there next visit
+
+export const PROVIDER_TYPES = ['flatrate', 'rent', 'buy'];
+// ✅ What it does: The kinds of availability TMDB reports
+// 🧠 What to know: flatrate = included in a subscription
+// ❓ Why we used it: Cards and the detail view show them in this order
+
+export const toService = (provider) => ({
+  provider_id: provider.provider_id,
+  provider_name: provider.provider_name,
+  logo_path: provider.logo_path ?? null,
+});
+// ✅ What it does: Keeps only the provider fields we show
+// 🧠 What to know: TMDB also sends display priorities per region
+// ❓ Why we used it: Keeps the saved list small
+
+export const loadServices = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(saved) ? saved : [];
+  } catch {
+    return [];
+  }
+};
+
+export const saveServices = (services) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(services));
+  } catch (error) {
+    console.log(error);
+  }
+};
+// ✅ What it does: Reads and writes the ticked services
+// 🧠 What to know: Provider IDs are the same in every region
+// ❓ Why we used it: Services survive reloads and region changes
@@ -0,0 +1,74 @@
+import { useEffect, useState } from 'react';
+import { tmdbFetch } from '../tmdb.js';
+import { useI18n } from '../i18n/I18nContext.js';
+
+const PROVIDERS_TTL = 6 * 60 * 60 * 1000;
+// ✅ What it does: How long a movie's availability stays cached
+// 🧠 What to know: TMDB refreshes provider data about once a day
+// ❓ Why we used it: Scrolling back through the grid doesn't refetch every card
+
+const MAX_CONCURRENT = 4;
+const queue = [];
+let active = 0;
+
+const runNext = () => {
+  while (active < MAX_CONCURRENT && queue.length > 0) {
+    const task = queue.shift();
+    if (task.signal.aborted) {
+      task.reject(task.signal.reason);
+      continue;
+    }
+
+    active += 1;
+    task.run().then(task.resolve, task.reject).finally(() => {
+      active -= 1;
+      runNext();
+    });
+  }
+};
+
+const enqueue = (run, signal) =>
+  new Promise((resolve, reject) => {
+    queue.push({ run, signal, resolve, reject });
+    runNext();
+  });
+// ✅ What it does: Runs at most MAX_CONCURRENT provider requests at a time
+// 🧠 What to know: Requests whose card went away before their turn are dropped, not sent
+// ❓ Why we used it: A long filmography or "load more" shouldn't fire dozens of requests at once and hit TMDB's rate limit
+
+export const useWatchProviders = (movieId, targetRef) => {
+  const { region } = useI18n();
+  const [isVisible, setIsVisible] = useState(false);
+  const [availability, setAvailability] = useState({ movieId: null, results: {} });
+
+  useEffect(() => {
+    const target = targetRef.current;
+    if (!target || isVisible) return;
+
+    const observer = new IntersectionObserver(
+      ([entry]) => entry.isIntersecting && setIsVisible(true),
+      { rootMargin: '200px' }
+    );
+    observer.observe(target);
+
+    return () => observer.disconnect();
+  }, [targetRef, isVisible]);
+
+  useEffect(() => {
+    if (!isVisible) return;
+    const controller = new AbortController();
+
+    enqueue(() => tmdbFetch(`/movie/${movieId}/watch/providers`, { signal: controller.signal, ttl: PROVIDERS_TTL }), controller.signal)
+      .then((data) => setAvailability({ movieId, results: data.results || {} }))
+      .catch((error) => {
+        if (error.name !== 'AbortError') console.log(`Error fetching watch providers: ${error}`);
+      });
+
+    return () => controller.abort();
+  }, [movieId, isVisible]);
+
+  return availability.movieId === movieId ? availability.results[region] : undefined;
+};
+// ✅ What it does: Loads where one movie can be streamed, rented or bought, once its card is near the screen
+// 🧠 What to know: targetRef is the card; TMDB returns every region at once, so switching region needs no new request
+// ❓ Why we used it: Grid results don't include availability, so each visible card asks for its own
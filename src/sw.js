@@ -0,0 +1,61 @@
+import { clientsClaim } from 'workbox-core';
+import { cleanupOutdatedCaches, createHandlerBoundToURL, precacheAndRoute } from 'workbox-precaching';
+import { NavigationRoute, registerRoute } from 'workbox-routing';
+import { CacheFirst, NetworkFirst } from 'workbox-strategies';
+import { ExpirationPlugin } from 'workbox-expiration';
+import { CacheableResponsePlugin } from 'workbox-cacheable-response';
+// ✅ What it does: Imports the Workbox building blocks
+// 🧠 What to know: vite-plugin-pwa bundles this file into dist/sw.js
+// ❓ Why we used it: Workbox handles cache versioning and cleanup for us
+
+const POSTER_CACHE_LIMIT = 300;
+const RESULTS_CACHE_LIMIT = 50;
+const POSTER_MAX_AGE = 30 * 24 * 60 * 60;
+// ✅ What it does: Caps how much the runtime caches can hold
+// 🧠 What to know: When a cache is full the least recently used entry goes first; max age is in seconds
+// ❓ Why we used it: Posters add up fast and we don't want to eat the user's storage
+
+self.skipWaiting();
+clientsClaim();
+// ✅ What it does: Activates a new service worker straight away
+// 🧠 What to know: Matches registerType: 'autoUpdate' in vite.config.js
+// ❓ Why we used it: So a new deploy doesn't wait for every tab to close
+
+precacheAndRoute(self.__WB_MANIFEST);
+cleanupOutdatedCaches();
+// ✅ What it does: Precaches the built app shell and everything in public/
+// 🧠 What to know: self.__WB_MANIFEST is replaced with the file list (and hashes) at build time
+// ❓ Why we used it: So the app, no-movie.png, star.svg and hero.png load with no network
+
+registerRoute(new NavigationRoute(createHandlerBoundToURL('index.html')));
+// ✅ What it does: Answers every page navigation with the cached index.html
+// 🧠 What to know: React Router takes over from there, like on a normal load
+// ❓ Why we used it: So /movie/123 or /search?q=… open offline too
+
+registerRoute(
+  ({ url }) => url.origin === 'https://image.tmdb.org',
+  new CacheFirst({
+    cacheName: 'tmdb-images',
+    plugins: [
+      new CacheableResponsePlugin({ statuses: [200] }),
+      new ExpirationPlugin({ maxEntries: POSTER_CACHE_LIMIT, maxAgeSeconds: POSTER_MAX_AGE, purgeOnQuotaError: true }),
+    ],
+  })
+);
+// ✅ What it does: Keeps posters and photos we've already shown
+// 🧠 What to know: Images load with crossOrigin="anonymous", so only real 200 responses are cached
+// ❓ Why we used it: Poster URLs never change, so the cached copy is always right
+
+registerRoute(
+  ({ url }) => url.origin === 'https://api.themoviedb.org' && /^\/3\/(discover|search)\//.test(url.pathname),
+  new NetworkFirst({
+    cacheName: 'tmdb-results',
+    plugins: [
+      new CacheableResponsePlugin({ statuses: [200] }),
+      new ExpirationPlugin({ maxEntries: RESULTS_CACHE_LIMIT, purgeOnQuotaError: true }),
+    ],
+  })
+);
+// ✅ What it does: Saves the last successful discover and search responses
+// 🧠 What to know: Online we always ask TMDB first; the cache is only used when that fails
+// ❓ Why we used it: So the grid still shows the last results when the network is gone
@@ -0,0 +1,158 @@
+import { http, HttpResponse } from 'msw';
+
+export const APPWRITE_ENDPOINT = import.meta.env.VITE_APPWRITE_ENDPOINT;
+
+// In-memory stand-in for the Appwrite collections the app uses, keyed by collection id
+const collections = new Map();
+const readLabels = new Map();
+const accounts = new Map();
+let session = null;
+
+const getCollection = (collectionId) => {
+  if (!collections.has(collectionId)) collections.set(collectionId, new Map());
+  return collections.get(collectionId);
+};
+
+export const resetAppwrite = () => {
+  collections.clear();
+  readLabels.clear();
+  accounts.clear();
+  session = null;
+};
+
+// Starts the test signed in, e.g. signIn({ $id: 'admin', email: 'a@b.c', labels: ['admin'] })
+export const signIn = (user) => {
+  session = user;
+};
+
+export const getSession = () => session;
+
+// Registers an email/password account the login form can sign in to
+export const addAccount = (user, password) => {
+  accounts.set(user.email, { user, password });
+};
+
+// Mirrors a collection whose Read permission is label:<label>, e.g. restrictReads('search-events', 'admin')
+export const restrictReads = (collectionId, label) => {
+  readLabels.set(collectionId, label);
+};
+
+export const seedDocuments = (collectionId, documents) => {
+  const collection = getCollection(collectionId);
+  documents.forEach((document) => {
+    const $id = document.$id ?? `doc_${collection.size + 1}`;
+    collection.set($id, { $createdAt: new Date().toISOString(), ...document, $id });
+  });
+};
+
+export const getDocuments = (collectionId) => [...getCollection(collectionId).values()];
+
+const appwriteError = (code, type, message) => HttpResponse.json({ message, code, type }, { status: code });
+
+// Appwrite sends each query as a JSON string in queries[0], queries[1]...
+const readQueries = (url) =>
+  [...url.searchParams.entries()]
+    .filter(([key]) => key.startsWith('queries['))
+    .map(([, value]) => JSON.parse(value));
+
+const compare = (attribute, direction) => (a, b) =>
+  a[attribute] < b[attribute] ? -direction : a[attribute] > b[attribute] ? direction : 0;
+
+const applyQueries = (documents, queries) => {
+  let result = [...documents];
+  let limit = 25;
+  let cursor = null;
+
+  queries.forEach(({ method, attribute, values }) => {
+    switch (method) {
+      case 'equal':
+        result = result.filter((doc) => values.includes(doc[attribute]));
+        break;
+      case 'greaterThanEqual':
+        result = result.filter((doc) => doc[attribute] >= values[0]);
+        break;
+      case 'orderAsc':
+        result.sort(compare(attribute, 1));
+        break;
+      case 'orderDesc':
+        result.sort(compare(attribute, -1));
+        break;
+      case 'limit':
+        limit = values[0];
+        break;
+      case 'cursorAfter':
+        cursor = values[0];
+        break;
+      default:
+        throw new Error(`Unsupported Appwrite query in tests: ${method}`);
+    }
+  });
+
+  if (cursor) result = result.slice(result.findIndex((doc) => doc.$id === cursor) + 1);
+  return result.slice(0, limit);
+};
+
+const DOCUMENTS = `${APPWRITE_ENDPOINT}/databases/:databaseId/collections/:collectionId/documents`;
+
+export const appwriteHandlers = [
+  http.get(`${APPWRITE_ENDPOINT}/account`, () =>
+    session ? HttpResponse.json(session) : appwriteError(401, 'general_unauthorized_scope', 'Unauthorized')
+  ),
+
+  http.post(`${APPWRITE_ENDPOINT}/account/sessions/anonymous`, () => {
+    session = { $id: 'anonymous-user', name: '', email: '' };
+    return HttpResponse.json({ $id: 'session', userId: session.$id }, { status: 201 });
+  }),
+
+  http.post(`${APPWRITE_ENDPOINT}/account/sessions/email`, async ({ request }) => {
+    if (session) {
+      return appwriteError(401, 'user_session_already_exists', 'Creation of a session is prohibited when a session is active.');
+    }
+
+    const { email, password } = await request.json();
+    const registered = accounts.get(email);
+    if (registered?.password !== password) {
+      return appwriteError(401, 'user_invalid_credentials', 'Invalid credentials. Please check the email and password.');
+    }
+
+    session = registered.user;
+    return HttpResponse.json({ $id: 'session', userId: session.$id }, { status: 201 });
+  }),
+
+  http.delete(`${APPWRITE_ENDPOINT}/account/sessions/current`, () => {
+    session = null;
+    return new HttpResponse(null, { status: 204 });
+  }),
+
+  http.get(DOCUMENTS, ({ params, request }) => {
+    const label = readLabels.get(params.collectionId);
+    if (label && !session?.labels?.includes(label)) {
+      return appwriteError(401, 'user_unauthorized', 'The current user is not authorized to perform the requested action.');
+    }
+
+    const documents = applyQueries(getDocuments(params.collectionId), readQueries(new URL(request.url)));
+    return HttpResponse.json({ total: documents.length, documents });
+  }),
+
+  http.post(DOCUMENTS, async ({ params, request }) => {
+    const { documentId, data } = await request.json();
+    const collection = getCollection(params.collectionId);
+    if (collection.has(documentId)) {
+      return appwriteError(409, 'document_already_exists', 'Document with the requested ID already exists.');
+    }
+
+    seedDocuments(params.collectionId, [{ ...data, $id: documentId }]);
+    return HttpResponse.json(collection.get(documentId), { status: 201 });
+  }),
+
+  http.patch(`${DOCUMENTS}/:documentId/:attribute/increment`, async ({ params, request }) => {
+    const { value = 1 } = await request.json();
+    const document = getCollection(params.collectionId).get(params.documentId);
+    if (!document) {
+      return appwriteError(404, 'document_not_found', 'Document with the requested ID could not be found.');
+    }
+
+    document[params.attribute] = (document[params.attribute] ?? 0) + value;
+    return HttpResponse.json(document);
+  }),
+];
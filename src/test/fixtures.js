@@ -0,0 +1,46 @@
+// Small TMDB-shaped records; only the fields the UI reads are filled in
+
+export const movies = [
+  {
+    id: 101,
+    title: 'Inception',
+    poster_path: '/inception.jpg',
+    vote_average: 8.4,
+    release_date: '2010-07-15',
+    original_language: 'en',
+    genre_ids: [28, 878],
+  },
+  {
+    id: 102,
+    title: 'Interstellar',
+    poster_path: '/interstellar.jpg',
+    vote_average: 8.6,
+    release_date: '2014-11-05',
+    original_language: 'en',
+    genre_ids: [12, 878],
+  },
+  {
+    id: 103,
+    title: 'Parasite',
+    poster_path: '/parasite.jpg',
+    vote_average: 8.5,
+    release_date: '2019-05-30',
+    original_language: 'ko',
+    genre_ids: [35, 53],
+  },
+];
+
+export const genres = [
+  { id: 12, name: 'Adventure' },
+  { id: 28, name: 'Action' },
+  { id: 35, name: 'Comedy' },
+  { id: 53, name: 'Thriller' },
+  { id: 878, name: 'Science Fiction' },
+];
+
+export const page = (results, { page = 1, totalPages = 1 } = {}) => ({
+  page,
+  results,
+  total_pages: totalPages,
+  total_results: results.length,
+});
@@ -0,0 +1,51 @@
+import { render } from '@testing-library/react'
+import { createMemoryRouter, RouterProvider } from 'react-router'
+import { routes } from '../routes.jsx'
+import ListsProvider from '../lists/ListsProvider.jsx'
+import AuthProvider from '../auth/AuthProvider.jsx'
+import { AuthContext } from '../auth/AuthContext.js'
+import I18nProvider from '../i18n/I18nProvider.jsx'
+import StreamingProvider from '../streaming/StreamingProvider.jsx'
+import CustomListsProvider from '../customLists/CustomListsProvider.jsx'
+
+const signedOut = {
+  user: null,
+  isLoading: false,
+  errorMessage: '',
+  isAuthEnabled: false,
+  isAnonymous: false,
+  canViewAnalytics: false,
+}
+
+const AppProviders = ({ children }) => (
+  <I18nProvider>
+    <AuthProvider>
+      <ListsProvider>
+        <CustomListsProvider>
+          <StreamingProvider>{children}</StreamingProvider>
+        </CustomListsProvider>
+      </ListsProvider>
+    </AuthProvider>
+  </I18nProvider>
+)
+
+// Components on their own skip the Appwrite session, so nothing is left loading after the test
+const ComponentProviders = ({ children }) => (
+  <I18nProvider>
+    <AuthContext.Provider value={signedOut}>
+      <ListsProvider>
+        <CustomListsProvider>
+          <StreamingProvider>{children}</StreamingProvider>
+        </CustomListsProvider>
+      </ListsProvider>
+    </AuthContext.Provider>
+  </I18nProvider>
+)
+
+// Renders the whole app, with the same providers and routes as main.jsx, starting at `url`
+export const renderApp = (url = '/') => {
+  const router = createMemoryRouter(routes, { initialEntries: [url] })
+  return { router, ...render(<RouterProvider router={router} />, { wrapper: AppProviders }) }
+}
+
+export const renderWithProviders = (ui) => render(ui, { wrapper: ComponentProviders })
@@ -0,0 +1,6 @@
+import { setupServer } from 'msw/node';
+import { appwriteHandlers } from './appwriteMock.js';
+import { tmdbHandlers } from './tmdbMock.js';
+
+// Answers TMDB and Appwrite requests locally; tests add one-off handlers with server.use()
+export const server = setupServer(...tmdbHandlers, ...appwriteHandlers);
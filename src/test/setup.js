@@ -0,0 +1,34 @@
+import '@testing-library/jest-dom/vitest';
+import { cleanup } from '@testing-library/react';
+import { afterAll, afterEach, beforeAll } from 'vitest';
+import { clearTmdbCache } from '../tmdb.js';
+import { resetAppwrite } from './appwriteMock.js';
+import { server } from './server.js';
+
+// Anything not mocked fails the test instead of reaching the network
+beforeAll(() => server.listen({ onUnhandledRequest: 'error' }));
+
+afterEach(() => {
+  cleanup();
+  server.resetHandlers();
+  server.events.removeAllListeners();
+  resetAppwrite();
+  clearTmdbCache();
+  localStorage.clear();
+  sessionStorage.clear();
+});
+
+afterAll(() => server.close());
+
+// jsdom has no layout, so nothing ever scrolls into view
+globalThis.IntersectionObserver = class {
+  observe() {}
+  unobserve() {}
+  disconnect() {}
+};
+
+window.scrollTo = () => {};
+
+// jsdom can't make object URLs; tests that download files spy on these
+URL.createObjectURL = () => 'blob:test';
+URL.revokeObjectURL = () => {};
@@ -0,0 +1,29 @@
+import { http, HttpResponse } from 'msw';
+import { API_BASE_URL } from '../tmdb.js';
+import { genres, movies, page } from './fixtures.js';
+
+// Every TMDB URL the app calls, relative to API_BASE_URL
+export const tmdbUrl = (path) => `${API_BASE_URL}${path}`;
+
+export const tmdbError = (status, message = 'Request failed') =>
+  HttpResponse.json({ success: false, status_message: message }, { status });
+
+export const tmdbHandlers = [
+  http.get(tmdbUrl('/discover/movie'), () => HttpResponse.json(page(movies))),
+
+  http.get(tmdbUrl('/search/movie'), ({ request }) => {
+    const query = new URL(request.url).searchParams.get('query').toLowerCase();
+    return HttpResponse.json(page(movies.filter((movie) => movie.title.toLowerCase().includes(query))));
+  }),
+
+  http.get(tmdbUrl('/search/person'), () => HttpResponse.json(page([]))),
+  http.get(tmdbUrl('/search/multi'), () => HttpResponse.json(page([]))),
+  http.get(tmdbUrl('/search/collection'), () => HttpResponse.json(page([]))),
+  http.get(tmdbUrl('/movie/:id'), ({ params }) => {
+    const movie = movies.find(({ id }) => id === Number(params.id));
+    return movie ? HttpResponse.json({ ...movie, genres: [], runtime: 120 }) : tmdbError(404, 'Not found');
+  }),
+  http.get(tmdbUrl('/movie/:id/recommendations'), () => HttpResponse.json(page([]))),
+  http.get(tmdbUrl('/genre/movie/list'), () => HttpResponse.json({ genres })),
+  http.get(tmdbUrl('/movie/:id/watch/providers'), ({ params }) => HttpResponse.json({ id: Number(params.id), results: {} })),
+];
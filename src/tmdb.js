@@ -0,0 +1,242 @@
+import { config } from './config.js';
+
+export const API_BASE_URL = 'https://api.themoviedb.org/3';
+// ✅ What it does: Sets the base TMDB API URL
+// 🧠 What to know: Reused in all TMDB requests
+// ❓ Why we used it: To avoid repeating the base URL in every fetch
+
+const API_KEY = config.tmdbApiKey;
+// ✅ What it does: Reads the API key checked by config.js
+// 🧠 What to know: The app shows the setup screen instead of calling TMDB when it's missing
+// ❓ Why we used it: To keep the API key secure and hidden from public code
+
+export const API_OPTIONS = {
+  method: 'GET',
+  headers: {
+    accept: 'application/json',
+    Authorization: `Bearer ${API_KEY}`
+    // ✅ What it does: Sets headers for TMDB API request
+    // 🧠 What to know: Authorization is required by TMDB
+    // ❓ Why we used it: TMDB blocks requests without proper headers
+  }
+};
+
+export const IMAGE_BASE_URL = 'https://image.tmdb.org/t/p';
+// ✅ What it does: Base URL for TMDB posters, backdrops and profile photos
+// 🧠 What to know: A size bucket (w185, w500, original...) goes between this and the file path
+// ❓ Why we used it: So every component builds image URLs the same way
+
+const DEFAULT_TTL = 5 * 60 * 1000;
+const MAX_RETRIES = 3;
+const BASE_RETRY_DELAY = 500;
+const MAX_RETRY_DELAY = 30 * 1000;
+const STORAGE_PREFIX = 'tmdb:';
+// ✅ What it does: Tunes caching and retries
+// 🧠 What to know: Times are in milliseconds
+// ❓ Why we used it: One place to change how long results stay fresh and how hard we retry
+
+export class TmdbError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'TmdbError';
+    this.status = status;
+  }
+}
+export class RateLimitError extends TmdbError {
+  constructor(status = 429) {
+    super('Rate limited by TMDB', status);
+    this.name = 'RateLimitError';
+  }
+}
+export class OfflineError extends TmdbError {
+  constructor() {
+    super('No network connection');
+    this.name = 'OfflineError';
+  }
+}
+export class NotFoundError extends TmdbError {
+  constructor() {
+    super('Not found on TMDB', 404);
+    this.name = 'NotFoundError';
+  }
+}
+export class AuthError extends TmdbError {
+  constructor(status = 401) {
+    super('TMDB rejected the API key', status);
+    this.name = 'AuthError';
+  }
+}
+// ✅ What it does: Typed errors for the ways a TMDB call can fail
+// 🧠 What to know: Check with instanceof, e.g. error instanceof RateLimitError
+// ❓ Why we used it: So the UI can say "rate limited" or "offline" instead of one generic message
+
+export const getErrorMessage = (error, fallback) => {
+  if (error instanceof RateLimitError) return 'errors.rateLimited';
+  if (error instanceof OfflineError) return 'errors.offline';
+  if (error instanceof AuthError) return 'errors.apiKey';
+  if (error instanceof NotFoundError) return 'errors.notFound';
+  return fallback;
+};
+// ✅ What it does: Turns an error into a message key for the red error text
+// 🧠 What to know: Unknown errors use the fallback key the caller passes in; render it with t()
+// ❓ Why we used it: Keeps user-facing wording in the message catalogs
+
+let localeParams = {};
+
+export const setTmdbLocale = ({ language, region }) => {
+  localeParams = { language, region };
+};
+// ✅ What it does: Sets the language and region sent with every TMDB request
+// 🧠 What to know: Called by I18nProvider whenever the user switches
+// ❓ Why we used it: So titles, overviews and posters come back localized
+
+const memoryCache = new Map();
+// ✅ What it does: Stores responses in memory, keyed by request URL
+// 🧠 What to know: Cleared on reload; sessionStorage covers that case
+// ❓ Why we used it: Fastest way to reuse results when going back and forth
+
+const readCache = (url) => {
+  let entry = memoryCache.get(url);
+  if (!entry) {
+    try {
+      entry = JSON.parse(sessionStorage.getItem(STORAGE_PREFIX + url));
+      if (entry) memoryCache.set(url, entry);
+    } catch {
+      entry = null;
+    }
+  }
+  if (entry && entry.expires > Date.now()) return entry.data;
+
+  memoryCache.delete(url);
+  return undefined;
+};
+
+const writeCache = (url, data, ttl) => {
+  const entry = { expires: Date.now() + ttl, data };
+  memoryCache.set(url, entry);
+  try {
+    sessionStorage.setItem(STORAGE_PREFIX + url, JSON.stringify(entry));
+  } catch {
+    // Storage full or blocked - the memory cache still works
+  }
+};
+// ✅ What it does: Reads and writes the two cache layers
+// 🧠 What to know: Expired entries are treated as missing
+// ❓ Why we used it: So a reload in the same tab doesn't hit TMDB again
+
+export const clearTmdbCache = () => {
+  memoryCache.clear();
+  try {
+    Object.keys(sessionStorage)
+      .filter((key) => key.startsWith(STORAGE_PREFIX))
+      .forEach((key) => sessionStorage.removeItem(key));
+  } catch {
+    // Storage blocked - nothing was written there either
+  }
+};
+// ✅ What it does: Empties both cache layers
+// 🧠 What to know: Requests already in flight are not cancelled
+// ❓ Why we used it: So tests (and anything else) can start from fresh TMDB data
+
+const channels = new Map();
+// ✅ What it does: Remembers the running request for each channel
+// 🧠 What to know: A channel is just a name, like 'movie-list'
+// ❓ Why we used it: So a newer request can cancel the one it replaces
+
+const sleep = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal.addEventListener('abort', onAbort, { once: true });
+  });
+
+const getRetryDelay = (response, attempt) => {
+  const retryAfter = response.headers.get('Retry-After');
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    const delay = Number.isNaN(seconds) ? Date.parse(retryAfter) - Date.now() : seconds * 1000;
+    if (delay >= 0) return Math.min(delay, MAX_RETRY_DELAY);
+  }
+  return Math.min(BASE_RETRY_DELAY * 2 ** attempt, MAX_RETRY_DELAY);
+};
+// ✅ What it does: Works out how long to wait before retrying
+// 🧠 What to know: Retry-After can be seconds or an HTTP date; otherwise we back off 0.5s, 1s, 2s...
+// ❓ Why we used it: TMDB tells us how long to wait when it rate limits us
+
+const toError = (response) => {
+  if (response.status === 429) return new RateLimitError();
+  if (response.status === 401 || response.status === 403) return new AuthError(response.status);
+  if (response.status === 404) return new NotFoundError();
+  return new TmdbError(`TMDB request failed with status ${response.status}`, response.status);
+};
+
+export const tmdbFetch = async (path, { params, signal, channel, ttl = DEFAULT_TTL } = {}) => {
+  const search = new URLSearchParams(params);
+  Object.entries(localeParams).forEach(([key, value]) => {
+    if (value && !search.has(key)) search.set(key, value);
+  });
+  const query = search.toString();
+  const url = `${API_BASE_URL}${path}${query ? `?${query}` : ''}`;
+  // ✅ Builds the full request URL, which is also the cache key
+  // 🧠 params can be an object or URLSearchParams; language and region are added unless the caller set them
+  // ❓ Callers only pass the endpoint and its params, and each language gets its own cache entry
+
+  const controller = new AbortController();
+  if (channel) {
+    channels.get(channel)?.abort();
+    channels.set(channel, controller);
+  }
+
+  const cached = readCache(url);
+  if (cached !== undefined) {
+    if (channel) channels.delete(channel);
+    return cached;
+  }
+  // ✅ Cancels the previous request on the same channel before answering from the cache
+  // 🧠 A cache hit is still the newest request, so the older one must not resolve after it
+  // ❓ Otherwise going back to a cached search could be overwritten by the slower one it replaced
+
+  const followSignal = () => controller.abort(signal.reason);
+  if (signal) {
+    if (signal.aborted) controller.abort(signal.reason);
+    signal.addEventListener('abort', followSignal, { once: true });
+  }
+  // ✅ Follows the caller's signal as well as the channel
+  // 🧠 Either one aborting cancels this request; the listener is removed again in finally
+  // ❓ Stops an older, slower response from overwriting a newer one
+
+  try {
+    for (let attempt = 0; ; attempt++) {
+      let response;
+      try {
+        response = await fetch(url, { ...API_OPTIONS, signal: controller.signal });
+      } catch (error) {
+        if (error.name === 'AbortError') throw error;
+        throw navigator.onLine === false ? new OfflineError() : new TmdbError(`Network error: ${error.message}`);
+      }
+
+      if (response.ok) {
+        const data = await response.json();
+        writeCache(url, data, ttl);
+        return data;
+      }
+
+      const isRetryable = response.status === 429 || response.status >= 500;
+      if (!isRetryable || attempt >= MAX_RETRIES) throw toError(response);
+
+      await sleep(getRetryDelay(response, attempt), controller.signal);
+    }
+    // ✅ Fetches, and retries 429 and 5xx responses a few times with backoff
+    // 🧠 Other errors (401, 404...) fail straight away as typed errors
+    // ❓ Rides out short TMDB hiccups without bothering the user
+  } finally {
+    signal?.removeEventListener('abort', followSignal);
+    if (channel && channels.get(channel) === controller) channels.delete(channel);
+  }
+};
@@ -0,0 +1,173 @@
+import { delay, http, HttpResponse } from 'msw';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { API_BASE_URL, RateLimitError, TmdbError, tmdbFetch } from './tmdb.js';
+import { server } from './test/server.js';
+import { tmdbError, tmdbUrl } from './test/tmdbMock.js';
+
+const NOW = new Date('2026-10-19T12:00:00.000Z');
+
+// Answers with each response in turn, repeating the last one, and counts the requests
+const respondWith = (...responses) => {
+  const calls = { count: 0 };
+  server.use(
+    http.get(tmdbUrl('/movie/1'), () => {
+      const response = responses[Math.min(calls.count, responses.length - 1)];
+      calls.count += 1;
+      return response();
+    })
+  );
+  return calls;
+};
+
+const ok = () => HttpResponse.json({ id: 1 });
+
+describe('tmdbFetch', () => {
+  beforeEach(() => {
+    vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout', 'Date'] });
+    vi.setSystemTime(NOW);
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('retries a 429 with backoff and returns the next success', async () => {
+    const calls = respondWith(() => tmdbError(429), ok);
+
+    const request = tmdbFetch('/movie/1');
+    await vi.advanceTimersByTimeAsync(499);
+    expect(calls.count).toBe(1);
+
+    await vi.advanceTimersByTimeAsync(1);
+    expect(await request).toEqual({ id: 1 });
+    expect(calls.count).toBe(2);
+  });
+
+  it('waits as many seconds as Retry-After asks', async () => {
+    const calls = respondWith(() => HttpResponse.json({}, { status: 429, headers: { 'Retry-After': '2' } }), ok);
+
+    const request = tmdbFetch('/movie/1');
+    await vi.advanceTimersByTimeAsync(1999);
+    expect(calls.count).toBe(1);
+
+    await vi.advanceTimersByTimeAsync(1);
+    expect(await request).toEqual({ id: 1 });
+  });
+
+  it('waits until the date Retry-After gives', async () => {
+    const retryAt = new Date(NOW.getTime() + 3000).toUTCString();
+    const calls = respondWith(() => HttpResponse.json({}, { status: 503, headers: { 'Retry-After': retryAt } }), ok);
+
+    const request = tmdbFetch('/movie/1');
+    await vi.advanceTimersByTimeAsync(2999);
+    expect(calls.count).toBe(1);
+
+    await vi.advanceTimersByTimeAsync(1);
+    expect(await request).toEqual({ id: 1 });
+  });
+
+  it('gives up after three retries with a typed error', async () => {
+    const calls = respondWith(() => tmdbError(429));
+
+    const request = tmdbFetch('/movie/1');
+    const failure = expect(request).rejects.toBeInstanceOf(RateLimitError);
+    await vi.advanceTimersByTimeAsync(500 + 1000 + 2000);
+
+    await failure;
+    expect(calls.count).toBe(4);
+  });
+
+  it('does not retry other errors', async () => {
+    const calls = respondWith(() => tmdbError(500), () => tmdbError(401));
+
+    const request = tmdbFetch('/movie/1');
+    const failure = expect(request).rejects.toMatchObject({ name: 'AuthError', status: 401 });
+    await vi.advanceTimersByTimeAsync(500);
+
+    await failure;
+    expect(calls.count).toBe(2);
+  });
+
+  it('serves cached responses until the TTL runs out', async () => {
+    const calls = respondWith(ok);
+
+    await tmdbFetch('/movie/1', { ttl: 1000 });
+    await tmdbFetch('/movie/1', { ttl: 1000 });
+    expect(calls.count).toBe(1);
+
+    vi.setSystemTime(NOW.getTime() + 1001);
+    await tmdbFetch('/movie/1', { ttl: 1000 });
+    expect(calls.count).toBe(2);
+  });
+
+  it('reads a cached response from sessionStorage after a reload', async () => {
+    const calls = respondWith(ok);
+    const key = `tmdb:${API_BASE_URL}/movie/1`;
+
+    sessionStorage.setItem(key, JSON.stringify({ expires: NOW.getTime() + 1000, data: { id: 1, cached: true } }));
+    expect(await tmdbFetch('/movie/1')).toEqual({ id: 1, cached: true });
+    expect(calls.count).toBe(0);
+  });
+
+  it('fetches again when the sessionStorage entry has expired', async () => {
+    const calls = respondWith(ok);
+    const key = `tmdb:${API_BASE_URL}/movie/1`;
+
+    sessionStorage.setItem(key, JSON.stringify({ expires: NOW.getTime() - 1, data: { id: 1, cached: true } }));
+    expect(await tmdbFetch('/movie/1')).toEqual({ id: 1 });
+    expect(calls.count).toBe(1);
+    expect(JSON.parse(sessionStorage.getItem(key)).expires).toBeGreaterThan(NOW.getTime());
+  });
+
+  it('aborts the older request when a newer one starts on the same channel', async () => {
+    server.use(
+      http.get(tmdbUrl('/search/movie'), async ({ request }) => {
+        await delay(100);
+        return HttpResponse.json({ query: new URL(request.url).searchParams.get('query') });
+      })
+    );
+
+    const older = tmdbFetch('/search/movie', { params: { query: 'ali' }, channel: 'movie-list' });
+    const aborted = expect(older).rejects.toMatchObject({ name: 'AbortError' });
+    const newer = tmdbFetch('/search/movie', { params: { query: 'alien' }, channel: 'movie-list' });
+    await vi.advanceTimersByTimeAsync(100);
+
+    await aborted;
+    expect(await newer).toEqual({ query: 'alien' });
+  });
+
+  it('aborts the older request on the channel when the newer one is answered from the cache', async () => {
+    server.use(
+      http.get(tmdbUrl('/search/movie'), async ({ request }) => {
+        await delay(100);
+        return HttpResponse.json({ query: new URL(request.url).searchParams.get('query') });
+      })
+    );
+    const cachedSearch = tmdbFetch('/search/movie', { params: { query: 'alien' } });
+    await vi.advanceTimersByTimeAsync(100);
+    await cachedSearch;
+
+    const older = tmdbFetch('/search/movie', { params: { query: 'ali' }, channel: 'movie-list' });
+    const aborted = expect(older).rejects.toMatchObject({ name: 'AbortError' });
+    const newer = tmdbFetch('/search/movie', { params: { query: 'alien' }, channel: 'movie-list' });
+
+    expect(await newer).toEqual({ query: 'alien' });
+    await aborted;
+  });
+
+  it('stops listening to the caller signal once the request settles', async () => {
+    respondWith(ok);
+    const controller = new AbortController();
+    const removeListener = vi.spyOn(controller.signal, 'removeEventListener');
+
+    await tmdbFetch('/movie/1', { signal: controller.signal });
+
+    expect(removeListener).toHaveBeenCalledWith('abort', expect.any(Function));
+  });
+
+  it('wraps network failures in a TmdbError', async () => {
+    server.use(http.get(tmdbUrl('/movie/1'), () => HttpResponse.error()));
+
+    await expect(tmdbFetch('/movie/1')).rejects.toBeInstanceOf(TmdbError);
+  });
+});
@@ -1,8 +1,52 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 import tailwindcss from '@tailwindcss/vite'
+import { VitePWA } from 'vite-plugin-pwa'
 
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react(), tailwindcss(),],
+  plugins: [
+    react(),
+    tailwindcss(),
+    VitePWA({
+      strategies: 'injectManifest',
+      srcDir: 'src',
+      filename: 'sw.js',
+      registerType: 'autoUpdate',
+      injectManifest: {
+        globPatterns: ['**/*.{js,css,html,png,svg}'],
+      },
+      manifest: {
+        name: 'Find Movies',
+        short_name: 'Movies',
+        description: 'Find movies you\'ll enjoy without the hassle.',
+        theme_color: '#030014',
+        background_color: '#030014',
+        display: 'standalone',
+        start_url: '/',
+        icons: [
+          { src: '/pwa-192x192.png', sizes: '192x192', type: 'image/png' },
+          { src: '/pwa-512x512.png', sizes: '512x512', type: 'image/png' },
+          { src: '/pwa-512x512.png', sizes: '512x512', type: 'image/png', purpose: 'maskable' },
+        ],
+      },
+    }),
+  ],
+  test: {
+    environment: 'jsdom',
+    setupFiles: ['./src/test/setup.js'],
+    restoreMocks: true,
+    // Fake credentials so the TMDB and Appwrite code paths run against the local mocks in src/test
+    env: {
+      VITE_TMDB_API_KEY: 'test-key',
+      VITE_ANALYTICS_STORAGE: 'appwrite',
+      VITE_APPWRITE_ENDPOINT: 'https://appwrite.test/v1',
+      VITE_APPWRITE_PROJECT_ID: 'test-project',
+      VITE_APPWRITE_DATABASE_ID: 'test-db',
+      VITE_APPWRITE_COLLECTION_ID: 'movie-counts',
+      VITE_APPWRITE_DAILY_COUNTS_COLLECTION_ID: 'daily-counts',
+      VITE_APPWRITE_EVENTS_COLLECTION_ID: 'search-events',
+      VITE_APPWRITE_LISTS_COLLECTION_ID: '',
+    },
+  },
 })